@@ -0,0 +1,6 @@
+import { handleApi } from "../server/handlers.js"
+
+// GET /api/ae?identificacion=… (ver server/handlers.js)
+export default function handler(req, res) {
+  return handleApi("ae", req, res)
+}
@@ -0,0 +1,6 @@
+import { handleApi } from "../server/handlers.js"
+
+// GET /api/cabys?q=…&top=… o /api/cabys?codigo=… (ver server/handlers.js)
+export default function handler(req, res) {
+  return handleApi("cabys", req, res)
+}
@@ -0,0 +1,6 @@
+import { handleApi } from "../server/handlers.js"
+
+// GET /api/cedulas?q=… (ver server/handlers.js)
+export default function handler(req, res) {
+  return handleApi("cedulas", req, res)
+}
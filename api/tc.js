@@ -0,0 +1,6 @@
+import { handleApi } from "../server/handlers.js"
+
+// GET /api/tc, /api/tc?moneda=euro o /api/tc?d=YYYY-MM-DD&h=YYYY-MM-DD (ver server/handlers.js)
+export default function handler(req, res) {
+  return handleApi("tc", req, res)
+}
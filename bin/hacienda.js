@@ -0,0 +1,248 @@
+#!/usr/bin/env node
+import { parseArgs } from "node:util"
+import { actividadEstado, actividadTipo, toCsv } from "../src/lib/helpers.js"
+import { detectCedula, looksLikeCedula } from "../src/lib/cedula.js"
+import { isCabysCode } from "../src/lib/cabys.js"
+import {
+  ApiError,
+  DIRECT_BASES,
+  NotFoundError,
+  ServiceUnavailableError,
+  aeResumen,
+  fetchAe,
+  fetchCabysByCode,
+  fetchTipoCambioDolar,
+  fetchTipoCambioEuro,
+  searchCabys,
+  searchCedulas,
+  setApiBases,
+} from "../src/lib/api.js"
+
+/* ================= CLI =================
+   Las mismas consultas de la app, para scripts. Usa el cliente de src/lib/api.js
+   directo contra Hacienda y gometa (o contra un despliegue con --base).
+======================================== */
+
+const EXIT = { ok: 0, notFound: 1, usage: 2, unavailable: 3, error: 4 }
+
+const HELP = `Uso: hacienda <comando> [argumentos] [opciones]
+
+Comandos:
+  cabys <texto|código>     Busca en el catálogo CABYS (13 dígitos = código exacto)
+  ae <identificación>      Situación tributaria y actividades del contribuyente
+  tc                       Tipo de cambio del dólar (con --euro también el euro)
+  cedula <cédula|nombre>   Busca personas y empresas en gometa
+
+Opciones:
+  -f, --format <formato>   table (por defecto), json o csv
+  -n, --top <n>            Resultados de CABYS, 1 a 50 (por defecto 10)
+      --euro               tc: incluir el euro
+      --timeout <ms>       Tiempo máximo por consulta (por defecto 10000)
+      --base <url>         Usar la API de un despliegue (ej. https://mi-app.vercel.app)
+  -h, --help               Esta ayuda
+
+Códigos de salida:
+  0 ok · 1 no encontrado · 2 uso o identificación inválida · 3 servicio caído · 4 respuesta inválida`
+
+class UsageError extends Error {
+  name = "UsageError"
+}
+
+/* ================= COMANDOS =================
+   Cada uno devuelve { data, headers, rows, summary?, csv? }:
+   data va tal cual en --format json; headers/rows son la tabla (y el CSV si no hay `csv`).
+============================================ */
+
+async function cmdCabys([q], { top, timeout }) {
+  if (!q) throw new UsageError("Falta el texto o código a buscar")
+  const items = isCabysCode(q)
+    ? await fetchCabysByCode(q, { timeout })
+    : await searchCabys(q, top, { timeout })
+  if (!items.length) throw new NotFoundError(`Sin resultados en CABYS para "${q}"`)
+
+  return {
+    data: items,
+    headers: ["codigo", "descripcion", "impuesto"],
+    rows: items.map((c) => [c.codigo, c.descripcion, `${c.impuesto}%`]),
+  }
+}
+
+async function cmdAe([id], { timeout }) {
+  if (!id) throw new UsageError("Falta la identificación")
+  const info = detectCedula(id)
+  if (!info.valid) throw new UsageError(info.error)
+
+  const json = await fetchAe(info.digits, { timeout })
+  const r = aeResumen(json)
+  const actividades = (json?.actividades || []).map((a) => ({
+    codigo: a.codigo,
+    descripcion: a.descripcion,
+    tipo: actividadTipo(a),
+    estado: actividadEstado(a),
+  }))
+  const actHeaders = ["codigo", "descripcion", "tipo", "estado"]
+  const base = [info.digits, r.nombre, r.estado, r.moroso, r.omiso, r.regimen, r.administracionTributaria]
+
+  return {
+    data: { identificacion: info.digits, tipoIdentificacion: info.label, ...r, actividades },
+    summary: [
+      ["Nombre", r.nombre],
+      ["Identificación", `${info.digits} (${info.label})`],
+      ["Régimen", r.regimen],
+      ["Estado", r.estado],
+      ["Moroso", r.moroso],
+      ["Omiso", r.omiso],
+      ["Administración Tributaria", r.administracionTributaria],
+    ],
+    headers: actHeaders,
+    rows: actividades.map((a) => actHeaders.map((h) => a[h])),
+    // CSV: una fila por actividad con los datos del contribuyente repetidos
+    csv: {
+      headers: [
+        "identificacion",
+        "nombre",
+        "estado",
+        "moroso",
+        "omiso",
+        "regimen",
+        "administracion_tributaria",
+        ...actHeaders.map((h) => `actividad_${h}`),
+      ],
+      rows: actividades.length
+        ? actividades.map((a) => [...base, ...actHeaders.map((h) => a[h])])
+        : [[...base, "", "", "", ""]],
+    },
+  }
+}
+
+async function cmdTc(_args, { euro, timeout }) {
+  const usd = await fetchTipoCambioDolar({ timeout })
+  const rows = [["USD", usd.compra, usd.venta, usd.fecha]]
+  const data = { dolar: usd }
+  if (euro) {
+    data.euro = await fetchTipoCambioEuro({ timeout })
+    // El euro de Hacienda trae un único valor en colones: va como compra y venta
+    rows.push(["EUR", data.euro.colones, data.euro.colones, data.euro.fecha])
+  }
+  return { data, headers: ["moneda", "compra", "venta", "fecha"], rows }
+}
+
+async function cmdCedula(args, { timeout }) {
+  const q = args.join(" ").trim()
+  if (!q) throw new UsageError("Falta la cédula o el nombre a buscar")
+  if (looksLikeCedula(q)) {
+    const info = detectCedula(q)
+    if (!info.valid) throw new UsageError(info.error)
+  }
+
+  const { items } = await searchCedulas(q, { timeout })
+  if (!items.length) throw new NotFoundError(`Sin resultados en gometa para "${q}"`)
+  return {
+    data: items,
+    headers: ["cedula", "nombre", "tipo"],
+    rows: items.map((x) => [x.cedula, x.nombre, x.tipo]),
+  }
+}
+
+const COMMANDS = { cabys: cmdCabys, ae: cmdAe, tc: cmdTc, cedula: cmdCedula }
+
+/* ================= SALIDA ================= */
+function formatTable(headers, rows) {
+  const cells = [headers, ...rows].map((r) => r.map((v) => (v === null || v === undefined ? "" : String(v))))
+  const widths = headers.map((_, i) => Math.max(...cells.map((r) => r[i].length)))
+  const line = (r) => r.map((v, i) => v.padEnd(widths[i])).join("  ").trimEnd()
+  return [line(cells[0]), widths.map((w) => "-".repeat(w)).join("  "), ...cells.slice(1).map(line)].join("\n")
+}
+
+function render(result, format) {
+  if (format === "json") return JSON.stringify(result.data, null, 2)
+  if (format === "csv") {
+    const { headers, rows } = result.csv || result
+    return toCsv(rows, headers).trimEnd()
+  }
+
+  const out = []
+  if (result.summary) {
+    const w = Math.max(...result.summary.map(([k]) => k.length))
+    out.push(...result.summary.map(([k, v]) => `${`${k}:`.padEnd(w + 2)}${v || "-"}`), "")
+  }
+  out.push(result.rows.length ? formatTable(result.headers, result.rows) : "(sin filas)")
+  return out.join("\n")
+}
+
+function exitCodeFor(e) {
+  if (e instanceof UsageError) return EXIT.usage
+  if (e instanceof NotFoundError) return EXIT.notFound
+  if (e instanceof ServiceUnavailableError) return EXIT.unavailable
+  return EXIT.error
+}
+
+/* ================= MAIN ================= */
+function parseCli(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      format: { type: "string", short: "f", default: "table" },
+      top: { type: "string", short: "n", default: "10" },
+      euro: { type: "boolean", default: false },
+      timeout: { type: "string", default: "10000" },
+      base: { type: "string", default: process.env.HACIENDA_TOOLKIT_BASE || "" },
+      help: { type: "boolean", short: "h", default: false },
+    },
+  })
+
+  const format = values.format.toLowerCase()
+  if (!["table", "json", "csv"].includes(format)) throw new UsageError(`Formato desconocido: ${values.format}`)
+  const top = Number(values.top)
+  if (!Number.isInteger(top) || top < 1 || top > 50) throw new UsageError("--top debe ser un entero de 1 a 50")
+  const timeout = Number(values.timeout)
+  if (!Number.isFinite(timeout) || timeout <= 0) throw new UsageError("--timeout debe ser un número de ms")
+
+  const [command, ...args] = positionals
+  return { command, args, help: values.help, base: values.base, opts: { format, top, timeout, euro: values.euro } }
+}
+
+async function main(argv) {
+  let format = "table"
+  try {
+    const { command, args, help, base, opts } = parseCli(argv)
+    format = opts.format
+    if (help || !command) {
+      console.log(HELP)
+      return help ? EXIT.ok : EXIT.usage
+    }
+    const run = COMMANDS[command]
+    if (!run) throw new UsageError(`Comando desconocido: ${command}`)
+
+    const root = base.replace(/\/+$/, "")
+    setApiBases(
+      root
+        ? {
+            hacienda: `${root}/hacienda`,
+            indicadores: `${root}/indicadores`,
+            gometa: `${root}/gometa`,
+            api: `${root}/api`,
+          }
+        : DIRECT_BASES
+    )
+
+    console.log(render(await run(args, opts), format))
+    return EXIT.ok
+  } catch (e) {
+    // parseArgs lanza TypeError con code ERR_PARSE_ARGS_* ante opciones desconocidas
+    const err = String(e?.code || "").startsWith("ERR_PARSE_ARGS") ? new UsageError(e.message) : e
+    const code = exitCodeFor(err)
+    const message = err?.message || String(err)
+    if (format === "json") {
+      console.error(JSON.stringify({ error: message, tipo: err?.name, status: err?.status || undefined }))
+    } else {
+      console.error(`hacienda: ${message}`)
+      if (code === EXIT.usage) console.error("Use --help para ver los comandos.")
+    }
+    if (code === EXIT.error && !(err instanceof ApiError)) console.error(err?.stack || "")
+    return code
+  }
+}
+
+process.exitCode = await main(process.argv.slice(2))
@@ -0,0 +1,149 @@
+import { existsSync, mkdirSync, readFileSync, readdirSync, writeFileSync } from "node:fs"
+import path from "node:path"
+import zlib from "node:zlib"
+
+/* ================= MODO DEMO =================
+   Plugin de Vite para el servidor de desarrollo:
+   - `vite --mode demo`: /hacienda, /indicadores y /gometa se responden desde demo/fixtures
+     sin salir a la red (incluye casos de error: 404, 500, HTML en vez de JSON).
+   - `vite --mode record`: las consultas van al proxy normal y cada respuesta se guarda
+     como fixture nueva (rec-*.json) para usarla después en modo demo.
+============================================== */
+
+export const API_PREFIXES = ["/hacienda", "/indicadores", "/gometa"]
+
+function isApiUrl(url) {
+  return API_PREFIXES.some((p) => url === p || url.startsWith(`${p}/`))
+}
+
+// Fixture: { url, status?, contentType?, delay?, nota?, body }
+// `url` sin query responde cualquier query; un segmento o parámetro "*" acepta cualquier valor.
+// Se relee la carpeta en cada consulta para tomar las fixtures recién grabadas.
+function loadFixtures(dir) {
+  if (!existsSync(dir)) return []
+  return readdirSync(dir)
+    .filter((f) => f.endsWith(".json"))
+    .flatMap((file) => {
+      try {
+        return [{ ...JSON.parse(readFileSync(path.join(dir, file), "utf8")), file }]
+      } catch (e) {
+        console.warn(`[demo] fixture inválida ${file}: ${e.message}`)
+        return []
+      }
+    })
+}
+
+// Mayor puntaje = más específica; -1 si no aplica
+function matchScore(fixture, reqUrl) {
+  const f = new URL(fixture.url, "http://demo")
+  const r = new URL(reqUrl, "http://demo")
+  const fp = f.pathname.split("/").map(decodeURIComponent)
+  const rp = r.pathname.split("/").map(decodeURIComponent)
+  if (fp.length !== rp.length) return -1
+
+  let score = 0
+  for (let i = 0; i < fp.length; i++) {
+    if (fp[i] === "*") continue
+    if (fp[i].toLowerCase() !== rp[i].toLowerCase()) return -1
+    score += 10
+  }
+  for (const [k, v] of f.searchParams) {
+    if (!r.searchParams.has(k)) return -1
+    if (v !== "*" && r.searchParams.get(k).toLowerCase() !== v.toLowerCase()) return -1
+    score += v === "*" ? 1 : 2
+  }
+  return score
+}
+
+export function findFixture(fixtures, url) {
+  let best = null
+  let bestScore = -1
+  fixtures.forEach((fx) => {
+    const score = matchScore(fx, url)
+    if (score > bestScore) {
+      best = fx
+      bestScore = score
+    }
+  })
+  return best
+}
+
+function send(res, fx) {
+  res.statusCode = fx.status ?? 200
+  res.setHeader("content-type", fx.contentType || "application/json; charset=utf-8")
+  res.setHeader("cache-control", "no-store")
+  if (fx.file) res.setHeader("x-demo-fixture", fx.file)
+  res.end(typeof fx.body === "string" ? fx.body : JSON.stringify(fx.body))
+}
+
+/* ================= GRABACIÓN ================= */
+function decode(buffer, encoding) {
+  if (encoding === "gzip") return zlib.gunzipSync(buffer)
+  if (encoding === "br") return zlib.brotliDecompressSync(buffer)
+  if (encoding === "deflate") return zlib.inflateSync(buffer)
+  return buffer
+}
+
+function fixtureName(url) {
+  const slug = url.replace(/^\//, "").replace(/[^\w.-]+/g, "_").slice(0, 120)
+  return `rec-${slug}.json`
+}
+
+// Para `configure` de cada entrada del proxy: guarda la respuesta tal como llegó
+export function recordFixtures(dir) {
+  return (proxy) => {
+    proxy.on("proxyRes", (proxyRes, req) => {
+      const url = req.originalUrl || req.url
+      const chunks = []
+      proxyRes.on("data", (c) => chunks.push(c))
+      proxyRes.on("end", () => {
+        try {
+          const text = decode(Buffer.concat(chunks), proxyRes.headers["content-encoding"]).toString("utf8")
+          const contentType = proxyRes.headers["content-type"] || ""
+          let body = text
+          if (contentType.includes("json")) {
+            try {
+              body = JSON.parse(text)
+            } catch {
+              // JSON roto: se guarda el texto para reproducir el error
+            }
+          }
+          const fixture = {
+            url,
+            status: proxyRes.statusCode,
+            contentType,
+            recordedAt: new Date().toISOString(),
+            body,
+          }
+          mkdirSync(dir, { recursive: true })
+          writeFileSync(path.join(dir, fixtureName(url)), `${JSON.stringify(fixture, null, 2)}\n`)
+          console.log(`[record] ${proxyRes.statusCode} ${url}`)
+        } catch (e) {
+          console.warn(`[record] no se pudo guardar ${url}: ${e.message}`)
+        }
+      })
+    })
+  }
+}
+
+/* ================= PLUGIN ================= */
+export default function demoFixtures({ mode, dir }) {
+  return {
+    name: "hacienda-demo-fixtures",
+    apply: "serve",
+    configureServer(server) {
+      if (mode !== "demo") return
+      // Va antes que los middlewares internos de Vite, así que el proxy nunca se usa
+      server.middlewares.use((req, res, next) => {
+        if (!isApiUrl(req.url)) return next()
+        const fx = findFixture(loadFixtures(dir), req.url)
+        if (!fx) {
+          send(res, { status: 404, body: { code: 404, message: `Sin fixture para ${req.url}` } })
+          return
+        }
+        setTimeout(() => send(res, fx), fx.delay || 0)
+      })
+      server.config.logger.info(`  modo demo: respuestas desde ${path.relative(process.cwd(), dir)}`)
+    },
+  }
+}
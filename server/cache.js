@@ -0,0 +1,35 @@
+/* ================= CACHÉ DEL SERVIDOR =================
+   Memoria por clave con TTL y una sola consulta en vuelo por clave: si llegan diez
+   pedidos iguales mientras Hacienda responde, se le pregunta una vez y los diez
+   reciben lo mismo. Los errores no se guardan.
+===================================================== */
+
+export function createCache({ max = 500 } = {}) {
+  const store = new Map()
+  const inflight = new Map()
+
+  // Devuelve { value, status: "HIT" | "MISS" | "COALESCED" }
+  async function get(key, ttl, load) {
+    const hit = store.get(key)
+    if (hit && hit.expires > Date.now()) return { value: hit.value, status: "HIT" }
+    if (hit) store.delete(key)
+
+    const pending = inflight.get(key)
+    if (pending) return { value: await pending, status: "COALESCED" }
+
+    const promise = (async () => {
+      try {
+        const value = await load()
+        store.set(key, { value, expires: Date.now() + ttl })
+        if (store.size > max) store.delete(store.keys().next().value)
+        return value
+      } finally {
+        inflight.delete(key)
+      }
+    })()
+    inflight.set(key, promise)
+    return { value: await promise, status: "MISS" }
+  }
+
+  return { get, clear: () => store.clear(), size: () => store.size }
+}
@@ -0,0 +1,219 @@
+import { onlyDigits } from "../src/lib/helpers.js"
+import { detectCedula } from "../src/lib/cedula.js"
+import { isCabysCode } from "../src/lib/cabys.js"
+import {
+  ApiError,
+  DIRECT_BASES,
+  NonJsonError,
+  NotFoundError,
+  ServiceUnavailableError,
+  TimeoutError,
+  fetchAe,
+  fetchCabysByCode,
+  fetchTipoCambioDolar,
+  fetchTipoCambioEuro,
+  fetchTipoCambioHistorico,
+  searchCabys,
+  searchCedulas,
+  setApiBases,
+} from "../src/lib/api.js"
+import { createCache } from "./cache.js"
+import { createRateLimit } from "./rateLimit.js"
+
+/* ================= API PROPIA =================
+   Endpoints GET que usan las funciones serverless de api/ (Vercel) y server/index.js (local):
+     /api/ae?identificacion=…          los bytes de Hacienda sin tocar (la constancia firma ese texto);
+                                       con &fresh=1 consulta a Hacienda sin caché (ni acá ni en la CDN)
+     /api/cabys?q=…&top=… | ?codigo=…  { cabys: [...] }
+     /api/tc                           { compra, venta, fecha }
+     /api/tc?moneda=euro               { fecha, colones, dolares }
+     /api/tc?d=YYYY-MM-DD&h=YYYY-MM-DD [{ fecha, compra, venta }]
+     /api/cedulas?q=…                  { items } ya normalizado (normalizeGometaResponse)
+   Consultan directo a Hacienda y gometa con el cliente de src/lib/api.js, guardan por clave
+   y TTL y juntan las consultas iguales en vuelo. Los errores salen como JSON { error }.
+   Cada IP tiene un máximo de API_RATE_LIMIT pedidos por minuto (60; 0 lo apaga): el resto
+   recibe 429 con retry-after.
+============================================== */
+
+setApiBases(DIRECT_BASES)
+
+const MIN = 60_000
+const HORA = 60 * MIN
+
+// Sin la caché del cliente (la de acá manda) y dentro del tiempo máximo de una función
+const UPSTREAM = { ttl: 0, timeout: 8000, retries: 1 }
+
+const cache = createCache()
+
+const RATE_LIMIT = Number(process.env.API_RATE_LIMIT ?? 60)
+const rateLimit = RATE_LIMIT > 0 ? createRateLimit({ limit: RATE_LIMIT }) : null
+
+class BadRequestError extends Error {
+  name = "BadRequestError"
+}
+
+function clamp(n, min, max) {
+  return Math.min(max, Math.max(min, n))
+}
+
+// Misma consulta escrita distinto = misma clave ("  Arroz " y "arroz")
+function textKey(s) {
+  return s.trim().replace(/\s+/g, " ").toLowerCase()
+}
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/
+
+// Cada endpoint arma la clave de caché y la consulta a partir de la query
+const ENDPOINTS = {
+  ae: {
+    ttl: 5 * MIN,
+    parse(q) {
+      const id = onlyDigits(q.get("identificacion"))
+      const ced = detectCedula(id)
+      if (!ced.valid) throw new BadRequestError(ced.error || "Identificación inválida")
+      return {
+        key: id,
+        // Revisión en vivo (vigilancia, constancia): la respuesta guardada no sirve
+        fresh: q.get("fresh") === "1",
+        load: async () => {
+          const out = await fetchAe(id, { ...UPSTREAM, meta: true })
+          return { passthrough: true, body: out.raw, contentType: out.contentType }
+        },
+      }
+    },
+  },
+
+  // El catálogo casi no cambia: caché larga
+  cabys: {
+    ttl: 12 * HORA,
+    parse(q) {
+      const codigo = (q.get("codigo") || "").trim()
+      if (codigo) {
+        if (!isCabysCode(codigo)) throw new BadRequestError("El código CABYS tiene 13 dígitos")
+        return { key: `codigo:${codigo}`, load: async () => ({ cabys: await fetchCabysByCode(codigo, UPSTREAM) }) }
+      }
+      const texto = (q.get("q") || "").trim()
+      if (!texto) throw new BadRequestError("Falta q (texto) o codigo")
+      const top = clamp(Math.trunc(Number(q.get("top")) || 10), 1, 50)
+      return {
+        key: `q:${textKey(texto)}:${top}`,
+        load: async () => ({ cabys: await searchCabys(texto, top, UPSTREAM) }),
+      }
+    },
+  },
+
+  // El tipo de cambio se actualiza durante el día: caché corta (la serie histórica, más larga)
+  tc: {
+    ttl: 5 * MIN,
+    parse(q) {
+      const desde = q.get("d")
+      const hasta = q.get("h")
+      if (desde || hasta) {
+        if (!ISO_DATE.test(desde || "") || !ISO_DATE.test(hasta || "")) {
+          throw new BadRequestError("d y h van en formato YYYY-MM-DD")
+        }
+        return {
+          key: `historico:${desde}:${hasta}`,
+          ttl: HORA,
+          load: () => fetchTipoCambioHistorico(desde, hasta, UPSTREAM),
+        }
+      }
+      const moneda = q.get("moneda") || "dolar"
+      if (moneda === "euro") return { key: "euro", load: () => fetchTipoCambioEuro(UPSTREAM) }
+      if (moneda === "dolar") return { key: "dolar", load: () => fetchTipoCambioDolar(UPSTREAM) }
+      throw new BadRequestError(`Moneda desconocida: ${moneda} (dolar o euro)`)
+    },
+  },
+
+  cedulas: {
+    ttl: HORA,
+    parse(q) {
+      const texto = (q.get("q") || "").trim()
+      if (!texto) throw new BadRequestError("Falta q (cédula o nombre)")
+      return {
+        key: textKey(texto),
+        load: async () => ({ items: (await searchCedulas(texto, UPSTREAM)).items }),
+      }
+    },
+  },
+}
+
+export const ENDPOINT_NAMES = Object.keys(ENDPOINTS)
+
+// En Vercel la IP real viene en x-forwarded-for (la primera de la lista)
+function clientIp(req) {
+  const forwarded = String(req.headers["x-forwarded-for"] || "").split(",")[0].trim()
+  return forwarded || req.socket?.remoteAddress || ""
+}
+
+/* ================= RESPUESTAS ================= */
+export function sendJson(res, status, body, headers = {}) {
+  res.statusCode = status
+  res.setHeader("content-type", "application/json; charset=utf-8")
+  Object.entries(headers).forEach(([k, v]) => res.setHeader(k, v))
+  res.end(JSON.stringify(body))
+}
+
+// Mismos códigos que entiende el cliente: 404 no existe, 5xx servicio caído (reintenta)
+function statusFor(e) {
+  if (e instanceof BadRequestError) return 400
+  if (e instanceof NotFoundError) return 404
+  if (e instanceof TimeoutError) return 504
+  if (e instanceof ServiceUnavailableError) return 503
+  if (e instanceof NonJsonError || e instanceof ApiError) return 502
+  return 500
+}
+
+export function sendError(res, e) {
+  const status = statusFor(e)
+  if (status === 500) console.error(e)
+  sendJson(res, status, { error: { status, tipo: e?.name || "Error", message: e?.message || String(e) } })
+}
+
+// Handler (req, res) de Node; sirve igual en Vercel que en server/index.js
+export async function handleApi(name, req, res) {
+  const endpoint = Object.hasOwn(ENDPOINTS, name) ? ENDPOINTS[name] : null
+  if (!endpoint) {
+    sendJson(res, 404, { error: { status: 404, tipo: "NotFound", message: `No existe /api/${name}` } })
+    return
+  }
+  if (req.method !== "GET" && req.method !== "HEAD") {
+    sendJson(res, 405, { error: { status: 405, tipo: "MethodNotAllowed", message: "Solo GET" } }, { allow: "GET" })
+    return
+  }
+
+  const limit = rateLimit?.take(clientIp(req))
+  if (limit && !limit.ok) {
+    const message = `Demasiadas consultas: espere ${limit.retryAfter} s`
+    sendJson(res, 429, { error: { status: 429, tipo: "TooManyRequests", message } }, {
+      "retry-after": String(limit.retryAfter),
+    })
+    return
+  }
+
+  try {
+    const { searchParams } = new URL(req.url, "http://localhost")
+    const { key, load, fresh = false, ttl = endpoint.ttl } = endpoint.parse(searchParams)
+    const { value, status } = fresh
+      ? { value: await load(), status: "BYPASS" }
+      : await cache.get(`${name}:${key}`, ttl, load)
+    const headers = {
+      "x-cache": status,
+      // También lo guarda la CDN de Vercel (salvo las consultas en vivo)
+      "cache-control": fresh
+        ? "no-store"
+        : `public, max-age=0, s-maxage=${Math.round(ttl / 1000)}, stale-while-revalidate=60`,
+    }
+    if (!value?.passthrough) {
+      sendJson(res, 200, value, headers)
+      return
+    }
+    // Respuesta del servicio tal cual llegó (mismo cuerpo y content-type)
+    res.statusCode = 200
+    res.setHeader("content-type", value.contentType)
+    Object.entries(headers).forEach(([k, v]) => res.setHeader(k, v))
+    res.end(value.body)
+  } catch (e) {
+    sendError(res, e)
+  }
+}
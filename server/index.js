@@ -0,0 +1,22 @@
+import { createServer } from "node:http"
+import { ENDPOINT_NAMES, handleApi, sendJson } from "./handlers.js"
+
+/* ================= SERVIDOR LOCAL =================
+   Los mismos endpoints de api/ sin Vercel: `npm run api` y, en otra terminal,
+   `npm run dev:api` (Vite manda /api a este puerto). El puerto sale de API_PORT (8787).
+================================================== */
+
+const PORT = Number(process.env.API_PORT) || 8787
+
+const server = createServer((req, res) => {
+  const m = /^\/api\/([\w-]+)\/?(?:\?|$)/.exec(req.url)
+  if (!m) {
+    sendJson(res, 404, { error: { status: 404, tipo: "NotFound", message: `No existe ${req.url}` } })
+    return
+  }
+  handleApi(m[1], req, res)
+})
+
+server.listen(PORT, () => {
+  console.log(`API local en http://localhost:${PORT}/api (${ENDPOINT_NAMES.join(", ")})`)
+})
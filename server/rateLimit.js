@@ -0,0 +1,26 @@
+/* ================= LÍMITE DE CONSULTAS =================
+   Ventana fija por cliente (IP): hasta `limit` pedidos cada `windowMs`. Protege a
+   Hacienda y gometa de un script que pregunte en bucle; en Vercel cada instancia
+   lleva su propia cuenta, así que es un freno por instancia y no un cupo global.
+======================================================= */
+
+export function createRateLimit({ limit, windowMs = 60_000, max = 5000 }) {
+  const hits = new Map()
+
+  // Devuelve { ok, retryAfter } (retryAfter en segundos, para el header retry-after)
+  function take(key) {
+    const now = Date.now()
+    let entry = hits.get(key)
+    if (!entry || entry.reset <= now) {
+      entry = { count: 0, reset: now + windowMs }
+      hits.delete(key)
+      hits.set(key, entry)
+      if (hits.size > max) hits.delete(hits.keys().next().value)
+    }
+    entry.count++
+    if (entry.count <= limit) return { ok: true, retryAfter: 0 }
+    return { ok: false, retryAfter: Math.ceil((entry.reset - now) / 1000) }
+  }
+
+  return { take, clear: () => hits.clear() }
+}
@@ -1,226 +1,167 @@
 import { useEffect, useMemo, useRef, useState } from "react"
-import * as XLSX from "xlsx"
+import {
+  actividadEstado,
+  actividadTipo,
+  copyText,
+  downloadBlob,
+  downloadXlsx,
+  downloadXlsxSheets,
+  isoDate,
+  normalizeText,
+  onlyDigits,
+} from "./lib/helpers.js"
+import { detectCedula, looksLikeCedula } from "./lib/cedula.js"
+import { CABYS_TARIFAS, cabysNivel, cabysQueriesFromActividad, isCabysCode } from "./lib/cabys.js"
+import { loadOfflineCatalog, searchOfflineCatalog } from "./lib/cabysOffline.js"
+import {
+  addRecent,
+  exportHistory,
+  importHistory,
+  isFavorite,
+  loadHistory,
+  removeRecent,
+  saveHistory,
+  toggleFavorite,
+} from "./lib/history.js"
+import { buildConstancia } from "./lib/constancia.js"
+import { addCabysLinea, loadProforma, saveProforma } from "./lib/proforma.js"
+import { buildSession, sessionIsEmpty, sessionJson, sessionSheets } from "./lib/sessionExport.js"
+import { EMPTY_URL_STATE, readUrlState, updateUrlState } from "./lib/urlState.js"
+import { TABLE_VIEW_EMPTY, applyTableView } from "./lib/table.js"
+import { LANGS, formatDate, formatMoney, formatPercent, t } from "./lib/i18n.js"
+import { useLang } from "./i18n/useLang.js"
+import {
+  NotFoundError,
+  fetchAe,
+  fetchCabysByCode,
+  fetchTipoCambioDolar,
+  searchCabys,
+  searchCedulas,
+} from "./lib/api.js"
+import AeBatch from "./components/AeBatch.jsx"
+import ApiHealth from "./components/ApiHealth.jsx"
+import { CabysBreadcrumb, CabysTree } from "./components/CabysTree.jsx"
+import CabysOffline from "./components/CabysOffline.jsx"
+import ClaveNumerica from "./components/ClaveNumerica.jsx"
+import CsvExport from "./components/CsvExport.jsx"
+import DataTable from "./components/DataTable.jsx"
+import Exoneracion from "./components/Exoneracion.jsx"
+import Constancia from "./components/Constancia.jsx"
+import FacturaChecker from "./components/FacturaChecker.jsx"
+import FromChip from "./components/FromChip.jsx"
+import Highlight from "./components/Highlight.jsx"
+import HistoryBar from "./components/HistoryBar.jsx"
+import Proforma from "./components/Proforma.jsx"
+import FxConverter from "./components/FxConverter.jsx"
+import FxHistory from "./components/FxHistory.jsx"
+import WatchList from "./components/WatchList.jsx"
 import "./App.css"
 
-/* ================= API CHECK ================= */
-async function checkApiStatus() {
-  const start = performance.now()
-  const res = await fetch("/hacienda/fe/ae?identificacion=110220294", { cache: "no-store" })
-  const ms = Math.round(performance.now() - start)
-  if (!res.ok) throw new Error("API down")
-  return ms
-}
-
-/* ================= HELPERS ================= */
-function formatFechaCR(fecha) {
-  if (!fecha) return ""
-
-  const d = new Date(fecha)
-
-  // Por si viniera algo raro
-  if (isNaN(d)) return fecha
+// Typeahead CABYS: largo mínimo, espera tras la última tecla, cuántas sugerencias y cuántas consultas cachear
+const CABYS_SUGGEST_MIN = 3
+const CABYS_SUGGEST_DELAY = 350
+const CABYS_SUGGEST_TOP = 10
+const CABYS_SUGGEST_CACHE = 100
+// Productos que se traen del catálogo importado al explorar una categoría
+const CABYS_BROWSE_TOP = 1000
+
+// Columnas base de cada exportación CSV (las mismas de las tablas)
+const CABYS_CSV_COLUMNS = [
+  { key: "codigo" },
+  { key: "descripcion" },
+  { key: "impuesto", value: (c) => `${c.impuesto}%` },
+]
+const ACTIVIDADES_CSV_COLUMNS = [
+  { key: "codigo" },
+  { key: "descripcion" },
+  { key: "tipo", value: actividadTipo },
+  { key: "estado", value: actividadEstado },
+]
+const CEDULAS_CSV_COLUMNS = [{ key: "cedula" }, { key: "nombre" }, { key: "tipo" }]
+const cedulaRaw = (x) => x.extra
+const actividadKey = (a) => `${a.codigo}-${a.tipo}-${a.estado}`
+
+// Modos del servidor de desarrollo (ver demo/fixturesPlugin.js)
+const DEMO_LABEL = { demo: "app.demo", record: "app.record" }
 
-  return d.toLocaleDateString("es-CR", {
-    day: "numeric",
-    month: "long",
-    year: "numeric",
-  })
-}
+export default function App() {
+  // Todo el árbol se vuelve a pintar con el idioma nuevo
+  const [lang, setLang] = useLang()
 
-function onlyDigits(s) {
-  return (s || "").replace(/\D+/g, "")
-}
+  useEffect(() => {
+    fetchTipoCambio()
+  }, [])
 
-function isValidAeId(s) {
-  const v = onlyDigits(s)
-  return v.length === 9 || v.length === 10 || v.length === 11
-}
+  /* ================= TIPO DE CAMBIO (BCCR) ================= */
+  const [fx, setFx] = useState(null)
+  const [fxLoading, setFxLoading] = useState(false)
+  const [fxError, setFxError] = useState("")
+  const [fxConvOpen, setFxConvOpen] = useState(false)
 
-async function copyText(text) {
-  try {
-    await navigator.clipboard.writeText(text)
-    return true
-  } catch {
+  async function fetchTipoCambio() {
+    setFxLoading(true)
+    setFxError("")
     try {
-      const ta = document.createElement("textarea")
-      ta.value = text
-      document.body.appendChild(ta)
-      ta.select()
-      document.execCommand("copy")
-      document.body.removeChild(ta)
-      return true
+      setFx(await fetchTipoCambioDolar())
     } catch {
-      return false
+      setFx(null)
+      setFxError(t("fx.error"))
+    } finally {
+      setFxLoading(false)
     }
   }
-}
-
-function toCsv(rows, headers) {
-  const esc = (v) => {
-    const s = v === null || v === undefined ? "" : String(v)
-    const t = s.replace(/"/g, '""')
-    return /[",\n]/.test(t) ? `"${t}"` : t
-  }
-  const head = headers.map(esc).join(",")
-  const body = rows.map((r) => r.map(esc).join(",")).join("\n")
-  return `${head}\n${body}\n`
-}
 
-function downloadBlob(filename, blob) {
-  const url = URL.createObjectURL(blob)
-  const a = document.createElement("a")
-  a.href = url
-  a.download = filename
-  document.body.appendChild(a)
-  a.click()
-  a.remove()
-  URL.revokeObjectURL(url)
-}
+  /* ================= HISTORIAL / FAVORITOS ================= */
+  const [history, setHistory] = useState(loadHistory)
+  const [historyError, setHistoryError] = useState("")
+  const historyFileRef = useRef(null)
 
-function downloadXlsx(filename, sheetName, rows, headerOrder) {
-  const data = rows.map((r) => {
-    const obj = {}
-    headerOrder.forEach((h) => (obj[h] = r[h] ?? ""))
-    return obj
-  })
-  const ws = XLSX.utils.json_to_sheet(data, { header: headerOrder })
-  const wb = XLSX.utils.book_new()
-  XLSX.utils.book_append_sheet(wb, ws, sheetName)
-  const out = XLSX.write(wb, { bookType: "xlsx", type: "array" })
-  const blob = new Blob([out], {
-    type: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
-  })
-  downloadBlob(filename, blob)
-}
-
-/* ================= SAFE JSON FETCH ================= */
-async function fetchJsonSafe(url) {
-  const res = await fetch(url, { cache: "no-store" })
-  const ct = (res.headers.get("content-type") || "").toLowerCase()
-  const text = await res.text()
+  useEffect(() => {
+    saveHistory(history)
+  }, [history])
 
-  if (!res.ok) throw new Error(`HTTP ${res.status}`)
+  /* ===== Proforma ===== */
+  const [proforma, setProforma] = useState(loadProforma)
+  const [proformaAdded, setProformaAdded] = useState("")
 
-  if (!ct.includes("application/json")) {
-    const preview = text.slice(0, 120).replace(/\s+/g, " ")
-    throw new Error(`Respuesta no es JSON (${ct || "sin content-type"}): ${preview}`)
-  }
-
-  try {
-    return JSON.parse(text)
-  } catch {
-    const preview = text.slice(0, 120).replace(/\s+/g, " ")
-    throw new Error(`JSON inválido: ${preview}`)
-  }
-}
+  useEffect(() => {
+    saveProforma(proforma)
+  }, [proforma])
 
-/* ============ GOMETA NORMALIZER ============ */
-function normalizeGometaResponse(json) {
-  if (!json) return { items: [], raw: json }
-
-  if (Array.isArray(json?.results)) {
-    const items = json.results.map((x, i) => ({
-      id: x?.cedula || x?.rawcedula || x?.id || String(i),
-      cedula: x?.cedula || x?.rawcedula || "",
-      nombre: x?.fullname || x?.nombre || x?.name || "",
-      tipo: x?.guess_type || x?.tipo || x?.type || "",
-      extra: x,
-    }))
-    return { items, raw: json }
+  function addToProforma(c) {
+    setProforma((p) => addCabysLinea(p, c))
+    setProformaAdded(c.codigo)
+    setTimeout(() => setProformaAdded(""), 1500)
   }
 
-  if (Array.isArray(json)) {
-    const items = json.map((x, i) => ({
-      id: x?.cedula || x?.id || String(i),
-      cedula: x?.cedula || "",
-      nombre: x?.fullname || x?.nombre || x?.name || "",
-      tipo: x?.guess_type || x?.tipo || x?.type || "",
-      extra: x,
-    }))
-    return { items, raw: json }
+  function historyHandlers(panel, run) {
+    return {
+      entries: history[panel],
+      onSelect: (e) => run(e.q),
+      onToggleFavorite: (e) => setHistory((h) => toggleFavorite(h, panel, e)),
+      onRemove: (e) => setHistory((h) => removeRecent(h, panel, e.q)),
+    }
   }
 
-  const one = {
-    id: json?.cedula || json?.rawcedula || json?.id || "1",
-    cedula: json?.cedula || json?.rawcedula || "",
-    nombre: json?.fullname || json?.nombre || json?.name || "",
-    tipo: json?.guess_type || json?.tipo || json?.type || "",
-    extra: json,
+  function downloadHistoryJson() {
+    const blob = new Blob([exportHistory(history)], { type: "application/json" })
+    downloadBlob("hacienda_favoritos.json", blob)
   }
-  return { items: [one].filter((x) => x.cedula || x.nombre || x.tipo), raw: json }
-}
-
-export default function App() {
-  /* ================= API STATUS ================= */
-  const [apiStatus, setApiStatus] = useState(null)
 
-  async function refreshApiStatus() {
+  async function onHistoryFile(e) {
+    const file = e.target.files?.[0]
+    e.target.value = ""
+    if (!file) return
+    setHistoryError("")
     try {
-      const ms = await checkApiStatus()
-      setApiStatus({ ok: true, ms, at: new Date() })
-    } catch {
-      setApiStatus({ ok: false, at: new Date() })
+      const text = await file.text()
+      // Se valida acá: si importHistory lanzara dentro del updater, reventaría en el render
+      setHistory(importHistory(history, text))
+    } catch (err) {
+      setHistoryError(err?.message || t("history.importError"))
     }
   }
 
-  useEffect(() => {
-    refreshApiStatus()
-    fetchTipoCambio() 
-    const interval = setInterval(() => refreshApiStatus(), 60_000)
-    return () => clearInterval(interval)
-  }, [])
-
-  /* ================= TIPO DE CAMBIO (BCCR) ================= */
-  const [fx, setFx] = useState(null)
-  const [fxLoading, setFxLoading] = useState(false)
-  const [fxError, setFxError] = useState("")
-
- async function fetchTipoCambio() {
-  try {
-    setFxError("")
-    const json = await fetchJsonSafe("/hacienda/indicadores/tc")
-
-    // Helper: si viene { fecha, valor } devolveme valor; si viene número/string, devolveme eso.
-    const pickValor = (x) =>
-      x && typeof x === "object" ? x.valor ?? "" : x ?? ""
-
-    // Helper: si viene { fecha, valor } devolveme fecha; si viene string, devolveme eso.
-    const pickFecha = (x) =>
-      x && typeof x === "object" ? x.fecha ?? "" : x ?? ""
-
-    // Soporta varias formas posibles de respuesta
-    const compraRaw =
-      json?.compra ??
-      json?.tipoCambioCompra ??
-      json?.dolar?.compra ??
-      json?.data?.tipoCambioCompra
-
-    const ventaRaw =
-      json?.venta ??
-      json?.tipoCambioVenta ??
-      json?.dolar?.venta ??
-      json?.data?.tipoCambioVenta
-
-    const compra = pickValor(compraRaw)
-    const venta = pickValor(ventaRaw)
-
-    // fecha puede venir aparte o dentro del mismo objeto
-    const fecha =
-      json?.fecha ??
-      json?.data?.fecha ??
-      pickFecha(compraRaw) ??
-      pickFecha(ventaRaw)
-
-    if (!compra && !venta) throw new Error("Sin datos de tipo de cambio")
-
-    setFx({ compra, venta, fecha })
-  } catch (e) {
-    setFx(null)
-    setFxError("Tipo de cambio no disponible")
-  }
-}
-
-
   /* ================= CABYS ================= */
   const [cabysQ, setCabysQ] = useState("")
   const [cabysTop, setCabysTop] = useState(10)
@@ -229,10 +170,28 @@ export default function App() {
   const [cabysError, setCabysError] = useState("")
   const [cabysPage, setCabysPage] = useState(0)
   const [cabysLastTopRequested, setCabysLastTopRequested] = useState(0)
+  // Categoría que se está explorando ({ nivel, codigo, descripcion }) y vista tabla/árbol
+  const [cabysScope, setCabysScope] = useState(null)
+  const [cabysView, setCabysView] = useState("tabla")
+  // Orden y filtros de la tabla de resultados (ver DataTable)
+  const [cabysTableView, setCabysTableView] = useState(TABLE_VIEW_EMPTY)
+  // De dónde salieron los resultados: "api" o "offline" (catálogo importado)
+  const [cabysSource, setCabysSource] = useState("api")
+  const [cabysOfflineMeta, setCabysOfflineMeta] = useState(null)
+  // Contexto cuando la búsqueda se abrió desde otro panel: { panel, label }
+  const [cabysFrom, setCabysFrom] = useState(null)
+  const cabysCardRef = useRef(null)
+
+  useEffect(() => {
+    loadOfflineCatalog()
+      .then((cat) => setCabysOfflineMeta(cat?.meta || null))
+      .catch(() => setCabysOfflineMeta(null))
+  }, [])
 
   const [cabysSuggest, setCabysSuggest] = useState([])
   const [cabysSuggestOpen, setCabysSuggestOpen] = useState(false)
   const [cabysSuggestLoading, setCabysSuggestLoading] = useState(false)
+  const [cabysSuggestActive, setCabysSuggestActive] = useState(-1)
   const suggestBoxRef = useRef(null)
 
   const cabysQueryTrim = useMemo(() => cabysQ.trim(), [cabysQ])
@@ -244,58 +203,163 @@ export default function App() {
     return Math.min(50, Math.max(5, n))
   }, [cabysTop])
 
-  async function consultarCabys({ resetPage = false } = {}) {
-    if (!cabysCanSearch) return
-    if (resetPage) setCabysPage(0)
-
+  // Trae lo necesario para mostrar `page`; el pager "Siguiente" usa esta misma consulta.
+  // `cat`: código de la categoría que se explora (va a la URL); quien limpia el scope pasa "".
+  async function consultarCabys({
+    page = 0,
+    q = cabysQueryTrim,
+    top,
+    size = pageSize,
+    cat = cabysScope?.codigo || "",
+  } = {}) {
+    if (!q) return
+
+    pushUrl({ cabys: q, cat, size, page: isCabysCode(q) ? 0 : page })
     setCabysLoading(true)
     setCabysError("")
     try {
-      const neededTop = Math.min(50, pageSize * ((resetPage ? 0 : cabysPage) + 1))
+      // Código exacto de 13 dígitos: consulta directa, sin paginación
+      if (isCabysCode(q)) {
+        setCabysLastTopRequested(0)
+        const items = await fetchCabysByCode(q)
+        setCabysSource("api")
+        setCabysData(items)
+        setCabysPage(0)
+        if (!items.length) setCabysError(t("cabys.notFound", { codigo: q }))
+        else setHistory((h) => addRecent(h, "cabys", { q, label: items[0].descripcion }))
+        return
+      }
+
+      const neededTop = top ?? Math.min(50, size * (page + 1))
+      const items = await searchCabys(q, neededTop)
       setCabysLastTopRequested(neededTop)
-
-      const res = await fetch(
-        `/hacienda/fe/cabys?q=${encodeURIComponent(cabysQueryTrim)}&top=${neededTop}`,
-        { cache: "no-store" }
-      )
-      if (!res.ok) throw new Error(`HTTP ${res.status}`)
-      const json = await res.json()
-      setCabysData(json.cabys || [])
+      setCabysSource("api")
+      setCabysData(items)
+      setCabysPage(page)
+      if (page === 0) setHistory((h) => addRecent(h, "cabys", { q }))
     } catch (e) {
-      setCabysData([])
-      setCabysError(e?.message || "Error consultando CABYS")
+      // Hacienda caído o respondiendo basura: si hay catálogo importado, se busca local
+      const cat = e instanceof NotFoundError ? null : await loadOfflineCatalog().catch(() => null)
+      if (cat) {
+        setCabysLastTopRequested(0)
+        setCabysSource("offline")
+        const items = searchOfflineCatalog(cat, q, 50)
+        setCabysData(items)
+        setCabysPage(0)
+        if (!items.length) setCabysError(t("cabys.offlineEmpty"))
+      } else {
+        setCabysError(e?.message || t("cabys.error"))
+        if (page === 0) setCabysData([])
+      }
     } finally {
       setCabysLoading(false)
     }
   }
 
-  //  useEffect(() => {
-  //    const q = cabysQueryTrim
-  //    if (q.length < 2) {
-  //      setCabysSuggest([])
-  //      setCabysSuggestOpen(false)
-  //      return
-  //    }
-  //
-  //    const t = setTimeout(async () => {
-  //      setCabysSuggestLoading(true)
-  //      try {
-  //        const res = await fetch(`/hacienda/fe/cabys?q=${encodeURIComponent(q)}&top=10`, {
-  //          cache: "no-store",
-  //        })
-  //        const json = await res.json()
-  //        setCabysSuggest(json.cabys || [])
-  //        setCabysSuggestOpen(true)
-  //      } catch {
-  //        setCabysSuggest([])
-  //        setCabysSuggestOpen(false)
-  //      } finally {
-  //        setCabysSuggestLoading(false)
-  //      }
-  //    }, 400)
-  //
-  //    return () => clearTimeout(t)
-  //  }, [cabysQueryTrim])
+  async function goCabysPage(page) {
+    const needTop = Math.min(50, pageSize * (page + 1))
+    pushUrl({ page })
+    if (cabysSource === "api" && cabysData.length < needTop) {
+      await consultarCabys({ page })
+    } else {
+      setCabysPage(page)
+    }
+  }
+
+  /* ---------- typeahead ---------- */
+  // Debounce + cancelación + caché por consulta para no saturar el API de Hacienda
+  const suggestCacheRef = useRef(new Map())
+  const suggestTimerRef = useRef(null)
+  const suggestAbortRef = useRef(null)
+
+  function cancelCabysSuggest() {
+    clearTimeout(suggestTimerRef.current)
+    suggestAbortRef.current?.abort()
+    suggestAbortRef.current = null
+    setCabysSuggestLoading(false)
+  }
+
+  function closeCabysSuggest() {
+    cancelCabysSuggest()
+    setCabysSuggestOpen(false)
+    setCabysSuggestActive(-1)
+  }
+
+  function requestCabysSuggest(value) {
+    cancelCabysSuggest()
+    setCabysSuggestActive(-1)
+
+    const q = value.trim()
+    const key = normalizeText(q)
+    if (q.length < CABYS_SUGGEST_MIN || /^\d+$/.test(q)) {
+      setCabysSuggest([])
+      setCabysSuggestOpen(false)
+      return
+    }
+
+    const cached = suggestCacheRef.current.get(key)
+    if (cached) {
+      setCabysSuggest(cached)
+      setCabysSuggestOpen(true)
+      return
+    }
+
+    suggestTimerRef.current = setTimeout(async () => {
+      const ctrl = new AbortController()
+      suggestAbortRef.current = ctrl
+      setCabysSuggestLoading(true)
+      try {
+        const items = await searchCabys(q, CABYS_SUGGEST_TOP, { signal: ctrl.signal })
+        const cache = suggestCacheRef.current
+        cache.set(key, items)
+        if (cache.size > CABYS_SUGGEST_CACHE) cache.delete(cache.keys().next().value)
+        setCabysSuggest(items)
+        setCabysSuggestOpen(true)
+      } catch (e) {
+        if (e?.name === "AbortError") return
+        setCabysSuggest([])
+        setCabysSuggestOpen(false)
+      } finally {
+        if (suggestAbortRef.current === ctrl) {
+          suggestAbortRef.current = null
+          setCabysSuggestLoading(false)
+        }
+      }
+    }, CABYS_SUGGEST_DELAY)
+  }
+
+  // La sugerencia ya trae el código: se consulta ese producto (fetchCabysByCode), no su descripción
+  function pickCabysSuggest(item) {
+    const q = String(item.codigo || "")
+    closeCabysSuggest()
+    setCabysQ(q)
+    setCabysScope(null)
+    consultarCabys({ q, cat: "" })
+  }
+
+  function onCabysKeyDown(e) {
+    const n = cabysSuggest.length
+    const open = cabysSuggestOpen && n > 0
+
+    if (e.key === "ArrowDown" && n > 0) {
+      e.preventDefault()
+      setCabysSuggestOpen(true)
+      setCabysSuggestActive((i) => (open ? (i + 1) % n : 0))
+    } else if (e.key === "ArrowUp" && open) {
+      e.preventDefault()
+      setCabysSuggestActive((i) => (i <= 0 ? n - 1 : i - 1))
+    } else if (e.key === "Enter") {
+      e.preventDefault()
+      if (open && cabysSuggestActive >= 0) {
+        pickCabysSuggest(cabysSuggest[cabysSuggestActive])
+      } else {
+        closeCabysSuggest()
+        consultarCabys()
+      }
+    } else if (e.key === "Escape") {
+      closeCabysSuggest()
+    }
+  }
 
   useEffect(() => {
     function onDocClick(e) {
@@ -306,19 +370,71 @@ export default function App() {
     return () => document.removeEventListener("mousedown", onDocClick)
   }, [])
 
-  const cabysTotal = cabysData.length
+  // Explorando una categoría solo se muestra lo que cuelga de ella (su código es prefijo)
+  const cabysVisible = useMemo(
+    () =>
+      cabysScope ? cabysData.filter((c) => String(c.codigo).startsWith(cabysScope.codigo)) : cabysData,
+    [cabysData, cabysScope]
+  )
+
+  // Con el catálogo importado se recorre la categoría por prefijo de código. Sin él, el API solo
+  // busca texto: se consulta la descripción de la categoría y cabysVisible deja lo que cuelga de ella.
+  // La URL guarda el código de la categoría (cat) para volver a esta misma vista.
+  async function browseCabys(crumb, { size = pageSize } = {}) {
+    setCabysScope(crumb)
+    setCabysQ(crumb.descripcion)
+    const cat = await loadOfflineCatalog().catch(() => null)
+    if (!cat) {
+      consultarCabys({ q: crumb.descripcion, top: 50, size, cat: crumb.codigo })
+      return
+    }
+    pushUrl({ cabys: crumb.descripcion, cat: crumb.codigo, size, page: 0 })
+    const items = searchOfflineCatalog(cat, crumb.codigo, CABYS_BROWSE_TOP)
+    setCabysError(items.length ? "" : t("cabys.offlineEmpty"))
+    setCabysLastTopRequested(0)
+    setCabysSource("offline")
+    setCabysData(items)
+    setCabysPage(0)
+  }
+
+  const cabysColumns = [
+    { key: "codigo", label: "col.codigo", className: "mono" },
+    {
+      key: "descripcion",
+      label: "col.descripcion",
+      render: (c, query) => (
+        <>
+          <Highlight text={c.descripcion} query={query} />
+          <CabysBreadcrumb item={c} onBrowse={browseCabys} />
+        </>
+      ),
+    },
+    {
+      key: "impuesto",
+      label: "col.impuesto",
+      value: (c) => Number(c.impuesto),
+      render: (c) => formatPercent(c.impuesto),
+      options: CABYS_TARIFAS.map((n) => ({ value: String(n), label: formatPercent(n) })),
+    },
+  ]
+
+  // La paginación va sobre lo que queda después de ordenar y filtrar
+  const cabysRows = applyTableView(cabysVisible, cabysColumns, cabysTableView)
+  const cabysTotal = cabysRows.length
   const cabysStart = cabysPage * pageSize
   const cabysEnd = cabysStart + pageSize
-  const cabysPageRows = cabysData.slice(cabysStart, cabysEnd)
+  const cabysPageRows = cabysRows.slice(cabysStart, cabysEnd)
   const cabysHasPrev = cabysPage > 0
   const cabysHasNext =
     cabysEnd < cabysTotal ||
-    (cabysTotal === cabysLastTopRequested && cabysLastTopRequested < 50)
+    (cabysVisible.length === cabysLastTopRequested && cabysLastTopRequested < 50)
 
-  async function copyCabysCsv() {
-    const rows = cabysPageRows.map((c) => [c.codigo, c.descripcion, `${c.impuesto}%`])
-    const csv = toCsv(rows, ["codigo", "descripcion", "impuesto"])
-    await copyText(csv)
+  function changeCabysTableView(view) {
+    setCabysTableView(view)
+    if (cabysPage !== 0) {
+      setCabysPage(0)
+      pushUrl({ page: 0 })
+    }
   }
 
   function downloadCabysXlsx() {
@@ -335,29 +451,47 @@ export default function App() {
     await copyText(String(code || ""))
   }
 
+  function runCabysFrom(q, from = null) {
+    closeCabysSuggest()
+    setCabysQ(q)
+    setCabysScope(null)
+    setCabysFrom(from)
+    consultarCabys({ q, cat: "" })
+  }
+
   /* ================= AE ================= */
   const [aeId, setAeId] = useState("")
   const [aeData, setAeData] = useState(null)
   const [aeLoading, setAeLoading] = useState(false)
   const [aeError, setAeError] = useState("")
+  // Hora, tiempo de respuesta y JSON crudo de la última consulta (para la constancia)
+  const [aeMeta, setAeMeta] = useState(null)
+  const [constancia, setConstancia] = useState(null)
+  const [aeFrom, setAeFrom] = useState(null)
+  // Actividad con las búsquedas CABYS sugeridas abiertas
+  const [aeCabysOpen, setAeCabysOpen] = useState(null)
+  const [aeTableView, setAeTableView] = useState(TABLE_VIEW_EMPTY)
+  const aeCardRef = useRef(null)
 
   const aeIdDigits = useMemo(() => onlyDigits(aeId), [aeId])
-  const aeValid = useMemo(() => isValidAeId(aeId), [aeId])
+  const aeIdInfo = useMemo(() => detectCedula(aeId), [aeId])
+  const aeValid = aeIdInfo.valid
 
-  async function consultarAE() {
-    if (!aeValid) return
+  async function consultarAE(id = aeIdDigits) {
+    if (!detectCedula(id).valid) return
+    pushUrl({ ae: id })
     setAeLoading(true)
     setAeError("")
     try {
-      const res = await fetch(`/hacienda/fe/ae?identificacion=${aeIdDigits}`, {
-        cache: "no-store",
-      })
-      if (!res.ok) throw new Error(`HTTP ${res.status}`)
-      const json = await res.json()
+      const meta = await fetchAe(id, { meta: true })
+      const json = meta.data
       setAeData(json)
+      setAeMeta(meta)
+      setHistory((h) => addRecent(h, "ae", { q: id, label: json?.nombre }))
     } catch (e) {
       setAeData(null)
-      setAeError(e?.message || "Error consultando AE")
+      setAeMeta(null)
+      setAeError(e?.message || t("ae.error"))
     } finally {
       setAeLoading(false)
     }
@@ -379,28 +513,50 @@ export default function App() {
     if (!aeData) return
     const s = aeData?.situacion || {}
     const lines = [
-      `Contribuyente (AE)`,
-      `Nombre: ${aeData.nombre || "-"}`,
-      `Identificación: ${aeJsonId || "-"}`,
-      `Régimen: ${aeData.regimen?.descripcion || "-"}`,
-      `Estado: ${s.estado || "-"}`,
-      `Moroso: ${s.moroso || "-"}`,
-      `Omiso: ${s.omiso || "-"}`,
-      `Administración Tributaria: ${s.administracionTributaria || "-"}`,
+      t("ae.summaryTitle"),
+      `${t("ae.nombre")}: ${aeData.nombre || "-"}`,
+      `${t("ae.id")}: ${aeJsonId || "-"}`,
+      `${t("ae.regimen")}: ${aeData.regimen?.descripcion || "-"}`,
+      `${t("ae.estado")}: ${s.estado || "-"}`,
+      `${t("ae.moroso")}: ${s.moroso || "-"}`,
+      `${t("ae.omiso")}: ${s.omiso || "-"}`,
+      `${t("ae.administracion")}: ${s.administracionTributaria || "-"}`,
     ].join("\n")
     await copyText(lines)
   }
 
-  async function copyAeActividadesCsv() {
-    if (!aeData?.actividades?.length) return
-    const rows = aeData.actividades.map((a) => [
-      a.codigo,
-      a.descripcion,
-      a.tipo === "P" ? "Principal" : "Secundaria",
-      a.estado === "A" ? "Activa" : "Inactiva",
-    ])
-    const csv = toCsv(rows, ["codigo", "descripcion", "tipo", "estado"])
-    await copyText(csv)
+  // Desde otro panel (TSE, titular de una exoneración, emisor de una clave): consulta su situación en AE
+  function openAeFrom(x, panel = "TSE") {
+    const id = onlyDigits(String(x.cedula || ""))
+    if (!detectCedula(id).valid) return
+    setAeId(id)
+    setAeFrom({ panel, label: x.nombre || id })
+    consultarAE(id)
+    aeCardRef.current?.scrollIntoView({ behavior: "smooth", block: "start" })
+  }
+
+  // Desde una actividad de AE: búsqueda CABYS sugerida
+  function openCabysFromActividad(a, q) {
+    const label = t("ae.fromActividad", { nombre: aeData?.nombre || aeJsonId, codigo: a.codigo })
+    runCabysFrom(q, { panel: "AE", label })
+    cabysCardRef.current?.scrollIntoView({ behavior: "smooth", block: "start" })
+  }
+
+  // La constancia certifica una consulta en vivo: se vuelve a preguntar sin caché
+  async function generarConstancia() {
+    if (!aeData || !aeMeta) return
+    setAeLoading(true)
+    setAeError("")
+    try {
+      const meta = await fetchAe(aeJsonId, { meta: true, fresh: true })
+      setAeData(meta.data)
+      setAeMeta(meta)
+      setConstancia(await buildConstancia(meta, aeJsonId))
+    } catch (e) {
+      setAeError(e?.message || t("ae.error"))
+    } finally {
+      setAeLoading(false)
+    }
   }
 
   function downloadAeActividadesXlsx() {
@@ -408,8 +564,8 @@ export default function App() {
     const rows = aeData.actividades.map((a) => ({
       codigo: a.codigo,
       descripcion: a.descripcion,
-      tipo: a.tipo === "P" ? "Principal" : "Secundaria",
-      estado: a.estado === "A" ? "Activa" : "Inactiva",
+      tipo: actividadTipo(a),
+      estado: actividadEstado(a),
     }))
     downloadXlsx("actividades_ae.xlsx", "Actividades", rows, [
       "codigo",
@@ -419,26 +575,60 @@ export default function App() {
     ])
   }
 
+  const actividadColumns = [
+    { key: "codigo", label: "col.codigo", className: "mono" },
+    { key: "descripcion", label: "col.descripcion", highlight: true },
+    {
+      key: "tipo",
+      label: "col.tipo",
+      render: actividadTipo,
+      options: ["P", "S"].map((v) => ({ value: v, label: t(`ae.tipo.${v}`) })),
+    },
+    {
+      key: "estado",
+      label: "col.estado",
+      render: actividadEstado,
+      options: ["A", "I"].map((v) => ({ value: v, label: t(`ae.estado.${v}`) })),
+    },
+  ]
+  const aeRows = applyTableView(aeData?.actividades || [], actividadColumns, aeTableView)
+
+  function toggleAeCabys(a) {
+    const key = actividadKey(a)
+    setAeCabysOpen((open) => (open === key ? null : key))
+  }
+
   /* ================= GOMETA CEDULAS ================= */
   const [cedQuery, setCedQuery] = useState("")
   const [cedLoading, setCedLoading] = useState(false)
   const [cedError, setCedError] = useState("")
   const [cedItems, setCedItems] = useState([])
+  const [cedTableView, setCedTableView] = useState(TABLE_VIEW_EMPTY)
 
   const cedQueryTrim = useMemo(() => cedQuery.trim(), [cedQuery])
-  const cedCanSearch = cedQueryTrim.length > 0
+  // Si escriben solo números, se valida como cédula antes de pegarle a gometa
+  const cedIdInfo = useMemo(
+    () => (looksLikeCedula(cedQueryTrim) ? detectCedula(cedQueryTrim) : null),
+    [cedQueryTrim]
+  )
+  const cedCanSearch = cedQueryTrim.length > 0 && (!cedIdInfo || cedIdInfo.valid)
 
-  async function consultarCedulas() {
-    if (!cedCanSearch) return
+  async function consultarCedulas(q = cedQueryTrim) {
+    if (!q || (looksLikeCedula(q) && !detectCedula(q).valid)) return
+    pushUrl({ ced: q })
     setCedLoading(true)
     setCedError("")
     setCedItems([])
     try {
-      const json = await fetchJsonSafe(`/gometa/cedulas/${encodeURIComponent(cedQueryTrim)}`)
-      const norm = normalizeGometaResponse(json)
+      const norm = await searchCedulas(q)
       setCedItems(norm.items)
+      if (!norm.items.length) setCedError(t("ced.empty"))
+      else {
+        const label = norm.items.length === 1 ? norm.items[0].nombre : ""
+        setHistory((h) => addRecent(h, "cedulas", { q, label }))
+      }
     } catch (e) {
-      setCedError(e?.message || "Error consultando Cédulas (gometa)")
+      setCedError(e?.message || t("ced.error"))
     } finally {
       setCedLoading(false)
     }
@@ -454,118 +644,245 @@ export default function App() {
     downloadXlsx("cedulas_gometa.xlsx", "Cedulas", rows, ["cedula", "nombre", "tipo"])
   }
 
+  const cedulaColumns = [
+    { key: "cedula", label: "col.cedula", className: "mono" },
+    {
+      key: "nombre",
+      label: "col.nombre",
+      render: (x, query) => (
+        <button className="linkBtn" type="button" title={t("ced.viewAe")} onClick={() => openAeFrom(x)}>
+          <Highlight text={x.nombre} query={query} />
+        </button>
+      ),
+    },
+    { key: "tipo", label: "col.tipo", className: "mono" },
+  ]
+  const cedRows = applyTableView(cedItems, cedulaColumns, cedTableView)
+
+  /* ================= EXPORTAR SESIÓN ================= */
+  const [sessionError, setSessionError] = useState("")
+
+  async function exportSession(format) {
+    setSessionError("")
+    const session = await buildSession({
+      ae: aeData ? { identificacion: aeJsonId, data: aeData, meta: aeMeta } : null,
+      cabys: { query: cabysQueryTrim, source: cabysSource, items: cabysVisible },
+      cedulas: { query: cedQueryTrim, items: cedItems },
+      fx,
+    })
+    if (sessionIsEmpty(session)) {
+      setSessionError(t("session.empty"))
+      return
+    }
+    const name = `sesion_hacienda_${isoDate()}`
+    if (format === "json") {
+      downloadBlob(`${name}.json`, new Blob([sessionJson(session)], { type: "application/json" }))
+    } else {
+      downloadXlsxSheets(`${name}.xlsx`, sessionSheets(session))
+    }
+  }
+
+  /* ================= ENLACES (URL) ================= */
+  // Último estado escrito/leído de la URL: al volver con atrás/adelante solo se
+  // repiten las consultas de los paneles que cambiaron
+  const urlStateRef = useRef(EMPTY_URL_STATE)
+  const applyUrlStateRef = useRef(null)
+
+  function pushUrl(patch) {
+    updateUrlState(patch)
+    urlStateRef.current = readUrlState()
+  }
+
+  function applyUrlState(next) {
+    const prev = urlStateRef.current
+    urlStateRef.current = next
+
+    if (next.ae !== prev.ae) {
+      setAeId(next.ae)
+      setAeFrom(null)
+      if (next.ae) consultarAE(next.ae)
+      else {
+        setAeData(null)
+        setAeMeta(null)
+        setAeError("")
+      }
+    }
+
+    if (next.cabys !== prev.cabys || next.cat !== prev.cat || next.size !== prev.size) {
+      closeCabysSuggest()
+      setCabysQ(next.cabys)
+      setCabysTop(next.size)
+      setCabysFrom(null)
+      const nivel = cabysNivel(next.cat)
+      if (next.cabys && nivel) {
+        browseCabys({ nivel, codigo: next.cat, descripcion: next.cabys }, { size: next.size })
+      } else if (next.cabys) {
+        setCabysScope(null)
+        consultarCabys({ q: next.cabys, page: next.page, size: next.size, cat: "" })
+      } else {
+        setCabysScope(null)
+        setCabysData([])
+        setCabysError("")
+        setCabysPage(0)
+      }
+    } else if (next.page !== prev.page) {
+      goCabysPage(next.page)
+    }
+
+    if (next.ced !== prev.ced) {
+      setCedQuery(next.ced)
+      if (next.ced) consultarCedulas(next.ced)
+      else {
+        setCedItems([])
+        setCedError("")
+      }
+    }
+  }
+
+  useEffect(() => {
+    applyUrlStateRef.current = applyUrlState
+  })
+
+  useEffect(() => {
+    const onPopState = () => applyUrlStateRef.current(readUrlState())
+    onPopState()
+    window.addEventListener("popstate", onPopState)
+    return () => window.removeEventListener("popstate", onPopState)
+  }, [])
+
   return (
     <div className="page">
       <div className="container">
         <header className="top">
           <div className="topLeft">
-            <h1>Herramienta de consulta</h1>
-            <p>CABYS y consulta de status contribuyente</p>
+            <h1>{t("app.title")}</h1>
+            <p>{t("app.subtitle")}</p>
+            {DEMO_LABEL[import.meta.env.MODE] && (
+              <span className="chip warn demoChip">{t(DEMO_LABEL[import.meta.env.MODE])}</span>
+            )}
           </div>
 
+          <select
+            className="langSelect"
+            value={lang}
+            onChange={(e) => setLang(e.target.value)}
+            aria-label={t("app.lang")}
+            title={t("app.lang")}
+          >
+            {Object.entries(LANGS).map(([code, l]) => (
+              <option key={code} value={code}>
+                {l.label}
+              </option>
+            ))}
+          </select>
+
           {/* ================= TIPO DE CAMBIO (BCCR) ================= */}
-          <div className="fxCard" title="Tipo de cambio (USD)">
-            <div className="fxTitle">Tipo de cambio</div>
+          <div className="fxCard" title={t("fx.cardTitle")}>
+            <div className="fxTitle">{t("fx.title")}</div>
+            <button
+              className="btnGhost fxBtn"
+              onClick={() => setFxConvOpen((v) => !v)}
+              type="button"
+              title={t("fx.converter")}
+            >
+              🧮
+            </button>
 
             {fxLoading ? (
-              <div className="fxRow muted">Cargando…</div>
+              <div className="fxRow muted">{t("fx.loading")}</div>
             ) : fx ? (
               <>
                 <div className="fxRow">
-                  <span className="fxLabel">Compra</span>
-                  <span className="fxValue">₡{fx.compra}</span>
+                  <span className="fxLabel">{t("fx.compra")}</span>
+                  <span className="fxValue">{formatMoney(Number(fx.compra))}</span>
                 </div>
                 <div className="fxRow">
-                  <span className="fxLabel">Venta</span>
-                  <span className="fxValue">₡{fx.venta}</span>
+                  <span className="fxLabel">{t("fx.venta")}</span>
+                  <span className="fxValue">{formatMoney(Number(fx.venta))}</span>
                 </div>
-                <div className="fxDate muted">Actualizado al: {formatFechaCR(fx.fecha)}</div>
+                <div className="fxDate muted">{t("fx.updated", { fecha: formatDate(fx.fecha) })}</div>
               </>
             ) : (
-              <div className="fxRow bad">{fxError || "No disponible"}</div>
+              <div className="fxRow bad">{fxError || t("fx.unavailable")}</div>
             )}
           </div>
         </header>
 
-        {/* ================= API STATUS CARD ================= */}
-        <section className="card apiStatusCard">
-          <div className="apiHead">
-            <div>
-              <div className="apiTitle">Estado de los APIs</div>
-              <div className="apiSub">Hacienda (proxy /hacienda) — Auto cada 1 minuto</div>
-            </div>
-
-            <button className="btnGhost" onClick={refreshApiStatus} type="button">
-              🔄 Revisar ahora
-            </button>
-          </div>
+        {fxConvOpen && <FxConverter fx={fx} />}
 
-          <div className="apiBody">
-            {apiStatus?.ok ? (
-              <div className="apiOk">
-                <span className="dot ok" />
-                <span className="apiLine">
-                  Operacional — respuesta en <b>{apiStatus.ms} ms</b>
-                </span>
-              </div>
-            ) : (
-              <div className="apiBad">
-                <span className="dot bad" />
-                <span className="apiLine">Sin respuesta</span>
-              </div>
-            )}
+        {constancia && <Constancia constancia={constancia} onClose={() => setConstancia(null)} />}
 
-            {apiStatus?.at && (
-              <div className="muted">Última revisión: {apiStatus.at.toLocaleString()}</div>
-            )}
-          </div>
-        </section>
+        {/* ================= API STATUS CARD ================= */}
+        <ApiHealth />
 
         {/* ================= MAIN GRID ================= */}
         <main className="grid2">
           {/* CABYS */}
-          <section className="card">
-            <h2>Consulta de CABYS</h2>
+          <section className="card" ref={cabysCardRef}>
+            <div className="cardHead">
+              <h2>{t("cabys.title")}</h2>
+              <FromChip from={cabysFrom} onClear={() => setCabysFrom(null)} />
+              {cabysSource === "offline" && cabysData.length > 0 && (
+                <span className="chip warn" title={t(cabysScope ? "cabys.browseTitle" : "cabys.offlineTitle")}>
+                  {t("cabys.offline")}
+                  {cabysOfflineMeta?.version ? ` · ${formatDate(`${cabysOfflineMeta.version}T00:00:00`)}` : ""}
+                </span>
+              )}
+            </div>
 
-            <label>Búsqueda por nombre</label>
+            <label>{t("cabys.search")}</label>
             <div className="suggestWrap" ref={suggestBoxRef}>
               <input
                 value={cabysQ}
                 onChange={(e) => {
                   setCabysQ(e.target.value)
                   setCabysPage(0)
+                  setCabysScope(null)
+                  setCabysFrom(null)
+                  requestCabysSuggest(e.target.value)
+                }}
+                onFocus={() => {
+                  if (cabysSuggest.length > 0) setCabysSuggestOpen(true)
                 }}
-                //                onFocus={() => {
-                //                  if (cabysSuggest.length > 0) setCabysSuggestOpen(true)
-                //                }}
-                placeholder="Ej: arroz"
+                onKeyDown={onCabysKeyDown}
+                placeholder={t("cabys.placeholder")}
+                role="combobox"
+                aria-expanded={cabysSuggestOpen && cabysSuggest.length > 0}
+                aria-controls="cabys-suggest"
+                aria-activedescendant={
+                  cabysSuggestActive >= 0 ? `cabys-suggest-${cabysSuggestActive}` : undefined
+                }
               />
 
-              {cabysSuggestLoading && <div className="suggestHint muted">Buscando…</div>}
+              {cabysSuggestLoading && <div className="suggestHint muted">{t("cabys.suggesting")}</div>}
 
               {cabysSuggestOpen && cabysSuggest.length > 0 && (
-                <div className="suggestList">
-                  {cabysSuggest.map((s) => (
+                <div className="suggestList" id="cabys-suggest" role="listbox">
+                  {cabysSuggest.map((s, i) => (
                     <button
                       type="button"
                       key={s.codigo}
-                      className="suggestItem"
-                      onClick={() => {
-                        setCabysQ(s.descripcion || "")
-                        setCabysSuggestOpen(false)
-                        setTimeout(() => consultarCabys({ resetPage: true }), 0)
-                      }}
+                      id={`cabys-suggest-${i}`}
+                      role="option"
+                      aria-selected={i === cabysSuggestActive}
+                      className={`suggestItem ${i === cabysSuggestActive ? "active" : ""}`}
+                      onMouseEnter={() => setCabysSuggestActive(i)}
+                      onClick={() => pickCabysSuggest(s)}
                     >
                       <span className="mono">{s.codigo}</span>
-                      <span className="suggestText">{s.descripcion}</span>
-                      <span className="suggestTax">{s.impuesto}%</span>
+                      <span className="suggestText">
+                        <Highlight text={s.descripcion} query={cabysQueryTrim} />
+                      </span>
+                      <span className="suggestTax">{formatPercent(s.impuesto)}</span>
                     </button>
                   ))}
                 </div>
               )}
             </div>
 
-            <label>Resultados por página</label>
+            <HistoryBar {...historyHandlers("cabys", runCabysFrom)} />
+
+            <label>{t("cabys.pageSize")}</label>
             <input
               type="number"
               min="5"
@@ -580,20 +897,14 @@ export default function App() {
             <div className="row">
               <button
                 className="btnPrimary"
-                onClick={() => consultarCabys({ resetPage: true })}
+                onClick={() => {
+                  closeCabysSuggest()
+                  consultarCabys()
+                }}
                 disabled={!cabysCanSearch || cabysLoading}
                 type="button"
               >
-                {cabysLoading ? "Consultando…" : "Consultar"}
-              </button>
-
-              <button
-                className="btnGhost"
-                onClick={copyCabysCsv}
-                disabled={!cabysPageRows.length}
-                type="button"
-              >
-                Copiar CSV
+                {t(cabysLoading ? "common.consultando" : "common.consultar")}
               </button>
 
               <button
@@ -602,151 +913,214 @@ export default function App() {
                 disabled={!cabysPageRows.length}
                 type="button"
               >
-                Descargar XLSX
+                {t("common.downloadXlsx")}
               </button>
             </div>
 
+            {cabysVisible.length > 0 && (
+              <CsvExport
+                fileName="cabys"
+                rows={cabysRows}
+                pageRows={cabysPageRows}
+                columns={CABYS_CSV_COLUMNS}
+              />
+            )}
+
             {cabysError && <div className="alert">⚠️ {cabysError}</div>}
 
-            {cabysTotal > 0 && (
+            {cabysScope && (
+              <div className="scopeBar">
+                <span>
+                  {t("cabys.exploring", { nivel: t(cabysScope.nivel) })}{" "}
+                  <span className="mono">{cabysScope.codigo}</span> — {cabysScope.descripcion}
+                </span>
+                <button
+                  className="linkBtn"
+                  onClick={() => {
+                    setCabysScope(null)
+                    pushUrl({ cat: "" })
+                  }}
+                  type="button"
+                >
+                  {t("cabys.clearScope")}
+                </button>
+              </div>
+            )}
+
+            {cabysVisible.length > 0 && (
+              <div className="row tabs">
+                <button
+                  className={cabysView === "tabla" ? "btnPrimary" : "btnGhost"}
+                  onClick={() => setCabysView("tabla")}
+                  type="button"
+                >
+                  {t("cabys.viewTable")}
+                </button>
+                <button
+                  className={cabysView === "arbol" ? "btnPrimary" : "btnGhost"}
+                  onClick={() => setCabysView("arbol")}
+                  type="button"
+                >
+                  {t("cabys.viewTree")}
+                </button>
+              </div>
+            )}
+
+            {cabysView === "arbol" && cabysVisible.length > 0 && (
+              <CabysTree items={cabysVisible} onBrowse={browseCabys} onCopy={copyCabysCode} />
+            )}
+
+            {cabysView === "tabla" && cabysVisible.length > 0 && (
               <div className="pager">
                 <button
                   className="btnGhost"
                   disabled={!cabysHasPrev}
-                  onClick={() => setCabysPage((p) => Math.max(0, p - 1))}
+                  onClick={() => goCabysPage(Math.max(0, cabysPage - 1))}
                   type="button"
                 >
-                  ◀ Anterior
+                  {t("cabys.prev")}
                 </button>
 
                 <div className="muted">
-                  Página {cabysPage + 1} — Mostrando {Math.min(cabysEnd, cabysTotal)} de {cabysTotal}
+                  {t("cabys.pager", {
+                    page: cabysPage + 1,
+                    shown: Math.min(cabysEnd, cabysTotal),
+                    total: cabysTotal,
+                  })}
                 </div>
 
                 <button
                   className="btnGhost"
                   disabled={!cabysHasNext}
-                  onClick={async () => {
-                    const nextPage = cabysPage + 1
-                    const needTop = Math.min(50, pageSize * (nextPage + 1))
-
-                    if (cabysData.length < needTop) {
-                      setCabysLoading(true)
-                      setCabysError("")
-                      try {
-                        const res = await fetch(
-                          `/hacienda/fe/cabys?q=${encodeURIComponent(
-                            cabysQueryTrim
-                          )}&top=${needTop}`,
-                          { cache: "no-store" }
-                        )
-                        if (!res.ok) throw new Error(`HTTP ${res.status}`)
-                        const json = await res.json()
-                        const items = json.cabys || []
-                        setCabysData(items)
-                        setCabysLastTopRequested(needTop)
-                      } catch (e) {
-                        setCabysError(e?.message || "Error consultando CABYS")
-                        setCabysLoading(false)
-                        return
-                      } finally {
-                        setCabysLoading(false)
-                      }
-                    } else {
-                      setCabysLastTopRequested(needTop)
-                    }
-
-                    setCabysPage(nextPage)
-                  }}
+                  onClick={() => goCabysPage(cabysPage + 1)}
                   type="button"
                 >
-                  Siguiente ▶
+                  {t("cabys.next")}
                 </button>
               </div>
             )}
 
-            {cabysPageRows.length > 0 && (
-              <table>
-                <thead>
-                  <tr>
-                    <th>Código</th>
-                    <th>Descripción</th>
-                    <th>Impuesto</th>
-                    <th className="thRight">Copiar</th>
-                  </tr>
-                </thead>
-                <tbody>
-                  {cabysPageRows.map((c) => (
-                    <tr key={c.codigo}>
-                      <td className="mono">{c.codigo}</td>
-                      <td>{c.descripcion}</td>
-                      <td>{c.impuesto}%</td>
-                      <td className="tdRight">
-                        <button
-                          className="iconBtn"
-                          type="button"
-                          title="Copiar código"
-                          onClick={() => copyCabysCode(c.codigo)}
-                        >
-                          📋
-                        </button>
-                      </td>
-                    </tr>
-                  ))}
-                </tbody>
-              </table>
+            {cabysView === "tabla" && cabysVisible.length > 0 && (
+              <DataTable
+                columns={cabysColumns}
+                rows={cabysPageRows}
+                count={cabysTotal}
+                total={cabysVisible.length}
+                rowKey={(c) => c.codigo}
+                view={cabysTableView}
+                onViewChange={changeCabysTableView}
+                highlight={cabysQueryTrim}
+                onActivate={(c) => copyCabysCode(c.codigo)}
+                actionsLabel={t("col.copiar")}
+                actions={(c) => (
+                  <>
+                    <button
+                      className="iconBtn"
+                      type="button"
+                      title={t(isFavorite(history, "cabys", c.codigo) ? "cabys.favRemove" : "cabys.favAdd")}
+                      onClick={() =>
+                        setHistory((h) => toggleFavorite(h, "cabys", { q: c.codigo, label: c.descripcion }))
+                      }
+                    >
+                      {isFavorite(history, "cabys", c.codigo) ? "★" : "☆"}
+                    </button>
+                    <button
+                      className="iconBtn"
+                      type="button"
+                      title={t("common.copyCode")}
+                      onClick={() => copyCabysCode(c.codigo)}
+                    >
+                      📋
+                    </button>
+                    <button
+                      className="iconBtn"
+                      type="button"
+                      title={t("cabys.addProforma")}
+                      onClick={() => addToProforma(c)}
+                    >
+                      {proformaAdded === c.codigo ? "✓" : "🧾"}
+                    </button>
+                  </>
+                )}
+              />
             )}
+
+            <CabysOffline meta={cabysOfflineMeta} onChange={setCabysOfflineMeta} />
           </section>
 
           {/* AE */}
-          <section className="card">
-            <h2>Consulta de Contribuyente</h2>
+          <section className="card" ref={aeCardRef}>
+            <div className="cardHead">
+              <h2>{t("ae.title")}</h2>
+              <FromChip from={aeFrom} onClear={() => setAeFrom(null)} />
+            </div>
 
-            <label>Identificación</label>
-            <input
-              value={aeId}
-              onChange={(e) => setAeId(onlyDigits(e.target.value))}
-              placeholder="Solo números (111111111)"
-              inputMode="numeric"
-            />
+            <label>{t("ae.id")}</label>
+            <div className="idWrap">
+              <input
+                value={aeId}
+                onChange={(e) => {
+                  setAeId(onlyDigits(e.target.value))
+                  setAeFrom(null)
+                }}
+                placeholder={t("ae.placeholder")}
+                inputMode="numeric"
+              />
+              {aeIdInfo.label && (
+                <span className={`idType ${aeValid ? "" : "bad"}`} title={aeIdInfo.detalle}>
+                  {aeIdInfo.label}
+                </span>
+              )}
+            </div>
 
-            {!aeValid && aeId.length > 0 && (
-              <div className="hint bad">La identificación debe tener 9, 10 u 11 dígitos.</div>
-            )}
+            {aeIdInfo.error && <div className="hint bad">{aeIdInfo.error}</div>}
+
+            <HistoryBar
+              {...historyHandlers("ae", (id) => {
+                setAeId(id)
+                setAeFrom(null)
+                consultarAE(id)
+              })}
+            />
 
             <div className="row">
               <button
                 className="btnPrimary"
-                onClick={consultarAE}
+                onClick={() => consultarAE()}
                 disabled={!aeValid || aeLoading}
                 type="button"
               >
-                {aeLoading ? "Consultando…" : "Consultar"}
+                {t(aeLoading ? "common.consultando" : "common.consultar")}
               </button>
 
               <button className="btnGhost" onClick={copyAeSummary} disabled={!aeData} type="button">
-                Copiar resumen
+                {t("ae.copySummary")}
               </button>
 
               <button
                 className="btnGhost"
-                onClick={copyAeActividadesCsv}
+                onClick={downloadAeActividadesXlsx}
                 disabled={!aeData?.actividades?.length}
                 type="button"
               >
-                Copiar CSV actividades
+                {t("ae.downloadActividades")}
               </button>
 
               <button
                 className="btnGhost"
-                onClick={downloadAeActividadesXlsx}
-                disabled={!aeData?.actividades?.length}
+                onClick={generarConstancia}
+                disabled={!aeData || !aeMeta || aeLoading}
                 type="button"
+                title={t("ae.constanciaTitle")}
               >
-                Descargar XLSX actividades
+                {t("ae.constancia")}
               </button>
             </div>
 
+            {aeData?.actividades?.length > 0 && (
+              <CsvExport fileName="actividades_ae" rows={aeRows} columns={ACTIVIDADES_CSV_COLUMNS} />
+            )}
+
             {aeError && <div className="alert">⚠️ {aeError}</div>}
 
             {aeData && (
@@ -755,118 +1129,213 @@ export default function App() {
                 <div className="ae-box">
                   <div className="ae-header">
                     <div className="ae-col">
-                      <div className="label">Nombre</div>
+                      <div className="label">{t("ae.nombre")}</div>
                       <div className="value">{aeData.nombre}</div>
                     </div>
 
                     <div className="ae-col">
-                      <div className="label">Identificación</div>
+                      <div className="label">{t("ae.id")}</div>
                       {/* ✅ SIEMPRE la cédula del JSON */}
                       <div className="value mono">{aeJsonId}</div>
                     </div>
 
                     <div className="ae-col">
-                      <div className="label">Régimen</div>
+                      <div className="label">{t("ae.regimen")}</div>
                       <div className="value">{aeData.regimen?.descripcion}</div>
                     </div>
                   </div>
 
                   {/* 👇 chips en pastillas (no texto corrido) */}
                   <div className="ae-chips">
-                    <span className="chip">Estado: {aeData.situacion?.estado}</span>
-                    <span className="chip">Moroso: {aeData.situacion?.moroso}</span>
-                    <span className="chip">Omiso: {aeData.situacion?.omiso}</span>
-                    <span className="chip">AT: {aeData.situacion?.administracionTributaria}</span>
+                    <span className="chip">
+                      {t("ae.estado")}: {aeData.situacion?.estado}
+                    </span>
+                    <span className="chip">
+                      {t("ae.moroso")}: {aeData.situacion?.moroso}
+                    </span>
+                    <span className="chip">
+                      {t("ae.omiso")}: {aeData.situacion?.omiso}
+                    </span>
+                    <span className="chip">
+                      {t("ae.at")}: {aeData.situacion?.administracionTributaria}
+                    </span>
                   </div>
                 </div>
 
-                <table>
-                  <thead>
-                    <tr>
-                      <th>Código</th>
-                      <th>Descripción</th>
-                      <th>Tipo</th>
-                      <th>Estado</th>
-                    </tr>
-                  </thead>
-                  <tbody>
-                    {(aeData.actividades || []).map((a) => (
-                      <tr key={`${a.codigo}-${a.tipo}-${a.estado}`}>
-                        <td className="mono">{a.codigo}</td>
-                        <td>{a.descripcion}</td>
-                        <td>{a.tipo === "P" ? "Principal" : "Secundaria"}</td>
-                        <td>{a.estado === "A" ? "Activa" : "Inactiva"}</td>
-                      </tr>
-                    ))}
-                  </tbody>
-                </table>
+                {aeData.actividades?.length > 0 && (
+                  <DataTable
+                    columns={actividadColumns}
+                    rows={aeRows}
+                    total={aeData.actividades.length}
+                    rowKey={actividadKey}
+                    view={aeTableView}
+                    onViewChange={setAeTableView}
+                    onActivate={toggleAeCabys}
+                    actionsLabel={t("col.cabys")}
+                    actions={(a) => (
+                      <button
+                        className="iconBtn"
+                        type="button"
+                        title={t("ae.cabysTitle")}
+                        onClick={() => toggleAeCabys(a)}
+                      >
+                        🔎
+                      </button>
+                    )}
+                    renderAfter={(a, colSpan) => {
+                      if (aeCabysOpen !== actividadKey(a)) return null
+                      const queries = cabysQueriesFromActividad(a.descripcion)
+                      return (
+                        <tr>
+                          <td colSpan={colSpan}>
+                            <div className="historyBar">
+                              <span className="muted">{t("ae.cabysSearch")}</span>
+                              {queries.map((q) => (
+                                <span key={q} className="histChip">
+                                  <button type="button" onClick={() => openCabysFromActividad(a, q)}>
+                                    {q}
+                                  </button>
+                                </span>
+                              ))}
+                              {!queries.length && (
+                                <span className="histChip">
+                                  <button type="button" onClick={() => openCabysFromActividad(a, a.descripcion)}>
+                                    {a.descripcion}
+                                  </button>
+                                </span>
+                              )}
+                            </div>
+                          </td>
+                        </tr>
+                      )
+                    }}
+                  />
+                )}
               </>
             )}
+
+            <AeBatch />
           </section>
 
           {/* GOMETA */}
           <section className="card">
-            <h2>Consulta de cédula TSE</h2>
+            <h2>{t("ced.title")}</h2>
 
-            <label>Búsqueda</label>
+            <label>{t("ced.search")}</label>
             <input
               value={cedQuery}
               onChange={(e) => setCedQuery(e.target.value)}
-              placeholder="Cédula física/jurídica o palabras"
+              placeholder={t("ced.placeholder")}
+            />
+
+            {cedIdInfo?.error && <div className="hint bad">{cedIdInfo.error}</div>}
+
+            <HistoryBar
+              {...historyHandlers("cedulas", (q) => {
+                setCedQuery(q)
+                consultarCedulas(q)
+              })}
             />
 
             <div className="row">
               <button
                 className="btnPrimary"
-                onClick={consultarCedulas}
+                onClick={() => consultarCedulas()}
                 disabled={!cedCanSearch || cedLoading}
                 type="button"
               >
-                {cedLoading ? "Consultando…" : "Consultar"}
+                {t(cedLoading ? "common.consultando" : "common.consultar")}
               </button>
 
               <button className="btnGhost" onClick={downloadCedulasXlsx} disabled={!cedItems.length} type="button">
-                Descargar XLSX
+                {t("common.downloadXlsx")}
               </button>
             </div>
 
+            {cedItems.length > 0 && (
+              <CsvExport
+                fileName="cedulas_gometa"
+                rows={cedRows}
+                columns={CEDULAS_CSV_COLUMNS}
+                raw={cedulaRaw}
+              />
+            )}
+
             {cedError && <div className="alert">⚠️ {cedError}</div>}
 
             {cedItems.length > 0 && (
-              <table>
-                <thead>
-                  <tr>
-                    <th>Cédula</th>
-                    <th>Nombre</th>
-                    <th>Tipo</th>
-                    <th className="thRight">Copiar</th>
-                  </tr>
-                </thead>
-                <tbody>
-                  {cedItems.map((x) => (
-                    <tr key={x.id}>
-                      <td className="mono">{x.cedula}</td>
-                      <td>{x.nombre}</td>
-                      <td className="mono">{x.tipo}</td>
-                      <td className="tdRight">
-                        <button
-                          className="iconBtn"
-                          type="button"
-                          title="Copiar cédula"
-                          onClick={() => copyText(String(x.cedula || ""))}
-                        >
-                          📋
-                        </button>
-                      </td>
-                    </tr>
-                  ))}
-                </tbody>
-              </table>
+              <DataTable
+                columns={cedulaColumns}
+                rows={cedRows}
+                total={cedItems.length}
+                rowKey={(x) => x.id}
+                view={cedTableView}
+                onViewChange={setCedTableView}
+                highlight={looksLikeCedula(cedQueryTrim) ? "" : cedQueryTrim}
+                onActivate={(x) => openAeFrom(x)}
+                actionsLabel={t("col.acciones")}
+                actions={(x) => (
+                  <>
+                    <button
+                      className="iconBtn"
+                      type="button"
+                      title={t("ced.viewAe")}
+                      onClick={() => openAeFrom(x)}
+                      disabled={!detectCedula(String(x.cedula || "")).valid}
+                    >
+                      AE
+                    </button>
+                    <button
+                      className="iconBtn"
+                      type="button"
+                      title={t("ced.copy")}
+                      onClick={() => copyText(String(x.cedula || ""))}
+                    >
+                      📋
+                    </button>
+                  </>
+                )}
+              />
             )}
           </section>
+
+          <Proforma value={proforma} onChange={setProforma} fx={fx} />
+
+          <FxHistory />
+
+          <FacturaChecker />
+
+          <ClaveNumerica onOpenAe={(x) => openAeFrom(x, t("panel.clave"))} />
+
+          <Exoneracion cabysItems={cabysVisible} onOpenAe={(x) => openAeFrom(x, t("panel.exoneracion"))} />
+
+          <WatchList />
         </main>
 
-        <footer className="muted footer"></footer>
+        <footer className="muted footer">
+          <div className="row">
+            <span>{t("session.label")}</span>
+            <button className="btnGhost" onClick={() => exportSession("xlsx")} type="button">
+              {t("session.xlsx")}
+            </button>
+            <button className="btnGhost" onClick={() => exportSession("json")} type="button">
+              {t("session.json")}
+            </button>
+          </div>
+          {sessionError && <div className="alert">⚠️ {sessionError}</div>}
+
+          <div className="row">
+            <span>{t("history.label")}</span>
+            <button className="btnGhost" onClick={downloadHistoryJson} type="button">
+              {t("common.exportJson")}
+            </button>
+            <button className="btnGhost" onClick={() => historyFileRef.current?.click()} type="button">
+              {t("common.importJson")}
+            </button>
+            <input ref={historyFileRef} type="file" accept=".json,application/json" onChange={onHistoryFile} hidden />
+          </div>
+          {historyError && <div className="alert">⚠️ {historyError}</div>}
+        </footer>
       </div>
     </div>
   )
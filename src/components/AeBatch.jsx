@@ -0,0 +1,270 @@
+import { useRef, useState } from "react"
+import { downloadXlsx, onlyDigits, readSheetRows, runWithConcurrency } from "../lib/helpers.js"
+import { detectCedula } from "../lib/cedula.js"
+import { NotFoundError, actividadPrincipal, aeResumen, fetchAe } from "../lib/api.js"
+import { t } from "../lib/i18n.js"
+
+// Consultas simultáneas contra /fe/ae (Hacienda corta si uno se pasa)
+const CONCURRENCY = 4
+
+const STATUS_CLASS = {
+  encontrado: "ok",
+  moroso: "bad",
+  omiso: "bad",
+  invalida: "warn",
+  noEncontrado: "warn",
+  error: "warn",
+}
+
+const EXPORT_HEADERS = [
+  "identificacion",
+  "tipo_identificacion",
+  "nombre",
+  "resultado",
+  "estado",
+  "moroso",
+  "omiso",
+  "regimen",
+  "administracion_tributaria",
+  "actividad_codigo",
+  "actividad_descripcion",
+  "detalle",
+]
+
+function toEntries(values) {
+  const seen = new Set()
+  const out = []
+  for (const raw of values) {
+    const input = String(raw ?? "").trim()
+    if (!input) continue
+    const key = onlyDigits(input) || input
+    if (seen.has(key)) continue
+    seen.add(key)
+    const info = detectCedula(input)
+    out.push({ input, id: info.digits, tipo: info.label, status: "pendiente", error: info.error })
+  }
+  return out
+}
+
+// Pegado: una cédula por línea, o separadas por coma / punto y coma / tab
+function parsePasted(text) {
+  return toEntries(text.split(/[\n\r,;\t]+/))
+}
+
+// Hoja: si hay encabezado tipo "cédula"/"identificación" usa esa columna; si no, la primera
+function parseSheet(rows) {
+  if (!rows.length) return []
+  const header = rows[0].map((h) => String(h).toLowerCase())
+  let col = header.findIndex((h) => /c[eé]dula|identificaci[oó]n|^id$/.test(h))
+  let body = rows.slice(1)
+  if (col === -1) {
+    col = 0
+    body = rows
+  }
+  return toEntries(body.map((r) => r[col]))
+}
+
+function resultFromAe(entry, json) {
+  const s = json?.situacion || {}
+  const act = actividadPrincipal(json)
+  let status = "encontrado"
+  if (String(s.moroso).toUpperCase() === "SI") status = "moroso"
+  else if (String(s.omiso).toUpperCase() === "SI") status = "omiso"
+
+  return {
+    ...entry,
+    status,
+    ...aeResumen(json),
+    actividad: act,
+    detalle: "",
+  }
+}
+
+export default function AeBatch() {
+  const [open, setOpen] = useState(false)
+  const [text, setText] = useState("")
+  const [entries, setEntries] = useState([])
+  const [running, setRunning] = useState(false)
+  const [done, setDone] = useState(0)
+  const [fileError, setFileError] = useState("")
+  const stopRef = useRef(false)
+  const fileRef = useRef(null)
+
+  function updateEntry(i, patch) {
+    setEntries((prev) => prev.map((e, j) => (j === i ? { ...e, ...patch } : e)))
+  }
+
+  async function run(list) {
+    setEntries(list)
+    setDone(0)
+    setRunning(true)
+    stopRef.current = false
+
+    await runWithConcurrency(
+      list,
+      CONCURRENCY,
+      async (entry, i) => {
+        if (entry.error || !entry.tipo) {
+          updateEntry(i, { status: "invalida", detalle: entry.error || t("batch.noDigits") })
+        } else {
+          try {
+            const json = await fetchAe(entry.id)
+            updateEntry(i, resultFromAe(entry, json))
+          } catch (e) {
+            updateEntry(i, {
+              status: e instanceof NotFoundError ? "noEncontrado" : "error",
+              detalle: e?.message || t("ae.error"),
+            })
+          }
+        }
+        setDone((n) => n + 1)
+      },
+      () => stopRef.current
+    )
+
+    setRunning(false)
+  }
+
+  function runPasted() {
+    const list = parsePasted(text)
+    if (list.length) run(list)
+  }
+
+  async function onFile(e) {
+    const file = e.target.files?.[0]
+    e.target.value = ""
+    if (!file) return
+    setFileError("")
+    try {
+      const list = parseSheet(await readSheetRows(file))
+      if (!list.length) throw new Error(t("batch.fileEmpty"))
+      run(list)
+    } catch (err) {
+      setFileError(err?.message || t("batch.fileError"))
+    }
+  }
+
+  function downloadReport() {
+    const rows = entries.map((x) => ({
+      identificacion: x.id || x.input,
+      tipo_identificacion: x.tipo,
+      nombre: x.nombre,
+      resultado: t(`batch.status.${x.status}`),
+      estado: x.estado,
+      moroso: x.moroso,
+      omiso: x.omiso,
+      regimen: x.regimen,
+      administracion_tributaria: x.administracionTributaria,
+      actividad_codigo: x.actividad?.codigo,
+      actividad_descripcion: x.actividad?.descripcion,
+      detalle: x.detalle,
+    }))
+    downloadXlsx("consulta_masiva_ae.xlsx", "Contribuyentes", rows, EXPORT_HEADERS)
+  }
+
+  const total = entries.length
+  const pasted = parsePasted(text).length
+
+  if (!open) {
+    return (
+      <div className="row">
+        <button className="btnGhost" onClick={() => setOpen(true)} type="button">
+          {t("batch.open")}
+        </button>
+      </div>
+    )
+  }
+
+  return (
+    <div className="batchBox">
+      <div className="batchHead">
+        <b>{t("batch.title")}</b>
+        <button className="btnGhost" onClick={() => setOpen(false)} disabled={running} type="button">
+          {t("batch.close")}
+        </button>
+      </div>
+
+      <label>{t("batch.ids")}</label>
+      <textarea
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+        rows={5}
+        placeholder={"3101123456\n114560789"}
+        disabled={running}
+      />
+
+      <div className="row">
+        <button className="btnPrimary" onClick={runPasted} disabled={!pasted || running} type="button">
+          {pasted > 0 ? t("batch.run", { count: pasted }) : t("common.consultar")}
+        </button>
+
+        <button className="btnGhost" onClick={() => fileRef.current?.click()} disabled={running} type="button">
+          {t("batch.upload")}
+        </button>
+        <input
+          ref={fileRef}
+          type="file"
+          accept=".xlsx,.xls,.csv"
+          onChange={onFile}
+          hidden
+        />
+
+        {running && (
+          <button className="btnGhost" onClick={() => (stopRef.current = true)} type="button">
+            {t("batch.stop")}
+          </button>
+        )}
+
+        <button className="btnGhost" onClick={downloadReport} disabled={!total || running} type="button">
+          {t("batch.download")}
+        </button>
+      </div>
+
+      {fileError && <div className="alert">⚠️ {fileError}</div>}
+
+      {total > 0 && (
+        <div className="batchProgress">
+          <progress value={done} max={total} />
+          <span className="muted">{t("batch.progress", { done, total })}</span>
+        </div>
+      )}
+
+      {total > 0 && (
+        <table>
+          <thead>
+            <tr>
+              <th>{t("ae.id")}</th>
+              <th>{t("col.nombre")}</th>
+              <th>{t("batch.col.resultado")}</th>
+              <th>{t("batch.col.actividad")}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {entries.map((x) => (
+              <tr key={x.id || x.input}>
+                <td>
+                  <span className="mono">{x.id || x.input}</span>
+                  {x.tipo && <div className="muted">{x.tipo}</div>}
+                </td>
+                <td>{x.nombre}</td>
+                <td>
+                  <span className={`chip ${STATUS_CLASS[x.status] || ""}`} title={x.detalle}>
+                    {t(`batch.status.${x.status}`)}
+                  </span>
+                  {x.detalle && <div className="muted">{x.detalle}</div>}
+                </td>
+                <td>
+                  {x.actividad && (
+                    <>
+                      <span className="mono">{x.actividad.codigo}</span> {x.actividad.descripcion}
+                    </>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  )
+}
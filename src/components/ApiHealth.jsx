@@ -0,0 +1,147 @@
+import { useCallback, useEffect, useRef, useState } from "react"
+import {
+  DEGRADED_MS,
+  HEALTH_LABEL,
+  HEALTH_SERVICES,
+  SLOW_MS,
+  appendSamples,
+  checkAllServices,
+  loadHealthSamples,
+  saveHealthSamples,
+  uptime,
+} from "../lib/health.js"
+import { formatDateTime, formatPercent, t } from "../lib/i18n.js"
+import { Sparkline } from "./TrendChart.jsx"
+
+const INTERVAL_MS = 60_000
+
+function canNotify() {
+  return typeof Notification !== "undefined" && Notification.permission === "granted"
+}
+
+// Actualiza `prevStatus` y avisa de los servicios que cambiaron de estado
+function notifyChanges(prevStatus, results, enabled) {
+  results.forEach((r) => {
+    const prev = prevStatus[r.service]
+    prevStatus[r.service] = r.status
+    if (!prev || prev === r.status || !enabled || !canNotify()) return
+    const svc = HEALTH_SERVICES.find((s) => s.id === r.service)
+    const antes = t(HEALTH_LABEL[prev])
+    const body =
+      r.ms !== null ? t("health.notifyBodyMs", { prev: antes, ms: r.ms }) : t("health.notifyBody", { prev: antes })
+    try {
+      new Notification(`${t(svc.label)}: ${t(HEALTH_LABEL[r.status])}`, {
+        body,
+        tag: `health-${r.service}`,
+      })
+    } catch {
+      // Android Chrome solo permite avisos desde un service worker: el monitor sigue igual
+    }
+  })
+}
+
+export default function ApiHealth() {
+  const [samples, setSamples] = useState(() => Object.fromEntries(HEALTH_SERVICES.map((s) => [s.id, []])))
+  const [checking, setChecking] = useState(false)
+  const [lastAt, setLastAt] = useState(null)
+  const [notifyOn, setNotifyOn] = useState(canNotify)
+  // Último estado conocido por servicio, para avisar solo cuando cambia
+  const prevStatusRef = useRef({})
+  const notifyRef = useRef(notifyOn)
+
+  const refresh = useCallback(async () => {
+    setChecking(true)
+    const results = await checkAllServices()
+    setChecking(false)
+    setLastAt(new Date())
+    setSamples((prev) => appendSamples(prev, results))
+    notifyChanges(prevStatusRef.current, results, notifyRef.current)
+    saveHealthSamples(results).catch(() => {})
+  }, [])
+
+  useEffect(() => {
+    let cancelled = false
+    async function start() {
+      try {
+        const loaded = await loadHealthSamples()
+        if (cancelled) return
+        setSamples(loaded)
+        Object.entries(loaded).forEach(([id, list]) => {
+          if (list.length) prevStatusRef.current[id] = list[list.length - 1].status
+        })
+      } catch {
+        // Sin IndexedDB: el historial queda solo en memoria
+      }
+      if (!cancelled) refresh()
+    }
+    start()
+    const interval = setInterval(() => refresh(), INTERVAL_MS)
+    return () => {
+      cancelled = true
+      clearInterval(interval)
+    }
+  }, [refresh])
+
+  async function toggleNotify() {
+    if (notifyOn) {
+      notifyRef.current = false
+      setNotifyOn(false)
+      return
+    }
+    if (typeof Notification === "undefined") return
+    const perm = await Notification.requestPermission()
+    notifyRef.current = perm === "granted"
+    setNotifyOn(perm === "granted")
+  }
+
+  return (
+    <section className="card apiStatusCard">
+      <div className="apiHead">
+        <div>
+          <div className="apiTitle">{t("health.title")}</div>
+          <div className="apiSub">{t("health.sub", { slow: SLOW_MS / 1000, degraded: DEGRADED_MS / 1000 })}</div>
+        </div>
+
+        <div className="row healthActions">
+          <button
+            className="btnGhost"
+            onClick={toggleNotify}
+            type="button"
+            title={t("health.notifyTitle")}
+          >
+            {notifyOn ? t("health.notifyOn") : t("health.notifyOff")}
+          </button>
+          <button className="btnGhost" onClick={refresh} disabled={checking} type="button">
+            {checking ? t("health.checking") : t("health.check")}
+          </button>
+        </div>
+      </div>
+
+      <div className="apiBody healthGrid">
+        {HEALTH_SERVICES.map((s) => {
+          const list = samples[s.id] || []
+          const last = list[list.length - 1]
+          const up = uptime(list)
+          return (
+            <div key={s.id} className="healthRow">
+              <span className="apiOk">
+                <span className={`dot ${last?.status || "unknown"}`} />
+                <span className="apiLine">{t(s.label)}</span>
+              </span>
+              <span className="healthStatus" title={last?.error}>
+                {t(last ? HEALTH_LABEL[last.status] : "health.noData")}
+                {last?.ms != null && <b> · {last.ms} ms</b>}
+              </span>
+              <Sparkline values={list.map((x) => x.ms)} />
+              <span className="muted healthUptime">
+                {up !== null ? t("health.uptime", { pct: formatPercent(up), count: list.length }) : "—"}
+              </span>
+            </div>
+          )
+        })}
+
+        {lastAt && <div className="muted">{t("health.lastCheck", { fecha: formatDateTime(lastAt) })}</div>}
+      </div>
+    </section>
+  )
+}
@@ -0,0 +1,75 @@
+import { useRef, useState } from "react"
+import { formatDate, formatDateTime, formatNumber, t } from "../lib/i18n.js"
+import { clearOfflineCatalog, importCabysFile } from "../lib/cabysOffline.js"
+
+// Importa el XLSX oficial de CABYS a IndexedDB para buscar sin el API de Hacienda
+export default function CabysOffline({ meta, onChange }) {
+  const [busy, setBusy] = useState(false)
+  const [error, setError] = useState("")
+  const fileRef = useRef(null)
+
+  async function onFile(e) {
+    const file = e.target.files?.[0]
+    e.target.value = ""
+    if (!file) return
+    setBusy(true)
+    setError("")
+    try {
+      onChange(await importCabysFile(file))
+    } catch (err) {
+      setError(err?.message || t("cabys.offlineImportError"))
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  async function clear() {
+    setBusy(true)
+    setError("")
+    try {
+      await clearOfflineCatalog()
+      onChange(null)
+    } catch (err) {
+      setError(err?.message || t("cabys.offlineClearError"))
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  return (
+    <details className="offlineBox">
+      <summary className="muted">
+        {t("cabys.offline")}:{" "}
+        {meta ? t("cabys.offlineCount", { count: formatNumber(meta.count) }) : t("cabys.offlineNone")}
+      </summary>
+
+      {meta && (
+        <div className="muted hint">
+          {t("cabys.offlineVersion", {
+            fecha: meta.version ? formatDate(`${meta.version}T00:00:00`) : t("cabys.offlineNoDate"),
+            file: meta.fileName,
+          })}
+          <br />
+          {t("cabys.offlineImported", { fecha: formatDateTime(meta.importedAt) })}
+        </div>
+      )}
+
+      <div className="hint muted">{t("cabys.offlineHint")}</div>
+
+      <div className="row">
+        <button className="btnGhost" onClick={() => fileRef.current?.click()} disabled={busy} type="button">
+          {busy ? t("cabys.offlineBusy") : meta ? t("cabys.offlineUpdate") : t("cabys.offlineImport")}
+        </button>
+        <input ref={fileRef} type="file" accept=".xlsx,.xls" onChange={onFile} hidden />
+
+        {meta && (
+          <button className="btnGhost" onClick={clear} disabled={busy} type="button">
+            {t("cabys.offlineClear")}
+          </button>
+        )}
+      </div>
+
+      {error && <div className="alert">⚠️ {error}</div>}
+    </details>
+  )
+}
@@ -0,0 +1,87 @@
+import { useMemo } from "react"
+import { buildCabysTree, cabysBreadcrumb } from "../lib/cabys.js"
+import { formatPercent, t } from "../lib/i18n.js"
+
+function countItems(node) {
+  let n = node.items.length
+  node.children.forEach((c) => (n += countItems(c)))
+  return n
+}
+
+function TreeNode({ node, depth, onBrowse, onCopy }) {
+  return (
+    <details className="treeNode" open={depth < 2}>
+      <summary>
+        <span className="mono treeCode">{node.codigo}</span>
+        <span className="muted treeLevel">{t(node.nivel)}</span>
+        <span>{node.descripcion || "—"}</span>
+        <span className="muted"> ({countItems(node)})</span>
+        {onBrowse && (
+          <button
+            className="linkBtn"
+            type="button"
+            title={t("cabys.browseCat")}
+            onClick={(e) => {
+              e.preventDefault()
+              onBrowse(node)
+            }}
+          >
+            {t("cabys.browse")}
+          </button>
+        )}
+      </summary>
+
+      {[...node.children.values()].map((c) => (
+        <TreeNode key={c.codigo} node={c} depth={depth + 1} onBrowse={onBrowse} onCopy={onCopy} />
+      ))}
+
+      {node.items.map((c) => (
+        <div key={c.codigo} className="treeLeaf">
+          <span className="mono">{c.codigo}</span>
+          <span>{c.descripcion}</span>
+          <span className="suggestTax">{formatPercent(c.impuesto)}</span>
+          <button className="iconBtn" type="button" title={t("common.copyCode")} onClick={() => onCopy(c.codigo)}>
+            📋
+          </button>
+        </div>
+      ))}
+    </details>
+  )
+}
+
+// Vista jerárquica de los resultados CABYS actuales
+export function CabysTree({ items, onBrowse, onCopy }) {
+  const tree = useMemo(() => buildCabysTree(items), [items])
+
+  return (
+    <div className="cabysTree">
+      {[...tree.children.values()].map((n) => (
+        <TreeNode key={n.codigo} node={n} depth={0} onBrowse={onBrowse} onCopy={onCopy} />
+      ))}
+    </div>
+  )
+}
+
+// Ruta de categorías padre de un código; cada tramo permite explorar ese nivel
+export function CabysBreadcrumb({ item, onBrowse }) {
+  const crumbs = cabysBreadcrumb(item)
+  if (!crumbs.length) return null
+
+  return (
+    <div className="crumbs">
+      {crumbs.map((c, i) => (
+        <span key={c.codigo}>
+          {i > 0 && <span className="crumbSep">›</span>}
+          <button
+            className="linkBtn"
+            type="button"
+            title={`${t(c.nivel)} ${c.codigo}`}
+            onClick={() => onBrowse?.(c)}
+          >
+            {c.descripcion}
+          </button>
+        </span>
+      ))}
+    </div>
+  )
+}
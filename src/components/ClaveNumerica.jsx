@@ -0,0 +1,275 @@
+import { useState } from "react"
+import { copyText, isoDate, onlyDigits } from "../lib/helpers.js"
+import { detectCedula } from "../lib/cedula.js"
+import { t } from "../lib/i18n.js"
+import {
+  SITUACIONES,
+  TIPOS_DOCUMENTO,
+  buildClave,
+  buildConsecutivo,
+  numeracionError,
+  parseClave,
+  randomCodigoSeguridad,
+} from "../lib/clave.js"
+
+// Tope de claves por tanda en el generador
+const MAX_CLAVES = 50
+
+const GEN_DEFAULT = {
+  emisor: "",
+  fecha: isoDate(),
+  sucursal: "1",
+  terminal: "1",
+  tipo: "01",
+  numeracion: "1",
+  cantidad: "1",
+  situacion: "1",
+  seguridad: "",
+}
+
+// Desarma una clave de 50 dígitos (o un consecutivo de 20) y genera claves de prueba
+export default function ClaveNumerica({ onOpenAe }) {
+  const [view, setView] = useState("leer")
+  const [clave, setClave] = useState("")
+  const [gen, setGen] = useState(GEN_DEFAULT)
+  const [generadas, setGeneradas] = useState([])
+  const [copied, setCopied] = useState("")
+
+  const parsed = parseClave(clave)
+  const emisorInfo = gen.emisor ? detectCedula(gen.emisor) : null
+  const cantidad = Math.min(MAX_CLAVES, Math.max(1, Number(gen.cantidad) || 1))
+  const numError = numeracionError(gen.numeracion, cantidad)
+  const canGenerate = emisorInfo?.valid && !numError && !!gen.fecha
+
+  function setGenField(k, v) {
+    setGen((g) => ({ ...g, [k]: v }))
+  }
+
+  function setDigits(k, e, max) {
+    setGenField(k, onlyDigits(e.target.value).slice(0, max))
+  }
+
+  async function copy(text, key) {
+    if (await copyText(text)) {
+      setCopied(key)
+      setTimeout(() => setCopied(""), 1500)
+    }
+  }
+
+  function generar() {
+    if (!canGenerate) return
+    const fecha = new Date(`${gen.fecha}T00:00:00`)
+    const inicio = Number(gen.numeracion)
+    const out = Array.from({ length: cantidad }, (_, i) => {
+      const consecutivo = buildConsecutivo({ ...gen, numeracion: String(inicio + i) })
+      const codigoSeguridad = gen.seguridad ? gen.seguridad : randomCodigoSeguridad()
+      return {
+        consecutivo,
+        clave: buildClave({
+          fecha,
+          identificacion: emisorInfo.digits,
+          consecutivo,
+          situacion: gen.situacion,
+          codigoSeguridad,
+        }),
+      }
+    })
+    setGeneradas(out)
+    // La próxima tanda sigue la numeración
+    setGenField("numeracion", String(inicio + cantidad))
+  }
+
+  function decodificar(k) {
+    setClave(k)
+    setView("leer")
+  }
+
+  return (
+    <section className="card">
+      <h2>{t("clave.title")}</h2>
+
+      <div className="row tabs">
+        <button
+          className={view === "leer" ? "btnPrimary" : "btnGhost"}
+          onClick={() => setView("leer")}
+          type="button"
+        >
+          {t("clave.tabRead")}
+        </button>
+        <button
+          className={view === "generar" ? "btnPrimary" : "btnGhost"}
+          onClick={() => setView("generar")}
+          type="button"
+        >
+          {t("clave.tabGen")}
+        </button>
+      </div>
+
+      {view === "leer" && (
+        <>
+          <label>{t("clave.input")}</label>
+          <input
+            className="mono"
+            value={clave}
+            onChange={(e) => setClave(e.target.value)}
+            placeholder="506…"
+            inputMode="numeric"
+          />
+          {parsed.error && <div className="hint bad">{parsed.error}</div>}
+
+          {parsed.partes.length > 0 && (
+            <>
+              <div className="ae-chips">
+                <span className={`chip ${parsed.valid ? "ok" : "bad"}`}>
+                  {parsed.valid ? t("clave.valid") : t("clave.invalid")}
+                </span>
+                <span className="chip">{t(`clave.kind.${parsed.tipo}`)}</span>
+              </div>
+              <table className="claveTable">
+                <tbody>
+                  {parsed.partes.map((p) => (
+                    <tr key={p.campo}>
+                      <td className="muted">{p.label}</td>
+                      <td className="mono">{p.valor}</td>
+                      <td>
+                        {p.detalle}
+                        {p.campo === "emisor" && onOpenAe && !p.error && (
+                          <button
+                            className="linkBtn claveAe"
+                            onClick={() => onOpenAe({ cedula: parsed.emisor, nombre: "" })}
+                            type="button"
+                          >
+                            {t("clave.viewAe")}
+                          </button>
+                        )}
+                        {p.error && <div className="hint bad">{p.error}</div>}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </>
+          )}
+        </>
+      )}
+
+      {view === "generar" && (
+        <>
+          <div className="grid2 tight">
+            <div>
+              <label>{t("clave.emisor")}</label>
+              <input
+                value={gen.emisor}
+                onChange={(e) => setDigits("emisor", e, 12)}
+                placeholder={t("col.cedula")}
+                inputMode="numeric"
+              />
+              {emisorInfo?.error && <div className="hint bad">{emisorInfo.error}</div>}
+            </div>
+            <div>
+              <label>{t("clave.fecha")}</label>
+              <input type="date" value={gen.fecha} onChange={(e) => setGenField("fecha", e.target.value)} />
+            </div>
+            <div>
+              <label>{t("clave.sucursal")}</label>
+              <input value={gen.sucursal} onChange={(e) => setDigits("sucursal", e, 3)} inputMode="numeric" />
+            </div>
+            <div>
+              <label>{t("clave.terminal")}</label>
+              <input value={gen.terminal} onChange={(e) => setDigits("terminal", e, 5)} inputMode="numeric" />
+            </div>
+            <div>
+              <label>{t("clave.tipo")}</label>
+              <select value={gen.tipo} onChange={(e) => setGenField("tipo", e.target.value)}>
+                {Object.entries(TIPOS_DOCUMENTO).map(([codigo, label]) => (
+                  <option key={codigo} value={codigo}>
+                    {codigo} — {t(label)}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label>{t("clave.situacion")}</label>
+              <select value={gen.situacion} onChange={(e) => setGenField("situacion", e.target.value)}>
+                {Object.entries(SITUACIONES).map(([codigo, label]) => (
+                  <option key={codigo} value={codigo}>
+                    {codigo} — {t(label)}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label>{t("clave.numeracion")}</label>
+              <input value={gen.numeracion} onChange={(e) => setDigits("numeracion", e)} inputMode="numeric" />
+              {gen.numeracion && numError && <div className="hint bad">{numError}</div>}
+            </div>
+            <div>
+              <label>{t("clave.cantidad", { max: MAX_CLAVES })}</label>
+              <input value={gen.cantidad} onChange={(e) => setDigits("cantidad", e, 2)} inputMode="numeric" />
+            </div>
+          </div>
+          <label>{t("clave.seguridad")}</label>
+          <input
+            className="mono"
+            value={gen.seguridad}
+            onChange={(e) => setDigits("seguridad", e, 8)}
+            placeholder={t("clave.seguridadPlaceholder")}
+            inputMode="numeric"
+          />
+
+          <div className="row">
+            <button className="btnPrimary" onClick={generar} disabled={!canGenerate} type="button">
+              {cantidad > 1 ? t("clave.generateMany", { count: cantidad }) : t("clave.generateOne")}
+            </button>
+            <button
+              className="btnGhost"
+              onClick={() => copy(generadas.map((g) => `${g.consecutivo}\t${g.clave}`).join("\n"), "todas")}
+              disabled={!generadas.length}
+              type="button"
+            >
+              {copied === "todas" ? t("common.copied") : t("clave.copyAll")}
+            </button>
+          </div>
+
+          {generadas.length > 0 && (
+            <table className="claveTable">
+              <thead>
+                <tr>
+                  <th>{t("clave.kind.consecutivo")}</th>
+                  <th>{t("clave.kind.clave")}</th>
+                  <th />
+                </tr>
+              </thead>
+              <tbody>
+                {generadas.map((g) => (
+                  <tr key={g.clave}>
+                    <td className="mono">{g.consecutivo}</td>
+                    <td className="mono claveValor">{g.clave}</td>
+                    <td className="tdRight">
+                      <button
+                        className="iconBtn"
+                        onClick={() => copy(g.clave, g.clave)}
+                        type="button"
+                        title={t("clave.copy")}
+                      >
+                        {copied === g.clave ? "✓" : "📋"}
+                      </button>
+                      <button
+                        className="iconBtn"
+                        onClick={() => decodificar(g.clave)}
+                        type="button"
+                        title={t("clave.tabRead")}
+                      >
+                        🔍
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </>
+      )}
+    </section>
+  )
+}
@@ -0,0 +1,103 @@
+import { useEffect } from "react"
+import { downloadBlob } from "../lib/helpers.js"
+import { t } from "../lib/i18n.js"
+import {
+  constanciaCampos,
+  constanciaConsulta,
+  constanciaFileName,
+  constanciaNota,
+  constanciaPdf,
+} from "../lib/constancia.js"
+
+// Vista de impresión de la constancia AE (al imprimir solo sale la hoja)
+export default function Constancia({ constancia: c, onClose }) {
+  useEffect(() => {
+    function onKey(e) {
+      if (e.key === "Escape") onClose()
+    }
+    document.addEventListener("keydown", onKey)
+    document.body.classList.add("printingConstancia")
+    return () => {
+      document.removeEventListener("keydown", onKey)
+      document.body.classList.remove("printingConstancia")
+    }
+  }, [onClose])
+
+  return (
+    <div className="constanciaOverlay" role="dialog" aria-modal="true" aria-label={t("const.aria")}>
+      <div className="constanciaBar noPrint">
+        <button className="btnPrimary" onClick={() => window.print()} type="button">
+          {t("const.print")}
+        </button>
+        <button
+          className="btnGhost"
+          onClick={() => downloadBlob(constanciaFileName(c), constanciaPdf(c))}
+          type="button"
+        >
+          {t("const.pdf")}
+        </button>
+        <button className="btnGhost" onClick={onClose} type="button">
+          {t("const.close")}
+        </button>
+      </div>
+
+      <article className="constanciaPage">
+        <h1>{t("const.title")}</h1>
+        <p className="constanciaSub">{t("const.sub")}</p>
+
+        <h2>{t("const.contribuyente")}</h2>
+        <dl>
+          {constanciaCampos(c).map(([k, v]) => (
+            <div key={k}>
+              <dt>{k}</dt>
+              <dd>{v || "-"}</dd>
+            </div>
+          ))}
+        </dl>
+
+        <h2>{t("const.actividades", { count: c.actividades.length })}</h2>
+        <table>
+          <thead>
+            <tr>
+              <th>{t("col.codigo")}</th>
+              <th>{t("col.descripcion")}</th>
+              <th>{t("col.tipo")}</th>
+              <th>{t("col.estado")}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {c.actividades.map((a) => (
+              <tr key={`${a.codigo}-${a.tipo}-${a.estado}`}>
+                <td className="mono">{a.codigo}</td>
+                <td>{a.descripcion}</td>
+                <td>{a.tipo}</td>
+                <td>{a.estado}</td>
+              </tr>
+            ))}
+            {!c.actividades.length && (
+              <tr>
+                <td colSpan={4}>{t("const.noActividades")}</td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+
+        <h2>{t("const.consulta")}</h2>
+        <dl>
+          {constanciaConsulta(c).map(([k, v]) => (
+            <div key={k}>
+              <dt>{k}</dt>
+              <dd>{v}</dd>
+            </div>
+          ))}
+          <div>
+            <dt>{t("const.hash")}</dt>
+            <dd className="mono constanciaHash">{c.hash}</dd>
+          </div>
+        </dl>
+
+        <p className="constanciaNota">{constanciaNota()}</p>
+      </article>
+    </div>
+  )
+}
@@ -0,0 +1,147 @@
+import { useState } from "react"
+import { copyText, downloadBlob, flattenRecord, toCsv } from "../lib/helpers.js"
+import { t } from "../lib/i18n.js"
+
+// label: clave de i18n
+const DELIMITERS = [
+  { value: ";", label: "csv.delim.semicolon" },
+  { value: ",", label: "csv.delim.comma" },
+  { value: "\t", label: "csv.delim.tab" },
+]
+
+const PREFS_KEY = "hacienda-toolkit:csv"
+const DEFAULT_PREFS = { delimiter: ";", bom: true }
+
+function loadPrefs() {
+  try {
+    return { ...DEFAULT_PREFS, ...JSON.parse(localStorage.getItem(PREFS_KEY) || "{}") }
+  } catch {
+    return DEFAULT_PREFS
+  }
+}
+
+// Columnas con los campos crudos del API que no se ven en la tabla: los que tienen el mismo
+// nombre que una base ya salen ahí (traducidos o con formato) y no se repiten
+function rawColumns(rows, raw, baseKeys) {
+  const paths = new Set()
+  rows.forEach((r) => Object.keys(flattenRecord(raw(r))).forEach((k) => paths.add(k)))
+  return [...paths].filter((path) => !baseKeys.has(path)).map((path) => ({ key: path, path }))
+}
+
+// Exportar a CSV/TSV eligiendo alcance, separador, BOM y columnas.
+// columns: [{ key, value?(row) }] (las de la tabla); raw(row): objeto del API con los campos extra.
+// Sin `pageRows` no se ofrece el alcance (todo el resultado).
+export default function CsvExport({ fileName, rows, pageRows, columns, raw = (r) => r }) {
+  const [scope, setScope] = useState("all")
+  const [prefs, setPrefs] = useState(loadPrefs)
+  const [selected, setSelected] = useState(() => columns.map((c) => c.key))
+  const [copied, setCopied] = useState(false)
+
+  const baseKeys = new Set(columns.map((c) => c.key))
+  const extra = rawColumns(rows, raw, baseKeys)
+  const exportRows = scope === "page" && pageRows ? pageRows : rows
+  const isTsv = prefs.delimiter === "\t"
+
+  function updatePrefs(patch) {
+    const next = { ...prefs, ...patch }
+    setPrefs(next)
+    try {
+      localStorage.setItem(PREFS_KEY, JSON.stringify(next))
+    } catch {
+      // sin espacio o modo privado: las preferencias valen solo para esta sesión
+    }
+  }
+
+  function toggle(key) {
+    setSelected((prev) => (prev.includes(key) ? prev.filter((k) => k !== key) : [...prev, key]))
+  }
+
+  function build({ bom }) {
+    const cols = [...columns, ...extra].filter((c) => selected.includes(c.key))
+    const data = exportRows.map((r) => {
+      const flat = flattenRecord(raw(r))
+      return cols.map((c) => (c.path ? flat[c.path] : c.value ? c.value(r) : r[c.key]))
+    })
+    return toCsv(data, cols.map((c) => c.key), { delimiter: prefs.delimiter, bom })
+  }
+
+  async function copy() {
+    // En el portapapeles el BOM sobra (se pegaría como carácter raro)
+    if (await copyText(build({ bom: false }))) {
+      setCopied(true)
+      setTimeout(() => setCopied(false), 1500)
+    }
+  }
+
+  function download() {
+    const type = isTsv ? "text/tab-separated-values" : "text/csv"
+    const blob = new Blob([build({ bom: prefs.bom })], { type: `${type};charset=utf-8` })
+    downloadBlob(`${fileName}.${isTsv ? "tsv" : "csv"}`, blob)
+  }
+
+  const noColumns = !selected.length
+
+  return (
+    <details className="offlineBox csvBox">
+      <summary>{t("csv.title")}</summary>
+
+      {pageRows && (
+        <div className="row csvRow">
+          <label className="check">
+            <input type="radio" checked={scope === "page"} onChange={() => setScope("page")} />
+            {t("csv.page", { count: pageRows.length })}
+          </label>
+          <label className="check">
+            <input type="radio" checked={scope === "all"} onChange={() => setScope("all")} />
+            {t("csv.all", { count: rows.length })}
+          </label>
+        </div>
+      )}
+
+      <div className="row csvRow">
+        <select value={prefs.delimiter} onChange={(e) => updatePrefs({ delimiter: e.target.value })}>
+          {DELIMITERS.map((d) => (
+            <option key={d.label} value={d.value}>
+              {t(d.label)}
+            </option>
+          ))}
+        </select>
+        <label className="check" title={t("csv.bomTitle")}>
+          <input type="checkbox" checked={prefs.bom} onChange={(e) => updatePrefs({ bom: e.target.checked })} />
+          BOM UTF-8
+        </label>
+      </div>
+
+      <div className="csvCols">
+        {columns.map((c) => (
+          <label key={c.key} className="check">
+            <input type="checkbox" checked={selected.includes(c.key)} onChange={() => toggle(c.key)} />
+            {c.key}
+          </label>
+        ))}
+      </div>
+      {extra.length > 0 && (
+        <>
+          <div className="muted hint">{t("csv.apiFields")}</div>
+          <div className="csvCols">
+            {extra.map((c) => (
+              <label key={c.key} className="check mono">
+                <input type="checkbox" checked={selected.includes(c.key)} onChange={() => toggle(c.key)} />
+                {c.key}
+              </label>
+            ))}
+          </div>
+        </>
+      )}
+
+      <div className="row">
+        <button className="btnGhost" onClick={copy} disabled={noColumns || !exportRows.length} type="button">
+          {copied ? t("common.copied") : t("common.copy")}
+        </button>
+        <button className="btnGhost" onClick={download} disabled={noColumns || !exportRows.length} type="button">
+          {t("csv.download", { ext: isTsv ? "tsv" : "csv" })}
+        </button>
+      </div>
+    </details>
+  )
+}
@@ -0,0 +1,155 @@
+import { Fragment, useRef, useState } from "react"
+import { t } from "../lib/i18n.js"
+import { cellValue, hasTableFilters, nextSort } from "../lib/table.js"
+import Highlight from "./Highlight.jsx"
+
+const SORT_ICON = { asc: "▲", desc: "▼" }
+const ARIA_SORT = { asc: "ascending", desc: "descending" }
+
+// Tabla de resultados con orden por columna, filtro por columna (texto o lista), resaltado de lo
+// buscado y navegación con teclado (↑/↓, Inicio/Fin; Enter llama a onActivate).
+// Las filas llegan ya filtradas y ordenadas con applyTableView (lib/table.js): así el panel puede
+// paginarlas antes. `count` y `total` son cuántas pasan el filtro y cuántas había.
+// Columna: { key, label (clave de i18n), className?, highlight?, render?(row, query), ... }
+export default function DataTable({
+  columns,
+  rows,
+  rowKey,
+  view,
+  onViewChange,
+  count = rows.length,
+  total = count,
+  highlight = "",
+  actions,
+  actionsLabel = "",
+  renderAfter,
+  onActivate,
+}) {
+  const [active, setActive] = useState(0)
+  const rowRefs = useRef([])
+  const current = Math.min(active, rows.length - 1)
+  const filtered = hasTableFilters(view)
+  const colSpan = columns.length + (actions ? 1 : 0)
+
+  function setFilter(key, value) {
+    onViewChange({ ...view, filters: { ...view.filters, [key]: value } })
+  }
+
+  function onRowKeyDown(e, i, row) {
+    let next = null
+    if (e.key === "ArrowDown") next = Math.min(rows.length - 1, i + 1)
+    else if (e.key === "ArrowUp") next = Math.max(0, i - 1)
+    else if (e.key === "Home" && e.target === e.currentTarget) next = 0
+    else if (e.key === "End" && e.target === e.currentTarget) next = rows.length - 1
+    else if (e.key === "Enter" && e.target === e.currentTarget && onActivate) {
+      e.preventDefault()
+      onActivate(row)
+      return
+    }
+    if (next === null) return
+    e.preventDefault()
+    setActive(next)
+    rowRefs.current[next]?.focus()
+  }
+
+  function renderCell(c, row) {
+    const query = `${highlight} ${view.filters[c.key] || ""}`.trim()
+    if (c.render) return c.render(row, query)
+    const v = cellValue(c, row)
+    return c.highlight ? <Highlight text={v} query={query} /> : v
+  }
+
+  return (
+    <>
+      {filtered && (
+        <div className="tableBar muted">
+          <span>{t("table.count", { count, total })}</span>
+          <button className="linkBtn" onClick={() => onViewChange({ ...view, filters: {} })} type="button">
+            {t("table.clearFilters")}
+          </button>
+        </div>
+      )}
+
+      <table className="dataTable">
+        <thead>
+          <tr>
+            {columns.map((c) => {
+              const dir = view.sort?.key === c.key ? view.sort.dir : null
+              return (
+                <th key={c.key} aria-sort={ARIA_SORT[dir] || "none"}>
+                  <button
+                    className="sortBtn"
+                    onClick={() => onViewChange({ ...view, sort: nextSort(view.sort, c.key) })}
+                    type="button"
+                    title={t("table.sort")}
+                  >
+                    {t(c.label)}
+                    <span className="sortIcon">{SORT_ICON[dir] || "↕"}</span>
+                  </button>
+                </th>
+              )
+            })}
+            {actions && <th className="thRight">{actionsLabel}</th>}
+          </tr>
+          <tr className="filterRow">
+            {columns.map((c) => (
+              <th key={c.key}>
+                {c.filter === false ? null : c.options ? (
+                  <select
+                    value={view.filters[c.key] || ""}
+                    onChange={(e) => setFilter(c.key, e.target.value)}
+                    aria-label={t("table.filterCol", { col: t(c.label) })}
+                  >
+                    <option value="">{t("table.all")}</option>
+                    {c.options.map((o) => (
+                      <option key={o.value} value={o.value}>
+                        {o.label}
+                      </option>
+                    ))}
+                  </select>
+                ) : (
+                  <input
+                    value={view.filters[c.key] || ""}
+                    onChange={(e) => setFilter(c.key, e.target.value)}
+                    placeholder={t("table.filter")}
+                    aria-label={t("table.filterCol", { col: t(c.label) })}
+                  />
+                )}
+              </th>
+            ))}
+            {actions && <th />}
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map((row, i) => (
+            <Fragment key={rowKey(row)}>
+              <tr
+                ref={(el) => {
+                  rowRefs.current[i] = el
+                }}
+                tabIndex={i === current ? 0 : -1}
+                onFocus={() => setActive(i)}
+                onKeyDown={(e) => onRowKeyDown(e, i, row)}
+              >
+                {columns.map((c) => (
+                  <td key={c.key} className={c.className}>
+                    {renderCell(c, row)}
+                  </td>
+                ))}
+                {actions && <td className="tdRight">{actions(row)}</td>}
+              </tr>
+              {renderAfter?.(row, colSpan)}
+            </Fragment>
+          ))}
+          {!rows.length && (
+            <tr>
+              <td colSpan={colSpan} className="muted">
+                {t("table.empty")}
+              </td>
+            </tr>
+          )}
+        </tbody>
+      </table>
+    </>
+  )
+}
@@ -0,0 +1,179 @@
+import { useRef, useState } from "react"
+import { formatDate, t } from "../lib/i18n.js"
+import { NotFoundError, fetchAe, fetchExoneracion } from "../lib/api.js"
+import {
+  POR_VENCER_DIAS,
+  cubreCabys,
+  diasParaVencer,
+  normalizeExoneracion,
+  vigenciaExoneracion,
+} from "../lib/exoneracion.js"
+
+const VIGENCIA = {
+  vigente: { label: "ex.vigente", className: "ok" },
+  porVencer: { label: "ex.porVencer", className: "warn" },
+  vencida: { label: "ex.vencida", className: "bad" },
+  sinFecha: { label: "ex.sinFecha", className: "warn" },
+}
+
+// Cuántos CABYS cubiertos se muestran antes de plegar la lista
+const CABYS_VISIBLES = 12
+
+// Verificación de un documento de exoneración citado en una orden de compra.
+// cabysItems: resultados del panel CABYS, para avisar cuáles no cubre.
+export default function Exoneracion({ cabysItems = [], onOpenAe }) {
+  const [autorizacion, setAutorizacion] = useState("")
+  const [ex, setEx] = useState(null)
+  const [titular, setTitular] = useState("")
+  const [titularError, setTitularError] = useState("")
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState("")
+  // Una consulta nueva cancela la anterior (y su búsqueda del titular en AE)
+  const abortRef = useRef(null)
+
+  const q = autorizacion.trim()
+
+  async function consultar() {
+    if (!q) return
+    abortRef.current?.abort()
+    const ctrl = new AbortController()
+    abortRef.current = ctrl
+    setLoading(true)
+    setError("")
+    setEx(null)
+    setTitular("")
+    setTitularError("")
+    try {
+      const doc = normalizeExoneracion(await fetchExoneracion(q, { signal: ctrl.signal }))
+      setEx(doc)
+      // El endpoint solo trae la cédula; el nombre sale de AE si está inscrito
+      if (doc.identificacion) {
+        fetchAe(doc.identificacion, { signal: ctrl.signal })
+          .then((ae) => setTitular(ae?.nombre || ""))
+          .catch((e) => {
+            if (e?.name === "AbortError" || e instanceof NotFoundError) return
+            setTitularError(e?.message || t("ex.titularError"))
+          })
+      }
+    } catch (e) {
+      if (e?.name === "AbortError") return
+      setError(e?.message || t("ex.error"))
+    } finally {
+      if (abortRef.current === ctrl) setLoading(false)
+    }
+  }
+
+  const vigencia = ex ? vigenciaExoneracion(ex) : null
+  const dias = ex ? diasParaVencer(ex) : null
+  const descripcion = new Map(cabysItems.map((c) => [String(c.codigo), c.descripcion]))
+  const noCubiertos = ex ? cabysItems.filter((c) => !cubreCabys(ex, c.codigo)) : []
+
+  return (
+    <section className="card">
+      <h2>{t("ex.title")}</h2>
+
+      <label>{t("ex.autorizacion")}</label>
+      <input
+        value={autorizacion}
+        onChange={(e) => setAutorizacion(e.target.value)}
+        onKeyDown={(e) => e.key === "Enter" && consultar()}
+        placeholder={t("ex.placeholder")}
+        className="mono"
+      />
+
+      <div className="row">
+        <button className="btnPrimary" onClick={consultar} disabled={!q || loading} type="button">
+          {loading ? t("common.consultando") : t("common.consultar")}
+        </button>
+      </div>
+
+      {error && <div className="alert">⚠️ {error}</div>}
+
+      {ex && (
+        <div className="ae-box">
+          <div className="ae-chips">
+            <span className={`chip ${VIGENCIA[vigencia].className}`}>{t(VIGENCIA[vigencia].label)}</span>
+            {ex.porcentaje !== null && <span className="chip">{t("ex.exonera", { pct: ex.porcentaje })}</span>}
+            {ex.tipoDocumento && <span className="chip">{ex.tipoDocumento}</span>}
+          </div>
+
+          {vigencia === "vencida" && (
+            <div className="alert">{t("ex.vencio", { fecha: formatDate(ex.fechaVencimiento) })}</div>
+          )}
+          {vigencia === "porVencer" && (
+            <div className="hint warn">
+              {t(dias === 1 ? "ex.venceEn1" : "ex.venceEn", { count: dias, aviso: POR_VENCER_DIAS })}
+            </div>
+          )}
+
+          <dl className="exDatos">
+            <dt>{t("ex.autorizacionLabel")}</dt>
+            <dd className="mono">{ex.autorizacion || q}</dd>
+            <dt>{t("ex.titular")}</dt>
+            <dd>
+              {titular && <div>{titular}</div>}
+              {titularError && <div className="hint bad">⚠️ {titularError}</div>}
+              <span className="mono">{ex.identificacion || "—"}</span>
+              {ex.identificacion && onOpenAe && (
+                <button
+                  className="linkBtn exVerAe"
+                  onClick={() => onOpenAe({ cedula: ex.identificacion, nombre: titular })}
+                  type="button"
+                >
+                  {t("ex.verAe")}
+                </button>
+              )}
+            </dd>
+            <dt>{t("ex.institucion")}</dt>
+            <dd>{ex.institucion || "—"}</dd>
+            <dt>{t("ex.emitida")}</dt>
+            <dd>{formatDate(ex.fechaEmision) || "—"}</dd>
+            <dt>{t("ex.vence")}</dt>
+            <dd>{formatDate(ex.fechaVencimiento) || "—"}</dd>
+          </dl>
+
+          <div className="exLabel">{t("ex.cabys")}</div>
+          {!ex.limitaCabys ? (
+            <div className="muted">{t("ex.noLimita")}</div>
+          ) : (
+            <CabysCubiertos codigos={ex.cabys} descripcion={descripcion} />
+          )}
+
+          {noCubiertos.length > 0 && (
+            <div className="alert">
+              {t(noCubiertos.length === 1 ? "ex.noCubierto" : "ex.noCubiertos", { count: noCubiertos.length })}
+              <ul className="diffList">
+                {noCubiertos.map((c) => (
+                  <li key={c.codigo}>
+                    <span className="mono">{c.codigo}</span> {c.descripcion}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+          {ex.limitaCabys && cabysItems.length > 0 && !noCubiertos.length && (
+            <div className="hint ok">{t("ex.todosCubiertos")}</div>
+          )}
+        </div>
+      )}
+    </section>
+  )
+}
+
+function CabysCubiertos({ codigos, descripcion }) {
+  const item = (c) => (
+    <li key={c}>
+      <span className="mono">{c}</span> {descripcion.get(c) || ""}
+    </li>
+  )
+  if (codigos.length <= CABYS_VISIBLES) return <ul className="diffList">{codigos.map(item)}</ul>
+  return (
+    <>
+      <ul className="diffList">{codigos.slice(0, CABYS_VISIBLES).map(item)}</ul>
+      <details>
+        <summary>{t("ex.verOtros", { count: codigos.length - CABYS_VISIBLES })}</summary>
+        <ul className="diffList">{codigos.slice(CABYS_VISIBLES).map(item)}</ul>
+      </details>
+    </>
+  )
+}
@@ -0,0 +1,163 @@
+import { useRef, useState } from "react"
+import { downloadXlsx } from "../lib/helpers.js"
+import { checkFactura, parseFacturaXml } from "../lib/factura.js"
+import { t } from "../lib/i18n.js"
+
+const NIVEL_CLASS = { ok: "ok", warn: "warn", error: "bad" }
+const NIVEL_ICON = { ok: "✅", warn: "⚠️", error: "⛔" }
+
+function resumen(findings) {
+  if (findings.some((f) => f.nivel === "error")) return "error"
+  if (findings.some((f) => f.nivel === "warn")) return "warn"
+  return "ok"
+}
+
+// Revisión de comprobantes XML recibidos: líneas contra CABYS y emisor contra AE
+export default function FacturaChecker() {
+  const [docs, setDocs] = useState([])
+  const [dragging, setDragging] = useState(false)
+  const fileRef = useRef(null)
+
+  function updateDoc(id, patch) {
+    setDocs((prev) => prev.map((d) => (d.id === id ? { ...d, ...patch } : d)))
+  }
+
+  async function addFiles(fileList) {
+    const files = [...fileList].filter((f) => /\.xml$/i.test(f.name) || f.type.includes("xml"))
+    for (const file of files) {
+      const id = `${file.name}-${file.lastModified}-${Math.random().toString(36).slice(2, 7)}`
+      setDocs((prev) => [...prev, { id, fileName: file.name, status: "revisando" }])
+      try {
+        const factura = parseFacturaXml(await file.text())
+        updateDoc(id, { factura })
+        const findings = await checkFactura(factura)
+        updateDoc(id, { findings, status: resumen(findings) })
+      } catch (e) {
+        updateDoc(id, { status: "error", error: e?.message || t("fact.readError") })
+      }
+    }
+  }
+
+  function onDrop(e) {
+    e.preventDefault()
+    setDragging(false)
+    addFiles(e.dataTransfer.files)
+  }
+
+  function downloadReport() {
+    const rows = docs.flatMap((d) => {
+      const base = {
+        archivo: d.fileName,
+        comprobante: d.factura && t(d.factura.tipoLabel),
+        consecutivo: d.factura?.consecutivo,
+        fecha: d.factura?.fecha,
+        emisor: d.factura?.emisor?.nombre,
+        emisor_id: d.factura?.emisor?.identificacion,
+      }
+      if (d.error) return [{ ...base, nivel: "error", mensaje: d.error }]
+      return (d.findings || []).map((f) => ({ ...base, nivel: f.nivel, linea: f.linea, mensaje: f.mensaje }))
+    })
+    downloadXlsx("revision_comprobantes.xlsx", "Hallazgos", rows, [
+      "archivo",
+      "comprobante",
+      "consecutivo",
+      "fecha",
+      "emisor",
+      "emisor_id",
+      "nivel",
+      "linea",
+      "mensaje",
+    ])
+  }
+
+  const busy = docs.some((d) => d.status === "revisando")
+
+  return (
+    <section className="card">
+      <h2>{t("fact.title")}</h2>
+
+      <div
+        className={`dropZone ${dragging ? "over" : ""}`}
+        onDragOver={(e) => {
+          e.preventDefault()
+          setDragging(true)
+        }}
+        onDragLeave={() => setDragging(false)}
+        onDrop={onDrop}
+        onClick={() => fileRef.current?.click()}
+        role="button"
+        tabIndex={0}
+        onKeyDown={(e) => e.key === "Enter" && fileRef.current?.click()}
+      >
+        {t("fact.drop")}
+        <div className="muted">{t("fact.dropClick")}</div>
+      </div>
+      <input
+        ref={fileRef}
+        type="file"
+        accept=".xml,text/xml,application/xml"
+        multiple
+        hidden
+        onChange={(e) => {
+          addFiles(e.target.files)
+          e.target.value = ""
+        }}
+      />
+
+      <div className="row">
+        <button className="btnGhost" onClick={downloadReport} disabled={!docs.length || busy} type="button">
+          {t("fact.download")}
+        </button>
+        <button className="btnGhost" onClick={() => setDocs([])} disabled={!docs.length || busy} type="button">
+          {t("fact.clear")}
+        </button>
+      </div>
+
+      {docs.map((d) => (
+        <div key={d.id} className="ae-box">
+          <div className="batchHead">
+            <b>
+              {t(d.factura?.tipoLabel || "fact.comprobante")}{" "}
+              {d.factura?.consecutivo && <span className="mono">{d.factura.consecutivo}</span>}
+            </b>
+            <span className={`chip ${NIVEL_CLASS[d.status] || ""}`}>{t(`fact.status.${d.status}`)}</span>
+          </div>
+          <div className="muted hint">{d.fileName}</div>
+
+          {d.factura && (
+            <div className="ae-header facturaHead">
+              <div className="ae-col">
+                <div className="label">{t("fact.emisor")}</div>
+                <div className="value">{d.factura.emisor?.nombre || "—"}</div>
+                <div className="mono muted">{d.factura.emisor?.identificacion}</div>
+              </div>
+              <div className="ae-col">
+                <div className="label">{t("fact.receptor")}</div>
+                <div className="value">{d.factura.receptor?.nombre || "—"}</div>
+                <div className="mono muted">{d.factura.receptor?.identificacion}</div>
+              </div>
+              <div className="ae-col">
+                <div className="label">{t("fact.total", { moneda: d.factura.moneda })}</div>
+                <div className="value">{d.factura.totalComprobante ?? "—"}</div>
+                <div className="muted">{t("fact.lineas", { count: d.factura.lineas.length })}</div>
+              </div>
+            </div>
+          )}
+
+          {d.error && <div className="alert">⚠️ {d.error}</div>}
+
+          {d.findings?.length > 0 && (
+            <ul className="findings">
+              {d.findings.map((f, i) => (
+                <li key={i} className={NIVEL_CLASS[f.nivel]}>
+                  {NIVEL_ICON[f.nivel]} {f.linea && <span className="mono">L{f.linea} </span>}
+                  {f.mensaje}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      ))}
+    </section>
+  )
+}
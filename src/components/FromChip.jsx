@@ -0,0 +1,14 @@
+import { t } from "../lib/i18n.js"
+
+// Muestra desde qué panel se abrió la consulta actual ({ panel, label }); ✕ lo olvida
+export default function FromChip({ from, onClear }) {
+  if (!from) return null
+  return (
+    <span className="chip fromChip" title={t("from.title", { panel: from.panel })}>
+      ↪ {from.panel}: {from.label}
+      <button type="button" className="histX" title={t("from.clear")} onClick={onClear}>
+        ✕
+      </button>
+    </span>
+  )
+}
@@ -0,0 +1,120 @@
+import { useEffect, useState } from "react"
+import { copyText, parseMontoCR } from "../lib/helpers.js"
+import { formatDate, formatMoney, t } from "../lib/i18n.js"
+import { fetchTipoCambioEuro } from "../lib/api.js"
+
+const MONEDAS = ["CRC", "USD", "EUR"]
+
+// Conversor sobre el tipo de cambio del fxCard. Todo pasa por colones:
+// USD usa compra o venta según se elija; el euro de Hacienda trae un único valor en colones.
+export default function FxConverter({ fx }) {
+  const [monto, setMonto] = useState("")
+  const [de, setDe] = useState("CRC")
+  const [a, setA] = useState("USD")
+  const [lado, setLado] = useState("venta")
+  const [euro, setEuro] = useState(null)
+  const [euroError, setEuroError] = useState("")
+  const [copied, setCopied] = useState(false)
+
+  useEffect(() => {
+    fetchTipoCambioEuro()
+      .then(setEuro)
+      .catch(() => setEuroError(t("fx.euroError")))
+  }, [])
+
+  const usd = Number(fx?.[lado])
+  const rates = { CRC: 1, USD: Number.isFinite(usd) && usd > 0 ? usd : null, EUR: euro?.colones ?? null }
+
+  const amount = parseMontoCR(monto)
+  const needs = [de, a].filter((m) => m !== "CRC")
+  const missing = needs.find((m) => !rates[m])
+
+  let result = null
+  if (amount !== null && !missing) result = (amount * rates[de]) / rates[a]
+
+  const usedRates = needs
+    .filter((m, i) => needs.indexOf(m) === i)
+    .map((m) =>
+      m === "USD"
+        ? t("fx.rateUsd", {
+            lado: t(`fx.${lado}`).toLowerCase(),
+            monto: formatMoney(usd),
+            fecha: formatDate(fx?.fecha),
+          })
+        : t("fx.rateEur", { monto: formatMoney(euro?.colones), fecha: formatDate(euro?.fecha) })
+    )
+
+  function swap() {
+    setDe(a)
+    setA(de)
+  }
+
+  async function copyResult() {
+    if (result === null) return
+    const line = `${formatMoney(amount, de)} = ${formatMoney(result, a)}`
+    const text = usedRates.length ? t("fx.copyLine", { line, rates: usedRates.join("; ") }) : line
+    setCopied(await copyText(text))
+    setTimeout(() => setCopied(false), 1500)
+  }
+
+  return (
+    <section className="card fxConverter">
+      <div className="fxConvGrid">
+        <div>
+          <label>{t("fx.monto")}</label>
+          <input
+            value={monto}
+            onChange={(e) => setMonto(e.target.value)}
+            placeholder="1 234 567,89"
+            inputMode="decimal"
+          />
+        </div>
+
+        <div>
+          <label>{t("fx.de")}</label>
+          <select value={de} onChange={(e) => setDe(e.target.value)}>
+            {MONEDAS.map((m) => (
+              <option key={m}>{m}</option>
+            ))}
+          </select>
+        </div>
+
+        <button className="iconBtn fxSwap" onClick={swap} type="button" title={t("fx.swap")}>
+          ⇄
+        </button>
+
+        <div>
+          <label>{t("fx.a")}</label>
+          <select value={a} onChange={(e) => setA(e.target.value)}>
+            {MONEDAS.map((m) => (
+              <option key={m}>{m}</option>
+            ))}
+          </select>
+        </div>
+
+        <div>
+          <label>{t("fx.usdSide")}</label>
+          <select value={lado} onChange={(e) => setLado(e.target.value)}>
+            <option value="compra">{t("fx.compra")}</option>
+            <option value="venta">{t("fx.venta")}</option>
+          </select>
+        </div>
+      </div>
+
+      {monto && amount === null && <div className="hint bad">{t("fx.invalidAmount")}</div>}
+      {missing === "USD" && <div className="hint bad">{t("fx.usdMissing")}</div>}
+      {missing === "EUR" && <div className="hint bad">{euroError || t("fx.euroLoading")}</div>}
+
+      <div className="row fxResultRow">
+        <div className="fxResult">{result !== null ? formatMoney(result, a) : "—"}</div>
+        <button className="btnGhost" onClick={copyResult} disabled={result === null} type="button">
+          {copied ? t("fx.copied") : t("fx.copyWithRate")}
+        </button>
+      </div>
+
+      {result !== null && usedRates.length > 0 && (
+        <div className="muted fxDate">{t("fx.usedRates", { rates: usedRates.join("; ") })}</div>
+      )}
+    </section>
+  )
+}
@@ -0,0 +1,186 @@
+import { useState } from "react"
+import { addDays, downloadXlsx, isoDate } from "../lib/helpers.js"
+import { formatDate, formatMoney, t } from "../lib/i18n.js"
+import { fetchTipoCambioHistorico } from "../lib/api.js"
+import TrendChart from "./TrendChart.jsx"
+
+// Hacienda no publica tipo de cambio en fines de semana/feriados:
+// para una fecha puntual se pide una ventana hacia atrás y se toma el último disponible.
+const LOOKBACK_DAYS = 7
+const MAX_RANGE_DAYS = 366
+
+function daysBetween(a, b) {
+  return Math.round((new Date(`${b}T00:00:00`) - new Date(`${a}T00:00:00`)) / 86_400_000)
+}
+
+export default function FxHistory() {
+  const today = isoDate()
+  const [mode, setMode] = useState("fecha")
+
+  const [fecha, setFecha] = useState(today)
+  const [dia, setDia] = useState(null)
+
+  const [desde, setDesde] = useState(addDays(today, -30))
+  const [hasta, setHasta] = useState(today)
+  const [serie, setSerie] = useState([])
+
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState("")
+
+  const rangeError =
+    desde > hasta
+      ? t("fx.hist.rangeOrder")
+      : daysBetween(desde, hasta) > MAX_RANGE_DAYS
+        ? t("fx.hist.rangeMax")
+        : ""
+
+  async function consultarFecha() {
+    if (!fecha) return
+    setLoading(true)
+    setError("")
+    setDia(null)
+    try {
+      const list = await fetchTipoCambioHistorico(addDays(fecha, -LOOKBACK_DAYS), fecha)
+      const last = list.filter((x) => x.fecha <= fecha).pop()
+      if (!last) throw new Error(t("fx.hist.noDay"))
+      setDia(last)
+    } catch (e) {
+      setError(e?.message || t("fx.hist.error"))
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  async function consultarRango() {
+    if (rangeError) return
+    setLoading(true)
+    setError("")
+    setSerie([])
+    try {
+      const list = await fetchTipoCambioHistorico(desde, hasta)
+      if (!list.length) throw new Error(t("fx.hist.noRange"))
+      setSerie(list)
+    } catch (e) {
+      setError(e?.message || t("fx.hist.error"))
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  function downloadSerieXlsx() {
+    if (!serie.length) return
+    downloadXlsx(`tipo_cambio_${desde}_${hasta}.xlsx`, "Tipo de cambio", serie, [
+      "fecha",
+      "compra",
+      "venta",
+    ])
+  }
+
+  return (
+    <section className="card">
+      <h2>{t("fx.hist.title")}</h2>
+
+      <div className="row tabs">
+        <button
+          className={mode === "fecha" ? "btnPrimary" : "btnGhost"}
+          onClick={() => setMode("fecha")}
+          type="button"
+        >
+          {t("fx.hist.byDate")}
+        </button>
+        <button
+          className={mode === "rango" ? "btnPrimary" : "btnGhost"}
+          onClick={() => setMode("rango")}
+          type="button"
+        >
+          {t("fx.hist.byRange")}
+        </button>
+      </div>
+
+      {mode === "fecha" ? (
+        <>
+          <label>{t("fx.hist.fechaFactura")}</label>
+          <input type="date" value={fecha} max={today} onChange={(e) => setFecha(e.target.value)} />
+
+          <div className="row">
+            <button
+              className="btnPrimary"
+              onClick={consultarFecha}
+              disabled={!fecha || loading}
+              type="button"
+            >
+              {loading ? t("common.consultando") : t("common.consultar")}
+            </button>
+          </div>
+
+          {dia && (
+            <div className="ae-box">
+              <div className="ae-header">
+                <div className="ae-col">
+                  <div className="label">{t("fx.hist.fecha")}</div>
+                  <div className="value">{formatDate(`${dia.fecha}T00:00:00`)}</div>
+                </div>
+                <div className="ae-col">
+                  <div className="label">{t("fx.compra")}</div>
+                  <div className="value">{formatMoney(dia.compra)}</div>
+                </div>
+                <div className="ae-col">
+                  <div className="label">{t("fx.venta")}</div>
+                  <div className="value">{formatMoney(dia.venta)}</div>
+                </div>
+              </div>
+              {dia.fecha !== fecha && (
+                <div className="hint muted">
+                  {t("fx.hist.fallback", { fecha: formatDate(`${fecha}T00:00:00`) })}
+                </div>
+              )}
+            </div>
+          )}
+        </>
+      ) : (
+        <>
+          <div className="grid2 tight">
+            <div>
+              <label>{t("fx.hist.desde")}</label>
+              <input type="date" value={desde} max={hasta} onChange={(e) => setDesde(e.target.value)} />
+            </div>
+            <div>
+              <label>{t("fx.hist.hasta")}</label>
+              <input type="date" value={hasta} max={today} onChange={(e) => setHasta(e.target.value)} />
+            </div>
+          </div>
+
+          {rangeError && <div className="hint bad">{rangeError}</div>}
+
+          <div className="row">
+            <button
+              className="btnPrimary"
+              onClick={consultarRango}
+              disabled={!!rangeError || loading}
+              type="button"
+            >
+              {loading ? t("common.consultando") : t("common.consultar")}
+            </button>
+
+            <button className="btnGhost" onClick={downloadSerieXlsx} disabled={!serie.length} type="button">
+              {t("common.downloadXlsx")}
+            </button>
+          </div>
+
+          {serie.length > 0 && (
+            <TrendChart
+              labels={serie.map((x) => x.fecha)}
+              series={[
+                { label: t("fx.compra"), values: serie.map((x) => x.compra), color: "#33e28f" },
+                { label: t("fx.venta"), values: serie.map((x) => x.venta), color: "#8b93ff" },
+              ]}
+              format={(v) => formatMoney(v)}
+            />
+          )}
+        </>
+      )}
+
+      {error && <div className="alert">⚠️ {error}</div>}
+    </section>
+  )
+}
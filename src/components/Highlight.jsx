@@ -0,0 +1,55 @@
+import { normalizeText } from "../lib/helpers.js"
+
+// Rangos [inicio, fin) del texto original donde aparece alguna palabra de `query`,
+// comparando sin tildes ni mayúsculas.
+function matchRanges(text, query) {
+  const tokens = normalizeText(query)
+    .split(/\s+/)
+    .filter((t) => t.length > 1)
+  if (!tokens.length) return []
+
+  // Normaliza carácter por carácter para poder volver a las posiciones originales
+  let norm = ""
+  const origIndex = []
+  for (let i = 0; i < text.length; i++) {
+    const n = normalizeText(text[i])
+    for (let k = 0; k < n.length; k++) origIndex.push(i)
+    norm += n
+  }
+  origIndex.push(text.length)
+
+  const ranges = []
+  for (const t of tokens) {
+    let from = norm.indexOf(t)
+    while (from !== -1) {
+      ranges.push([origIndex[from], origIndex[from + t.length]])
+      from = norm.indexOf(t, from + t.length)
+    }
+  }
+  ranges.sort((a, b) => a[0] - b[0])
+
+  const merged = []
+  for (const r of ranges) {
+    const last = merged[merged.length - 1]
+    if (last && r[0] <= last[1]) last[1] = Math.max(last[1], r[1])
+    else merged.push([...r])
+  }
+  return merged
+}
+
+// Resalta en `text` las palabras buscadas
+export default function Highlight({ text, query }) {
+  const s = String(text ?? "")
+  const ranges = query ? matchRanges(s, query) : []
+  if (!ranges.length) return s
+
+  const out = []
+  let pos = 0
+  ranges.forEach(([a, b]) => {
+    if (a > pos) out.push(s.slice(pos, a))
+    out.push(<mark key={a}>{s.slice(a, b)}</mark>)
+    pos = b
+  })
+  if (pos < s.length) out.push(s.slice(pos))
+  return out
+}
@@ -0,0 +1,44 @@
+import { t } from "../lib/i18n.js"
+
+// Favoritos (★) y consultas recientes de un panel; al tocar una se vuelve a consultar
+export default function HistoryBar({ entries, onSelect, onToggleFavorite, onRemove }) {
+  const { favorites, recent } = entries
+  const favQs = new Set(favorites.map((f) => f.q))
+  const others = recent.filter((r) => !favQs.has(r.q))
+
+  if (!favorites.length && !others.length) return null
+
+  return (
+    <div className="historyBar">
+      {favorites.map((e) => (
+        <span key={`f-${e.q}`} className="histChip fav">
+          <button type="button" title={e.q} onClick={() => onSelect(e)}>
+            ★ {e.label || e.q}
+          </button>
+          <button
+            type="button"
+            className="histX"
+            title={t("history.favRemove")}
+            onClick={() => onToggleFavorite(e)}
+          >
+            ✕
+          </button>
+        </span>
+      ))}
+
+      {others.map((e) => (
+        <span key={`r-${e.q}`} className="histChip">
+          <button type="button" title={e.q} onClick={() => onSelect(e)}>
+            {e.label || e.q}
+          </button>
+          <button type="button" className="histX" title={t("history.favAdd")} onClick={() => onToggleFavorite(e)}>
+            ☆
+          </button>
+          <button type="button" className="histX" title={t("history.remove")} onClick={() => onRemove(e)}>
+            ✕
+          </button>
+        </span>
+      ))}
+    </div>
+  )
+}
@@ -0,0 +1,283 @@
+import { useState } from "react"
+import { copyText, downloadBlob, downloadXlsxSheets, onlyDigits } from "../lib/helpers.js"
+import { formatDate, formatMoney, t } from "../lib/i18n.js"
+import { fetchCabysByCode } from "../lib/api.js"
+import { isCabysCode } from "../lib/cabys.js"
+import {
+  MONEDAS,
+  calcLinea,
+  calcProforma,
+  newLinea,
+  proformaFe,
+  proformaSheets,
+} from "../lib/proforma.js"
+
+// Borrador de líneas de factura: el IVA sale del CABYS de cada línea y los montos en otra
+// moneda se convierten con el tipo de cambio de venta del fxCard.
+// value: { moneda, lineas }; onChange recibe un updater como el de setState (la consulta
+// de CABYS termina después y no debe pisar lo que se escribió mientras tanto).
+export default function Proforma({ value, onChange, fx }) {
+  const [lookup, setLookup] = useState({})
+  const [copied, setCopied] = useState(false)
+
+  const { moneda, lineas } = value
+  const venta = Number(fx?.venta)
+  const usd = Number.isFinite(venta) && venta > 0 ? venta : null
+  const r = calcProforma(lineas, moneda, usd)
+
+  function updateWith(id, fn) {
+    onChange((p) => ({ ...p, lineas: p.lineas.map((l) => (l.id === id ? fn(l) : l)) }))
+  }
+
+  function update(id, patch) {
+    updateWith(id, (l) => ({ ...l, ...patch }))
+  }
+
+  function addLinea() {
+    onChange((p) => ({ ...p, lineas: [...p.lineas, newLinea({ moneda: p.moneda })] }))
+  }
+
+  function removeLinea(id) {
+    onChange((p) => {
+      const rest = p.lineas.filter((l) => l.id !== id)
+      return { ...p, lineas: rest.length ? rest : [newLinea()] }
+    })
+  }
+
+  function clear() {
+    onChange((p) => ({ ...p, lineas: [newLinea()] }))
+  }
+
+  async function lookupCabys(l) {
+    const codigo = onlyDigits(l.cabys)
+    if (!isCabysCode(codigo)) {
+      setLookup((s) => ({ ...s, [l.id]: { error: t("prof.cabysLength") } }))
+      return
+    }
+    setLookup((s) => ({ ...s, [l.id]: { loading: true } }))
+    try {
+      const [item] = await fetchCabysByCode(codigo)
+      setLookup((s) => ({ ...s, [l.id]: item ? {} : { error: t("prof.cabysNotFound") } }))
+      if (!item) return
+      // Si mientras tanto cambiaron el código, la respuesta ya no aplica
+      updateWith(l.id, (cur) =>
+        onlyDigits(cur.cabys) === codigo
+          ? { ...cur, cabys: codigo, descripcion: cur.descripcion || item.descripcion, impuesto: Number(item.impuesto) }
+          : cur
+      )
+    } catch (e) {
+      setLookup((s) => ({ ...s, [l.id]: { error: e?.message || t("prof.cabysError") } }))
+    }
+  }
+
+  function downloadXlsx() {
+    downloadXlsxSheets("proforma.xlsx", proformaSheets(lineas, moneda, usd))
+  }
+
+  function downloadJson() {
+    const json = JSON.stringify(proformaFe(lineas, moneda, usd), null, 2)
+    downloadBlob("proforma.json", new Blob([json], { type: "application/json" }))
+  }
+
+  async function copyJson() {
+    if (await copyText(JSON.stringify(proformaFe(lineas, moneda, usd), null, 2))) {
+      setCopied(true)
+      setTimeout(() => setCopied(false), 1500)
+    }
+  }
+
+  const monto = (n) => formatMoney(n, moneda)
+  const needsFx = lineas.some((l) => l.moneda !== moneda)
+  const hasLines = r.lineas.length > 0
+
+  return (
+    <section className="card cardWide">
+      <div className="cardHead">
+        <h2>{t("prof.title")}</h2>
+        <div className="row proformaMoneda">
+          <span className="muted">{t("prof.docMoneda")}</span>
+          <select value={moneda} onChange={(e) => onChange((p) => ({ ...p, moneda: e.target.value }))}>
+            {MONEDAS.map((m) => (
+              <option key={m}>{m}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {needsFx && (
+        <div className={`hint ${usd ? "muted" : "bad"}`}>
+          {usd
+            ? t("prof.fxUsed", { monto: formatMoney(usd), fecha: formatDate(fx.fecha) })
+            : t("prof.fxMissing")}
+        </div>
+      )}
+
+      <div className="tableScroll">
+        <table className="proformaTable">
+          <thead>
+            <tr>
+              <th>CABYS</th>
+              <th>{t("prof.col.detalle")}</th>
+              <th>{t("prof.col.cantidad")}</th>
+              <th>{t("prof.col.precio")}</th>
+              <th>{t("prof.col.moneda")}</th>
+              <th>{t("prof.col.descuento")}</th>
+              <th title={t("prof.col.exonTitle")}>{t("prof.col.exon")}</th>
+              <th>{t("prof.col.iva")}</th>
+              <th className="thRight">{t("prof.col.total")}</th>
+              <th />
+            </tr>
+          </thead>
+          <tbody>
+            {lineas.map((l) => {
+              const c = calcLinea(l, moneda, usd)
+              const st = lookup[l.id] || {}
+              return (
+                <tr key={l.id}>
+                  <td>
+                    <input
+                      className="mono"
+                      value={l.cabys}
+                      onChange={(e) => update(l.id, { cabys: e.target.value, impuesto: null })}
+                      onBlur={() => l.cabys && l.impuesto === null && lookupCabys(l)}
+                      onKeyDown={(e) => e.key === "Enter" && lookupCabys(l)}
+                      placeholder={t("prof.cabysPlaceholder")}
+                      inputMode="numeric"
+                    />
+                    {st.loading && <div className="hint muted">{t("common.consultando")}</div>}
+                    {st.error && <div className="hint bad">{st.error}</div>}
+                  </td>
+                  <td>
+                    <input value={l.descripcion} onChange={(e) => update(l.id, { descripcion: e.target.value })} />
+                  </td>
+                  <td>
+                    <input
+                      className="numInput"
+                      value={l.cantidad}
+                      onChange={(e) => update(l.id, { cantidad: e.target.value })}
+                      inputMode="decimal"
+                    />
+                  </td>
+                  <td>
+                    <input
+                      value={l.precio}
+                      onChange={(e) => update(l.id, { precio: e.target.value })}
+                      placeholder="0,00"
+                      inputMode="decimal"
+                    />
+                  </td>
+                  <td>
+                    <select value={l.moneda} onChange={(e) => update(l.id, { moneda: e.target.value })}>
+                      {MONEDAS.map((m) => (
+                        <option key={m}>{m}</option>
+                      ))}
+                    </select>
+                  </td>
+                  <td>
+                    <input
+                      className="numInput"
+                      value={l.descuento}
+                      onChange={(e) => update(l.id, { descuento: e.target.value })}
+                      placeholder="0"
+                      inputMode="decimal"
+                    />
+                  </td>
+                  <td>
+                    <input
+                      className="numInput"
+                      value={l.exoneracion}
+                      onChange={(e) => update(l.id, { exoneracion: e.target.value })}
+                      placeholder="0"
+                      inputMode="decimal"
+                    />
+                  </td>
+                  <td>{l.impuesto === null ? <span className="muted">—</span> : `${l.impuesto}%`}</td>
+                  <td className="tdRight">
+                    <div>{monto(c.total)}</div>
+                    {c.exonerado > 0 && (
+                      <div className="muted">{t("prof.exonMonto", { monto: monto(c.exonerado) })}</div>
+                    )}
+                  </td>
+                  <td className="tdRight">
+                    <button
+                      className="iconBtn"
+                      onClick={() => removeLinea(l.id)}
+                      type="button"
+                      title={t("prof.removeLinea")}
+                    >
+                      ✕
+                    </button>
+                  </td>
+                </tr>
+              )
+            })}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="row">
+        <button className="btnGhost" onClick={addLinea} type="button">
+          {t("prof.addLinea")}
+        </button>
+        <button className="btnGhost" onClick={clear} type="button">
+          {t("prof.clear")}
+        </button>
+      </div>
+
+      {hasLines && (
+        <table className="proformaTotals">
+          <tbody>
+            <tr>
+              <td>{t("prof.totalVenta")}</td>
+              <td className="tdRight">{monto(r.totalVenta)}</td>
+            </tr>
+            {r.totalDescuentos > 0 && (
+              <tr>
+                <td>{t("prof.descuentos")}</td>
+                <td className="tdRight">−{monto(r.totalDescuentos)}</td>
+              </tr>
+            )}
+            <tr>
+              <td>{t("prof.subtotal")}</td>
+              <td className="tdRight">{monto(r.totalVentaNeta)}</td>
+            </tr>
+            {r.ivaPorTarifa.map((x) => (
+              <tr key={x.tarifa}>
+                <td>
+                  {t("prof.ivaTarifa", { tarifa: x.tarifa })}{" "}
+                  <span className="muted">{t("prof.ivaBase", { monto: monto(x.base) })}</span>
+                  {x.exonerado > 0 && (
+                    <span className="muted"> {t("prof.ivaExonerado", { monto: monto(x.exonerado) })}</span>
+                  )}
+                </td>
+                <td className="tdRight">{monto(x.neto)}</td>
+              </tr>
+            ))}
+            <tr className="proformaTotal">
+              <td>{t("prof.total")}</td>
+              <td className="tdRight">{monto(r.totalComprobante)}</td>
+            </tr>
+          </tbody>
+        </table>
+      )}
+
+      {r.lineas.some(({ c }) => c.errores.length) && (
+        <div className="hint bad">
+          {t("prof.revisar")}
+        </div>
+      )}
+
+      <div className="row">
+        <button className="btnGhost" onClick={downloadXlsx} disabled={!hasLines} type="button">
+          {t("common.downloadXlsx")}
+        </button>
+        <button className="btnGhost" onClick={downloadJson} disabled={!hasLines} type="button">
+          {t("prof.downloadJson")}
+        </button>
+        <button className="btnGhost" onClick={copyJson} disabled={!hasLines} type="button">
+          {copied ? t("common.copied") : t("prof.copyJson")}
+        </button>
+      </div>
+    </section>
+  )
+}
@@ -0,0 +1,103 @@
+import { t } from "../lib/i18n.js"
+
+// Gráfico de líneas liviano en SVG (sin librerías).
+// series: [{ label, values: number[], color }] — todas con el mismo largo que `labels`.
+export default function TrendChart({ labels = [], series = [], height = 140, format = (v) => v }) {
+  const width = 520
+  const pad = { top: 10, right: 10, bottom: 18, left: 56 }
+
+  const all = series.flatMap((s) => s.values).filter((v) => Number.isFinite(v))
+  if (!all.length || labels.length < 2) {
+    return <div className="muted chartEmpty">{t("fx.chartEmpty")}</div>
+  }
+
+  let min = Math.min(...all)
+  let max = Math.max(...all)
+  if (min === max) {
+    min -= 1
+    max += 1
+  }
+
+  const innerW = width - pad.left - pad.right
+  const innerH = height - pad.top - pad.bottom
+  const x = (i) => pad.left + (i / (labels.length - 1)) * innerW
+  const y = (v) => pad.top + (1 - (v - min) / (max - min)) * innerH
+
+  // Un día sin dato corta la línea: el punto siguiente abre otro tramo (M) como en Sparkline
+  function path(values) {
+    let d = ""
+    let pen = false
+    values.forEach((v, i) => {
+      if (!Number.isFinite(v)) {
+        pen = false
+        return
+      }
+      d += `${pen ? "L" : "M"}${x(i).toFixed(1)},${y(v).toFixed(1)} `
+      pen = true
+    })
+    return d.trim()
+  }
+
+  return (
+    <div className="chart">
+      <svg viewBox={`0 0 ${width} ${height}`} role="img" preserveAspectRatio="none">
+        <line className="chartAxis" x1={pad.left} x2={width - pad.right} y1={y(max)} y2={y(max)} />
+        <line className="chartAxis" x1={pad.left} x2={width - pad.right} y1={y(min)} y2={y(min)} />
+        <text className="chartTick" x={pad.left - 6} y={y(max) + 4} textAnchor="end">
+          {format(max)}
+        </text>
+        <text className="chartTick" x={pad.left - 6} y={y(min) + 4} textAnchor="end">
+          {format(min)}
+        </text>
+        <text className="chartTick" x={pad.left} y={height - 4}>
+          {labels[0]}
+        </text>
+        <text className="chartTick" x={width - pad.right} y={height - 4} textAnchor="end">
+          {labels[labels.length - 1]}
+        </text>
+
+        {series.map((s) => (
+          <path key={s.label} d={path(s.values)} fill="none" stroke={s.color} strokeWidth="2" />
+        ))}
+      </svg>
+
+      <div className="chartLegend">
+        {series.map((s) => (
+          <span key={s.label}>
+            <span className="chartSwatch" style={{ background: s.color }} /> {s.label}
+          </span>
+        ))}
+      </div>
+    </div>
+  )
+}
+
+// Mini gráfica sin ejes (ej. latencia); los null se dibujan como hueco
+export function Sparkline({ values = [], width = 120, height = 28, color = "#8b93ff" }) {
+  const nums = values.filter((v) => Number.isFinite(v))
+  if (nums.length < 2) return <svg className="sparkline" width={width} height={height} />
+
+  const max = Math.max(...nums)
+  const min = Math.min(...nums)
+  const span = max - min || 1
+  const step = width / Math.max(1, values.length - 1)
+
+  let d = ""
+  let pen = false
+  values.forEach((v, i) => {
+    if (!Number.isFinite(v)) {
+      pen = false
+      return
+    }
+    const x = (i * step).toFixed(1)
+    const y = (height - 2 - ((v - min) / span) * (height - 4)).toFixed(1)
+    d += `${pen ? "L" : "M"}${x},${y} `
+    pen = true
+  })
+
+  return (
+    <svg className="sparkline" width={width} height={height} viewBox={`0 0 ${width} ${height}`}>
+      <path d={d.trim()} fill="none" stroke={color} strokeWidth="1.5" />
+    </svg>
+  )
+}
@@ -0,0 +1,398 @@
+import { Fragment, useCallback, useEffect, useRef, useState } from "react"
+import { downloadXlsxSheets, runWithConcurrency } from "../lib/helpers.js"
+import { detectCedula } from "../lib/cedula.js"
+import {
+  WATCH_INTERVALS,
+  checkWatchItem,
+  loadWatchInterval,
+  loadWatchLog,
+  loadWatchlist,
+  markWatchItemSeen,
+  removeWatchItem,
+  saveWatchInterval,
+  saveWatchItem,
+  watchValue,
+} from "../lib/watchlist.js"
+import { formatDateTime, t } from "../lib/i18n.js"
+
+const CONCURRENCY = 4
+
+const LISTA_HEADERS = [
+  "cedula",
+  "alias",
+  "nombre",
+  "estado",
+  "moroso",
+  "omiso",
+  "regimen",
+  "administracion_tributaria",
+  "actividades",
+  "ultima_revision",
+  "ultimo_cambio",
+  "cambios_sin_ver",
+  "error",
+]
+const CAMBIOS_HEADERS = ["fecha", "cedula", "nombre", "cambio", "antes", "despues", "grave"]
+
+function fechaHora(ms) {
+  return ms ? formatDateTime(ms) : "—"
+}
+
+function siClass(v) {
+  return String(v).toUpperCase() === "SI" ? "bad" : ""
+}
+
+function notifyGraves(changes) {
+  const graves = changes.filter((c) => c.grave)
+  if (!graves.length || typeof Notification === "undefined" || Notification.permission !== "granted") return
+  graves.forEach((c) => {
+    try {
+      new Notification(`${c.nombre || c.cedula}: ${t(c.label)} ${watchValue(c.despues)}`, {
+        body: t("watch.before", { antes: watchValue(c.antes) || "—" }),
+        tag: `watch-${c.cedula}-${c.campo}`,
+      })
+    } catch {
+      // Sin avisos fuera de un service worker (Android Chrome): los cambios quedan en la bitácora
+    }
+  })
+}
+
+function Diff({ change: c }) {
+  const antes = watchValue(c.antes)
+  const despues = watchValue(c.despues)
+  return (
+    <>
+      {antes && <span className="diffOld">{antes}</span>}
+      {antes && despues && " → "}
+      {despues && <span className="diffNew">{despues}</span>}
+    </>
+  )
+}
+
+// Proveedores vigilados: se revisan contra AE a pedido o cada cierto tiempo mientras la app está abierta
+export default function WatchList() {
+  const [items, setItems] = useState([])
+  const [log, setLog] = useState([])
+  const [interval, setIntervalMin] = useState(loadWatchInterval)
+  const [cedula, setCedula] = useState("")
+  const [alias, setAlias] = useState("")
+  const [error, setError] = useState("")
+  const [checking, setChecking] = useState(false)
+  const [done, setDone] = useState(0)
+  const [total, setTotal] = useState(0)
+  const [open, setOpen] = useState(null)
+  const itemsRef = useRef(items)
+  const runningRef = useRef(false)
+  // Recién agregados mientras corre otra revisión: su primera foto se toma al terminar esa
+  const queueRef = useRef([])
+
+  useEffect(() => {
+    itemsRef.current = items
+  }, [items])
+
+  useEffect(() => {
+    Promise.all([loadWatchlist(), loadWatchLog()])
+      .then(([list, entries]) => {
+        setItems(list)
+        setLog(entries)
+      })
+      .catch((e) => setError(e?.message || t("watch.loadError")))
+  }, [])
+
+  const checkItems = useCallback(async (list) => {
+    if (runningRef.current || !list.length) return
+    runningRef.current = true
+    setChecking(true)
+    try {
+      for (let batch = list; batch.length; batch = queueRef.current.splice(0)) {
+        setDone(0)
+        setTotal(batch.length)
+        await runWithConcurrency(batch, CONCURRENCY, async (it) => {
+          const { item, changes } = await checkWatchItem(it)
+          // null: lo quitaron mientras se revisaba
+          if (item) setItems((prev) => prev.map((x) => (x.id === item.id ? item : x)))
+          if (changes.length) {
+            setLog((prev) => [...changes, ...prev])
+            notifyGraves(changes)
+          }
+          setDone((n) => n + 1)
+        })
+      }
+    } catch (e) {
+      setError(e?.message || t("watch.saveCheckError"))
+    } finally {
+      runningRef.current = false
+      setChecking(false)
+    }
+  }, [])
+
+  useEffect(() => {
+    if (!interval) return
+    const timer = setInterval(() => checkItems(itemsRef.current), interval * 60_000)
+    return () => clearInterval(timer)
+  }, [interval, checkItems])
+
+  async function addItem() {
+    const info = detectCedula(cedula)
+    if (!info.valid) {
+      setError(info.error || t("ced.invalid"))
+      return
+    }
+    if (items.some((x) => x.id === info.digits)) {
+      setError(t("watch.duplicate"))
+      return
+    }
+    const item = {
+      id: info.digits,
+      alias: alias.trim(),
+      addedAt: Date.now(),
+      checkedAt: null,
+      snapshot: null,
+      changes: [],
+      changedAt: null,
+      error: "",
+    }
+    setError("")
+    setCedula("")
+    setAlias("")
+    setItems((prev) => [...prev, item])
+    try {
+      await saveWatchItem(item)
+      // Primera foto enseguida, o al terminar la revisión en curso
+      if (runningRef.current) queueRef.current.push(item)
+      else await checkItems([item])
+    } catch (e) {
+      setError(e?.message || t("watch.saveError"))
+    }
+  }
+
+  async function removeItem(id) {
+    setItems((prev) => prev.filter((x) => x.id !== id))
+    if (open === id) setOpen(null)
+    await removeWatchItem(id).catch(() => {})
+  }
+
+  async function markSeen(item) {
+    setItems((prev) => prev.map((x) => (x.id === item.id ? { ...x, changes: [] } : x)))
+    setOpen(null)
+    await markWatchItemSeen(item.id).catch(() => {})
+  }
+
+  function changeInterval(value) {
+    const n = Number(value)
+    setIntervalMin(n)
+    saveWatchInterval(n)
+    if (n && typeof Notification !== "undefined" && Notification.permission === "default") {
+      Notification.requestPermission()
+    }
+  }
+
+  function downloadReport() {
+    const lista = items.map((x) => ({
+      cedula: x.id,
+      alias: x.alias,
+      nombre: x.snapshot?.nombre,
+      estado: x.snapshot?.estado,
+      moroso: x.snapshot?.moroso,
+      omiso: x.snapshot?.omiso,
+      regimen: x.snapshot?.regimen,
+      administracion_tributaria: x.snapshot?.administracionTributaria,
+      actividades: x.snapshot?.actividades.map((a) => a.codigo).join(", "),
+      ultima_revision: fechaHora(x.checkedAt),
+      ultimo_cambio: x.changedAt ? fechaHora(x.changedAt) : "",
+      cambios_sin_ver: x.changes?.length || 0,
+      error: x.error,
+    }))
+    const cambios = log.map((c) => ({
+      fecha: fechaHora(c.at),
+      cedula: c.cedula,
+      nombre: c.nombre,
+      cambio: t(c.label),
+      antes: watchValue(c.antes),
+      despues: watchValue(c.despues),
+      grave: c.grave ? "SI" : "NO",
+    }))
+    downloadXlsxSheets("vigilancia_proveedores.xlsx", [
+      { name: "Vigilancia", rows: lista, headers: LISTA_HEADERS },
+      { name: "Cambios", rows: cambios, headers: CAMBIOS_HEADERS },
+    ])
+  }
+
+  const idInfo = cedula ? detectCedula(cedula) : null
+  const pendientes = items.filter((x) => x.changes?.length).length
+
+  return (
+    <section className="card">
+      <div className="cardHead">
+        <h2>{t("watch.title")}</h2>
+        {pendientes > 0 && <span className="chip warn">{t("watch.pending", { count: pendientes })}</span>}
+      </div>
+
+      <div className="grid2 tight">
+        <div>
+          <label>{t("ae.id")}</label>
+          <input
+            value={cedula}
+            onChange={(e) => setCedula(e.target.value)}
+            onKeyDown={(e) => e.key === "Enter" && addItem()}
+            placeholder={t("watch.idPlaceholder")}
+            inputMode="numeric"
+          />
+        </div>
+        <div>
+          <label>{t("watch.alias")}</label>
+          <input
+            value={alias}
+            onChange={(e) => setAlias(e.target.value)}
+            onKeyDown={(e) => e.key === "Enter" && addItem()}
+            placeholder={t("watch.aliasPlaceholder")}
+          />
+        </div>
+      </div>
+      {idInfo?.error && <div className="hint bad">{idInfo.error}</div>}
+
+      <div className="row">
+        <button className="btnPrimary" onClick={addItem} disabled={!idInfo?.valid} type="button">
+          {t("watch.add")}
+        </button>
+        <button
+          className="btnGhost"
+          onClick={() => checkItems(items)}
+          disabled={checking || !items.length}
+          type="button"
+        >
+          {checking ? t("watch.checking", { done, total }) : t("watch.checkAll")}
+        </button>
+        <select value={interval} onChange={(e) => changeInterval(e.target.value)} title={t("watch.intervalTitle")}>
+          {WATCH_INTERVALS.map((w) => (
+            <option key={w.value} value={w.value}>
+              {t(w.label)}
+            </option>
+          ))}
+        </select>
+        <button className="btnGhost" onClick={downloadReport} disabled={!items.length} type="button">
+          {t("common.downloadXlsx")}
+        </button>
+      </div>
+
+      {error && <div className="alert">⚠️ {error}</div>}
+
+      {items.length > 0 && (
+        <table className="watchTable">
+          <thead>
+            <tr>
+              <th>{t("watch.col.proveedor")}</th>
+              <th>{t("watch.col.situacion")}</th>
+              <th>{t("watch.col.revisado")}</th>
+              <th />
+            </tr>
+          </thead>
+          <tbody>
+            {items.map((x) => {
+              const s = x.snapshot
+              const nChanges = x.changes?.length || 0
+              const grave = x.changes?.some((c) => c.grave)
+              return (
+                <Fragment key={x.id}>
+                  <tr className={nChanges ? "changed" : ""}>
+                    <td>
+                      <div>{s?.nombre || x.alias || "—"}</div>
+                      <div className="mono muted">
+                        {x.id}
+                        {x.alias && s?.nombre ? ` · ${x.alias}` : ""}
+                      </div>
+                    </td>
+                    <td>
+                      {s ? (
+                        <div className="ae-chips">
+                          <span className="chip">{s.estado || "—"}</span>
+                          <span className={`chip ${siClass(s.moroso)}`}>
+                            {t("ae.moroso")}: {s.moroso || "—"}
+                          </span>
+                          <span className={`chip ${siClass(s.omiso)}`}>
+                            {t("ae.omiso")}: {s.omiso || "—"}
+                          </span>
+                          <span className="chip">{s.regimen || "—"}</span>
+                          <span className="chip">{t("watch.actCount", { count: s.actividades.length })}</span>
+                        </div>
+                      ) : (
+                        <span className="muted">{x.error ? "" : t("watch.unchecked")}</span>
+                      )}
+                      {x.error && <div className="hint bad">{x.error}</div>}
+                    </td>
+                    <td className="muted">{fechaHora(x.checkedAt)}</td>
+                    <td className="tdRight">
+                      {nChanges > 0 && (
+                        <button
+                          className={`chip ${grave ? "bad" : "warn"} chipBtn`}
+                          onClick={() => setOpen(open === x.id ? null : x.id)}
+                          type="button"
+                        >
+                          {t(nChanges === 1 ? "watch.change" : "watch.changes", { count: nChanges })}
+                        </button>
+                      )}
+                      <button
+                        className="iconBtn"
+                        onClick={() => checkItems([x])}
+                        disabled={checking}
+                        type="button"
+                        title={t("watch.checkNow")}
+                      >
+                        🔄
+                      </button>
+                      <button
+                        className="iconBtn"
+                        onClick={() => removeItem(x.id)}
+                        type="button"
+                        title={t("watch.remove")}
+                      >
+                        ✕
+                      </button>
+                    </td>
+                  </tr>
+
+                  {open === x.id && (
+                    <tr className="changed">
+                      <td colSpan={4}>
+                        <ul className="diffList">
+                          {x.changes.map((c, i) => (
+                            <li key={i} className={c.grave ? "bad" : ""}>
+                              <b>{t(c.label)}</b> <span className="muted">({fechaHora(c.at)})</span>
+                              <div>
+                                <Diff change={c} />
+                              </div>
+                            </li>
+                          ))}
+                        </ul>
+                        <button className="btnGhost" onClick={() => markSeen(x)} type="button">
+                          {t("watch.markSeen")}
+                        </button>
+                      </td>
+                    </tr>
+                  )}
+                </Fragment>
+              )
+            })}
+          </tbody>
+        </table>
+      )}
+
+      {log.length > 0 && (
+        <details className="offlineBox">
+          <summary>{t("watch.log", { count: log.length })}</summary>
+          <ul className="diffList">
+            {log.slice(0, 100).map((c) => (
+              <li
+                key={c.seq ?? `${c.cedula}-${c.at}-${c.label}-${watchValue(c.despues)}`}
+                className={c.grave ? "bad" : ""}
+              >
+                <span className="muted">{fechaHora(c.at)}</span> · <b>{c.nombre || c.cedula}</b> — {t(c.label)}:{" "}
+                <Diff change={c} />
+              </li>
+            ))}
+          </ul>
+        </details>
+      )}
+    </section>
+  )
+}
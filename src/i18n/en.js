@@ -0,0 +1,494 @@
+// English UI strings (keys missing here fall back to es.js)
+export default {
+  "app.title": "Lookup toolkit",
+  "app.subtitle": "CABYS and taxpayer status lookup",
+  "app.lang": "Language",
+  "app.demo": "Demo mode: recorded responses, no network",
+  "app.record": "Recording fixtures from lookups",
+
+  "crash.title": "The app crashed 😅",
+  "crash.hint": "Open the console (F12) to see the exact error.",
+
+  "common.consultar": "Search",
+  "common.consultando": "Searching…",
+  "common.downloadXlsx": "Download XLSX",
+  "common.exportJson": "Export JSON",
+  "common.importJson": "Import JSON",
+  "common.copyCode": "Copy code",
+  "common.copy": "Copy",
+  "common.copied": "Copied ✓",
+
+  "col.codigo": "Code",
+  "col.descripcion": "Description",
+  "col.impuesto": "Tax",
+  "col.copiar": "Copy",
+  "col.tipo": "Type",
+  "col.estado": "Status",
+  "col.cabys": "CABYS",
+  "col.cedula": "ID number",
+  "col.nombre": "Name",
+  "col.acciones": "Actions",
+
+  "table.sort": "Sort",
+  "table.filter": "Filter…",
+  "table.filterCol": "Filter by {col}",
+  "table.all": "All",
+  "table.count": "Filtered: {count} of {total}",
+  "table.clearFilters": "✕ Clear filters",
+  "table.empty": "No results with these filters",
+
+  "from.title": "Lookup opened from {panel}",
+  "from.clear": "Clear context",
+  "panel.clave": "Key",
+  "panel.exoneracion": "Exemption",
+
+  "fx.cardTitle": "Exchange rate (USD)",
+  "fx.title": "Exchange rate",
+  "fx.converter": "Currency converter",
+  "fx.loading": "Loading…",
+  "fx.compra": "Buy",
+  "fx.venta": "Sell",
+  "fx.updated": "As of: {fecha}",
+  "fx.unavailable": "Not available",
+  "fx.error": "Exchange rate not available",
+  "fx.euroError": "Euro exchange rate not available",
+  "fx.usdMissing": "Dollar exchange rate not available.",
+  "fx.euroLoading": "Loading euro…",
+  "fx.monto": "Amount",
+  "fx.de": "From",
+  "fx.a": "To",
+  "fx.swap": "Swap",
+  "fx.usdSide": "USD rate",
+  "fx.invalidAmount": "Invalid amount.",
+  "fx.rateUsd": "USD {lado} {monto} as of {fecha}",
+  "fx.rateEur": "EUR {monto} as of {fecha}",
+  "fx.copyLine": "{line} (exchange rate: {rates})",
+  "fx.copied": "✅ Copied",
+  "fx.copyWithRate": "Copy with exchange rate",
+  "fx.usedRates": "Exchange rate used: {rates}",
+  "fx.hist.title": "Historical exchange rate",
+  "fx.hist.byDate": "By date",
+  "fx.hist.byRange": "By range",
+  "fx.hist.fechaFactura": "Invoice date",
+  "fx.hist.fecha": "Date",
+  "fx.hist.fallback": "No exchange rate was published for {fecha}; showing the latest available.",
+  "fx.hist.desde": "From",
+  "fx.hist.hasta": "To",
+  "fx.hist.rangeOrder": "The start date is after the end date.",
+  "fx.hist.rangeMax": "The maximum range is one year.",
+  "fx.hist.noDay": "No exchange rate for that date",
+  "fx.hist.noRange": "No data for that range",
+  "fx.hist.error": "Error looking up the exchange rate",
+  "fx.chartEmpty": "Not enough data to plot.",
+
+  "cabys.title": "CABYS lookup",
+  "cabys.offline": "Offline catalog",
+  "cabys.offlineTitle": "Hacienda did not respond; results from the imported catalog",
+  "cabys.browseTitle": "Products in this category from the imported catalog",
+  "cabys.search": "Search by name or code (13 digits)",
+  "cabys.placeholder": "E.g.: arroz or 2399902000000",
+  "cabys.suggesting": "Searching…",
+  "cabys.pageSize": "Results per page",
+  "cabys.exploring": "Browsing {nivel}",
+  "cabys.clearScope": "✕ Clear filter",
+  "cabys.viewTable": "Table",
+  "cabys.viewTree": "Tree",
+  "cabys.prev": "◀ Previous",
+  "cabys.next": "Next ▶",
+  "cabys.pager": "Page {page} — Showing {shown} of {total}",
+  "cabys.favAdd": "Add to favorites",
+  "cabys.favRemove": "Remove from favorites",
+  "cabys.addProforma": "Add to proforma",
+  "cabys.notFound": "CABYS code {codigo} does not exist",
+  "cabys.offlineEmpty": "No results in the offline catalog",
+  "cabys.error": "Error looking up CABYS",
+  "cabys.browse": "Browse",
+  "cabys.browseCat": "Show everything in this category",
+  "cabys.nivel.seccion": "Section",
+  "cabys.nivel.division": "Division",
+  "cabys.nivel.grupo": "Group",
+  "cabys.nivel.clase": "Class",
+  "cabys.nivel.subclase": "Subclass",
+  "cabys.nivel.cat6": "Category 6",
+  "cabys.nivel.cat7": "Category 7",
+  "cabys.nivel.cat8": "Category 8",
+  "cabys.offlineCount": "{count} codes",
+  "cabys.offlineNone": "not imported",
+  "cabys.offlineVersion": "Version {fecha} — {file}",
+  "cabys.offlineNoDate": "undated",
+  "cabys.offlineImported": "Imported on {fecha}",
+  "cabys.offlineHint": "If Hacienda does not respond, searches use this catalog. Download the official CABYS XLSX from the BCCR/Hacienda site and import it here.",
+  "cabys.offlineBusy": "Processing…",
+  "cabys.offlineUpdate": "Update catalog",
+  "cabys.offlineImport": "Import XLSX",
+  "cabys.offlineClear": "Delete",
+  "cabys.offlineImportError": "The catalog could not be imported",
+  "cabys.offlineClearError": "The catalog could not be deleted",
+  "cabys.offlineNoHeader": "Unrecognized CABYS catalog format (header row not found)",
+  "cabys.offlineNoCodeCol": "The CABYS code column was not found",
+  "cabys.offlineNoCodes": "The file has no 13-digit CABYS codes",
+
+  "ae.title": "Taxpayer lookup",
+  "ae.id": "ID number",
+  "ae.placeholder": "Digits only (111111111)",
+  "ae.copySummary": "Copy summary",
+  "ae.downloadActividades": "Download activities XLSX",
+  "ae.constancia": "Generate certificate",
+  "ae.constanciaTitle": "Printable or PDF sheet with the data, the lookup time and the response hash",
+  "ae.nombre": "Name",
+  "ae.regimen": "Regime",
+  "ae.estado": "Status",
+  "ae.moroso": "In arrears",
+  "ae.omiso": "Missing filings",
+  "ae.at": "Tax office",
+  "ae.administracion": "Tax office",
+  "ae.summaryTitle": "Taxpayer (AE)",
+  "ae.tipo.P": "Primary",
+  "ae.tipo.S": "Secondary",
+  "ae.estado.A": "Active",
+  "ae.estado.I": "Inactive",
+  "ae.cabysTitle": "Find CABYS codes for this activity",
+  "ae.cabysSearch": "Search CABYS:",
+  "ae.fromActividad": "{nombre} · activity {codigo}",
+  "ae.error": "Error looking up AE",
+
+  "ced.title": "TSE ID lookup",
+  "ced.search": "Search",
+  "ced.placeholder": "Personal/company ID or words",
+  "ced.viewAe": "View status in AE",
+  "ced.copy": "Copy ID number",
+  "ced.empty": "No results in gometa",
+  "ced.error": "Error looking up IDs (gometa)",
+  "ced.invalid": "Invalid ID number",
+  "ced.tipo.fisica": "Physical ID",
+  "ced.tipo.juridica": "Legal entity ID",
+  "ced.tipo.dimex": "DIMEX",
+  "ced.tipo.nite": "NITE",
+  "ced.tipo.didi": "Diplomat (DIDI)",
+  "ced.clase.002": "Association",
+  "ced.clase.004": "Cooperative",
+  "ced.clase.006": "Foundation",
+  "ced.clase.101": "Corporation (S.A.)",
+  "ced.clase.102": "Limited liability company (S.R.L.)",
+  "ced.clase.105": "Sole proprietorship with limited liability (E.I.R.L.)",
+  "ced.clase": "Class 3-{clase}",
+  "ced.estado": "State institution",
+  "ced.autonoma": "Autonomous institution",
+  "ced.err.corta": "Too few digits: it has {n}, the minimum is 9.",
+  "ced.err.larga": "Too many digits: it has {n}, the maximum is 12.",
+  "ced.err.fisicaCero": "A physical ID does not start with 0.",
+  "ced.err.tomo": "Physical ID with volume 0000.",
+  "ced.err.asiento": "Physical ID with entry 0000.",
+  "ced.err.fisica10": "Physical ID with a leading zero: type only the 9 digits.",
+  "ced.err.clase": "Unknown legal entity ID class (3-{clase}).",
+  "ced.err.estado": "Unknown state institution class (2-{clase}).",
+  "ced.err.dimexCero": "A DIMEX does not start with 0.",
+
+  "session.label": "Session (AE, CABYS and IDs on screen):",
+  "session.xlsx": "Export session XLSX",
+  "session.json": "Export session JSON",
+  "session.empty": "There are no lookups on screen to export",
+  "session.meta.generado": "Generated",
+  "session.meta.tcCompra": "Exchange rate (buying)",
+  "session.meta.tcVenta": "Exchange rate (selling)",
+  "session.meta.tcFecha": "Exchange rate date",
+  "session.meta.aeMs": "AE response time (ms)",
+  "session.meta.latencia": "{servicio} latency (ms)",
+  "session.meta.cabys": "CABYS search",
+  "session.meta.gometa": "gometa search",
+  "session.consultado": "Queried",
+  "session.sheet.meta": "Metadata",
+  "session.sheet.ae": "AE summary",
+  "session.sheet.actividades": "Activities",
+  "session.sheet.cabys": "CABYS",
+  "session.sheet.cedulas": "IDs",
+  "csv.title": "Export CSV / TSV",
+  "csv.page": "Current page ({count})",
+  "csv.all": "All results ({count})",
+  "csv.delim.semicolon": "Semicolon (Spanish-locale Excel)",
+  "csv.delim.comma": "Comma",
+  "csv.delim.tab": "Tab (paste into Sheets)",
+  "csv.bomTitle": "UTF-8 mark at the start of the file so Excel shows accented characters correctly",
+  "csv.apiFields": "API fields",
+  "csv.download": "Download .{ext}",
+
+  "history.label": "History and favorites:",
+  "history.importError": "The file could not be imported",
+  "history.favAdd": "Add to favorites",
+  "history.favRemove": "Remove from favorites",
+  "history.remove": "Remove from history",
+
+  "health.title": "API status",
+  "health.sub": "Hacienda, indicators and gometa — Auto every minute · slow ≥ {slow} s, degraded ≥ {degraded} s",
+  "health.svc.ae": "Hacienda · AE",
+  "health.svc.cabys": "Hacienda · CABYS",
+  "health.svc.tc": "Hacienda · Exchange rate",
+  "health.svc.gometa": "Gometa · IDs",
+  "health.ok": "Operational",
+  "health.slow": "Slow",
+  "health.degraded": "Degraded",
+  "health.down": "Down",
+  "health.noData": "No data",
+  "health.notifyTitle": "Show a browser notification when a service changes status",
+  "health.notifyOn": "🔔 Alerts on",
+  "health.notifyOff": "🔕 Turn on alerts",
+  "health.checking": "Checking…",
+  "health.check": "🔄 Check now",
+  "health.uptime": "{pct} uptime ({count})",
+  "health.lastCheck": "Last check: {fecha}",
+  "health.notifyBody": "Before: {prev}",
+  "health.notifyBodyMs": "Before: {prev} — now responding in {ms} ms",
+
+  "watch.title": "Supplier watch list",
+  "watch.pending": "{count} with changes",
+  "watch.idPlaceholder": "Supplier ID number",
+  "watch.alias": "Alias (optional)",
+  "watch.aliasPlaceholder": "E.g.: Packaging supplier",
+  "watch.add": "Add",
+  "watch.checking": "Checking… {done}/{total}",
+  "watch.checkAll": "🔄 Check all",
+  "watch.intervalTitle": "Automatic check",
+  "watch.interval.manual": "Manual",
+  "watch.interval.15": "Every 15 min",
+  "watch.interval.60": "Every hour",
+  "watch.interval.360": "Every 6 hours",
+  "watch.col.proveedor": "Supplier",
+  "watch.col.situacion": "Status",
+  "watch.col.revisado": "Checked",
+  "watch.actCount": "{count} act.",
+  "watch.unchecked": "Not checked yet",
+  "watch.change": "{count} change",
+  "watch.changes": "{count} changes",
+  "watch.checkNow": "Check now",
+  "watch.remove": "Remove",
+  "watch.markSeen": "Mark as seen",
+  "watch.log": "Change log ({count})",
+  "watch.before": "Before: {antes}",
+  "watch.actAdded": "Activity added",
+  "watch.actChanged": "Activity changed",
+  "watch.actRemoved": "Activity removed",
+  "watch.notFound": "Not registered with Hacienda",
+  "watch.loadError": "The saved list could not be opened",
+  "watch.saveError": "Could not save",
+  "watch.saveCheckError": "The check could not be saved",
+  "watch.duplicate": "That ID number is already on the list",
+
+  "clave.title": "Numeric key",
+  "clave.tabRead": "Decode",
+  "clave.tabGen": "Generate",
+  "clave.input": "Key (50 digits) or sequence number (20 digits)",
+  "clave.valid": "Valid structure",
+  "clave.invalid": "Has errors",
+  "clave.kind.clave": "Key",
+  "clave.kind.consecutivo": "Sequence number",
+  "clave.viewAe": "View in AE",
+  "clave.emisor": "Issuer ID number",
+  "clave.fecha": "Date",
+  "clave.sucursal": "Branch",
+  "clave.terminal": "Terminal",
+  "clave.tipo": "Document type",
+  "clave.situacion": "Situation",
+  "clave.numeracion": "Starting number",
+  "clave.cantidad": "Quantity (max. {max})",
+  "clave.seguridad": "Security code (empty = random per key)",
+  "clave.seguridadPlaceholder": "8 digits",
+  "clave.generateOne": "Generate key",
+  "clave.generateMany": "Generate {count} keys",
+  "clave.copyAll": "Copy all",
+  "clave.copy": "Copy key",
+  "clave.parte.pais": "Country",
+  "clave.parte.fecha": "Date (day/month/year)",
+  "clave.parte.terminal": "Terminal / point of sale",
+  "clave.parte.numeracion": "Number",
+  "clave.parte.seguridad": "Security code",
+  "clave.err.length": "A key has 50 digits and a sequence number 20; {count} were read.",
+  "clave.err.pais": "The country code must be {codigo}",
+  "clave.err.fecha": "Nonexistent date",
+  "clave.err.futura": "The date is in the future",
+  "clave.err.sucursal": "The branch cannot be 0",
+  "clave.err.terminal": "The terminal cannot be 0",
+  "clave.err.numeracion": "The number cannot be 0",
+  "clave.err.numeracionMax": "The number has at most 10 digits",
+  "clave.err.numeracionTanda": "The number has 10 digits: the batch would reach {ultima}",
+  "clave.err.tipo": "Unknown document type",
+  "clave.err.situacion": "Unknown situation (1, 2 or 3)",
+  "clave.doc.01": "Electronic invoice",
+  "clave.doc.02": "Debit note",
+  "clave.doc.03": "Credit note",
+  "clave.doc.04": "Electronic ticket",
+  "clave.doc.05": "Acceptance confirmation",
+  "clave.doc.06": "Partial acceptance confirmation",
+  "clave.doc.07": "Rejection confirmation",
+  "clave.doc.08": "Electronic purchase invoice",
+  "clave.doc.09": "Electronic export invoice",
+  "clave.doc.10": "Electronic payment receipt",
+  "clave.sit.1": "Normal",
+  "clave.sit.2": "Contingency",
+  "clave.sit.3": "No internet",
+
+  "const.aria": "Certificate",
+  "const.print": "🖨️ Print",
+  "const.pdf": "Download PDF",
+  "const.close": "Close",
+  "const.pdfTitle": "Certificate {id}",
+  "const.title": "Tax status certificate",
+  "const.sub": "Economic Activities lookup — Ministry of Finance of Costa Rica",
+  "const.contribuyente": "Taxpayer",
+  "const.actividades": "Economic activities ({count})",
+  "const.noActividades": "No registered activities",
+  "const.consulta": "Lookup details",
+  "const.at": "Lookup date and time",
+  "const.ms": "API response time",
+  "const.msCached": "{ms} ms (cached response from this session)",
+  "const.generated": "Certificate generated",
+  "const.hash": "SHA-256 of the JSON",
+  "const.nota": "Data from the Economic Activities service of the Ministry of Finance (api.hacienda.go.cr/fe/ae). The SHA-256 is computed over the unmodified JSON response; recomputing it over that same JSON must give the same value.",
+
+  "batch.open": "📑 Bulk lookup",
+  "batch.title": "Bulk lookup",
+  "batch.close": "Close",
+  "batch.ids": "ID numbers (one per line, or comma-separated)",
+  "batch.run": "Look up ({count})",
+  "batch.upload": "Upload XLSX/CSV",
+  "batch.stop": "Stop",
+  "batch.download": "Download XLSX report",
+  "batch.progress": "{done} of {total}",
+  "batch.col.resultado": "Result",
+  "batch.col.actividad": "Main activity",
+  "batch.noDigits": "Contains no digits",
+  "batch.fileEmpty": "The file has no ID numbers",
+  "batch.fileError": "The file could not be read",
+  "batch.status.pendiente": "Pending",
+  "batch.status.encontrado": "Found",
+  "batch.status.invalida": "Invalid ID",
+  "batch.status.noEncontrado": "Not found",
+  "batch.status.error": "HTTP error",
+  "batch.status.moroso": "In arrears",
+  "batch.status.omiso": "Missing filings",
+
+  "ex.title": "Exemptions",
+  "ex.autorizacion": "Authorization number",
+  "ex.placeholder": "E.g. AL-00012345-24",
+  "ex.error": "Error looking up the exemption",
+  "ex.vigente": "Valid",
+  "ex.porVencer": "Expiring soon",
+  "ex.vencida": "Expired",
+  "ex.sinFecha": "No expiry date",
+  "ex.exonera": "Exempts {pct}%",
+  "ex.vencio": "⛔ The document expired on {fecha}",
+  "ex.venceEn1": "Expires in 1 day (warning at {aviso} days)",
+  "ex.venceEn": "Expires in {count} days (warning at {aviso} days)",
+  "ex.autorizacionLabel": "Authorization",
+  "ex.titular": "Holder",
+  "ex.verAe": "View in AE",
+  "ex.titularError": "The name could not be looked up in AE",
+  "ex.institucion": "Institution",
+  "ex.emitida": "Issued",
+  "ex.vence": "Expires",
+  "ex.cabys": "Covered CABYS codes",
+  "ex.noLimita": "The document does not restrict CABYS codes",
+  "ex.noCubierto": "⚠️ 1 CABYS panel code is not covered:",
+  "ex.noCubiertos": "⚠️ {count} CABYS panel codes are not covered:",
+  "ex.todosCubiertos": "✓ All CABYS panel codes are covered",
+  "ex.verOtros": "Show the other {count}",
+
+  "fact.title": "XML document review",
+  "fact.drop": "Drop invoice, ticket or credit/debit note XML files here",
+  "fact.dropClick": "or click to choose them",
+  "fact.download": "Download findings XLSX",
+  "fact.clear": "Clear",
+  "fact.comprobante": "Document",
+  "fact.emisor": "Issuer",
+  "fact.receptor": "Recipient",
+  "fact.total": "Total ({moneda})",
+  "fact.lineas": "{count} lines",
+  "fact.readError": "The XML could not be read",
+  "fact.status.revisando": "Checking…",
+  "fact.status.ok": "No findings",
+  "fact.status.warn": "Review",
+  "fact.status.error": "With errors",
+  "fact.tipo.FacturaElectronica": "Electronic invoice",
+  "fact.tipo.TiqueteElectronico": "Electronic ticket",
+  "fact.tipo.NotaCreditoElectronica": "Credit note",
+  "fact.tipo.NotaDebitoElectronica": "Debit note",
+  "fact.tipo.FacturaElectronicaCompra": "Electronic purchase invoice",
+  "fact.tipo.FacturaElectronicaExportacion": "Electronic export invoice",
+  "fact.err.xml": "Malformed XML",
+  "fact.err.root": "Not an electronic document (root <{tipo}>)",
+  "fact.f.sinEmisor": "The document has no issuer ID",
+  "fact.f.moroso": "Issuer in arrears with Hacienda",
+  "fact.f.omiso": "Issuer has missing tax filings",
+  "fact.f.inactivo": "Issuer is not active (status: {estado})",
+  "fact.f.alDia": "Issuer in good standing ({estado})",
+  "fact.f.sinEstado": "no status",
+  "fact.f.noInscrito": "Issuer {id} is not registered with Hacienda",
+  "fact.f.emisorError": "The issuer could not be verified: {error}",
+  "fact.f.sinCabys": "Line without a CABYS code",
+  "fact.f.cabysLargo": "CABYS code {cabys} does not have 13 digits",
+  "fact.f.cabysNoExiste": "CABYS code {cabys} does not exist",
+  "fact.f.sinImpuesto": "No tax on the line; CABYS says {esperado}%",
+  "fact.f.ivaDistinto": "VAT {tarifa}% on the invoice, CABYS {cabys} says {esperado}%",
+  "fact.f.ivaDistintoExo": "VAT {tarifa}% on the invoice, CABYS {cabys} says {esperado}% (the line carries an exemption)",
+  "fact.f.ivaOk": "CABYS {cabys} with correct {esperado}% VAT",
+  "fact.f.ivaDuplicado": "The line has {count} VAT taxes (code 01): each rate is checked separately",
+  "fact.f.ivaFactor": "Used goods VAT (code 08, factor based): the rate is not compared with CABYS",
+  "fact.f.cabysError": "CABYS {cabys} could not be verified: {error}",
+  "fact.f.sinLineas": "The document has no detail lines",
+
+  "prof.title": "Pro forma / invoice lines",
+  "prof.docMoneda": "Document currency",
+  "prof.fxUsed": "Converted at the selling rate of {monto} as of {fecha}",
+  "prof.fxMissing": "No exchange rate: lines in another currency stay at zero",
+  "prof.col.detalle": "Description",
+  "prof.col.cantidad": "Qty",
+  "prof.col.precio": "Unit price",
+  "prof.col.moneda": "Currency",
+  "prof.col.descuento": "Disc. %",
+  "prof.col.exon": "Exempt %",
+  "prof.col.exonTitle": "Share of the line VAT that is exempt",
+  "prof.col.iva": "VAT",
+  "prof.col.total": "Line total",
+  "prof.cabysPlaceholder": "13 digits",
+  "prof.cabysLength": "A CABYS code has 13 digits",
+  "prof.cabysNotFound": "CABYS code not found",
+  "prof.cabysError": "Error looking up CABYS",
+  "prof.exonMonto": "Exempt {monto}",
+  "prof.removeLinea": "Remove line",
+  "prof.addLinea": "+ Add line",
+  "prof.clear": "Clear",
+  "prof.totalVenta": "Gross sales",
+  "prof.descuentos": "Discounts",
+  "prof.subtotal": "Subtotal",
+  "prof.ivaTarifa": "VAT {tarifa}%",
+  "prof.ivaBase": "on {monto}",
+  "prof.ivaExonerado": "(exempt {monto})",
+  "prof.total": "Total",
+  "prof.revisar": "Some lines have no confirmed VAT or no exchange rate; check them before using the totals.",
+  "prof.downloadJson": "Download JSON (FE 4.4)",
+  "prof.copyJson": "Copy JSON",
+  "prof.err.fx": "No exchange rate to convert",
+  "prof.err.cabys": "CABYS not looked up yet",
+  "prof.sum.moneda": "Currency",
+  "prof.sum.tipoCambio": "Exchange rate (selling)",
+  "prof.sum.ventaNeta": "Subtotal (net sales)",
+  "prof.sum.iva": "VAT {tarifa}% (base {base})",
+  "prof.sum.exonerado": "Exempt",
+  "prof.sum.totalIva": "Total VAT",
+
+  "api.notFound": "Not found",
+  "api.unavailable": "Service unavailable",
+  "api.unavailableHttp": "Service unavailable (HTTP {status})",
+  "api.timeout": "The service did not respond in time",
+  "api.offline": "No connection to the service",
+  "api.nonJson": "Response is not JSON",
+  "api.nonJsonCt": "Response is not JSON ({ct}): {preview}",
+  "api.noContentType": "no content-type",
+  "api.badJson": "Invalid JSON: {preview}",
+  "api.aeNotFound": "Taxpayer not found",
+  "api.exNotFound": "Exemption authorization not found",
+  "api.tcEmpty": "No exchange-rate data",
+  "api.tcEuroEmpty": "No euro exchange-rate data",
+  "history.importBadJson": "The file is not valid JSON",
+  "history.importEmpty": "The JSON has no history or favorites from this tool",
+  "idb.unavailable": "IndexedDB is not available in this browser",
+}
@@ -0,0 +1,494 @@
+// Textos de la interfaz en español (idioma base: si falta una clave en otro idioma, se usa esta)
+export default {
+  "app.title": "Herramienta de consulta",
+  "app.subtitle": "CABYS y consulta de status contribuyente",
+  "app.lang": "Idioma",
+  "app.demo": "Modo demo: respuestas grabadas, sin red",
+  "app.record": "Grabando fixtures de las consultas",
+
+  "crash.title": "Se cayó la app 😅",
+  "crash.hint": "Abrí la consola (F12) y vas a ver el error exacto.",
+
+  "common.consultar": "Consultar",
+  "common.consultando": "Consultando…",
+  "common.downloadXlsx": "Descargar XLSX",
+  "common.exportJson": "Exportar JSON",
+  "common.importJson": "Importar JSON",
+  "common.copyCode": "Copiar código",
+  "common.copy": "Copiar",
+  "common.copied": "Copiado ✓",
+
+  "col.codigo": "Código",
+  "col.descripcion": "Descripción",
+  "col.impuesto": "Impuesto",
+  "col.copiar": "Copiar",
+  "col.tipo": "Tipo",
+  "col.estado": "Estado",
+  "col.cabys": "CABYS",
+  "col.cedula": "Cédula",
+  "col.nombre": "Nombre",
+  "col.acciones": "Acciones",
+
+  "table.sort": "Ordenar",
+  "table.filter": "Filtrar…",
+  "table.filterCol": "Filtrar por {col}",
+  "table.all": "Todos",
+  "table.count": "Filtrados: {count} de {total}",
+  "table.clearFilters": "✕ Quitar filtros",
+  "table.empty": "Ningún resultado con estos filtros",
+
+  "from.title": "Consulta abierta desde {panel}",
+  "from.clear": "Quitar contexto",
+  "panel.clave": "Clave",
+  "panel.exoneracion": "Exoneración",
+
+  "fx.cardTitle": "Tipo de cambio (USD)",
+  "fx.title": "Tipo de cambio",
+  "fx.converter": "Conversor de monedas",
+  "fx.loading": "Cargando…",
+  "fx.compra": "Compra",
+  "fx.venta": "Venta",
+  "fx.updated": "Actualizado al: {fecha}",
+  "fx.unavailable": "No disponible",
+  "fx.error": "Tipo de cambio no disponible",
+  "fx.euroError": "Tipo de cambio del euro no disponible",
+  "fx.usdMissing": "Tipo de cambio del dólar no disponible.",
+  "fx.euroLoading": "Cargando euro…",
+  "fx.monto": "Monto",
+  "fx.de": "De",
+  "fx.a": "A",
+  "fx.swap": "Invertir",
+  "fx.usdSide": "Tipo de cambio USD",
+  "fx.invalidAmount": "Monto inválido.",
+  "fx.rateUsd": "USD {lado} {monto} al {fecha}",
+  "fx.rateEur": "EUR {monto} al {fecha}",
+  "fx.copyLine": "{line} (tipo de cambio: {rates})",
+  "fx.copied": "✅ Copiado",
+  "fx.copyWithRate": "Copiar con tipo de cambio",
+  "fx.usedRates": "Tipo de cambio usado: {rates}",
+  "fx.hist.title": "Tipo de cambio histórico",
+  "fx.hist.byDate": "Por fecha",
+  "fx.hist.byRange": "Por rango",
+  "fx.hist.fechaFactura": "Fecha de la factura",
+  "fx.hist.fecha": "Fecha",
+  "fx.hist.fallback": "No hay tipo de cambio publicado para {fecha}; se muestra el último disponible.",
+  "fx.hist.desde": "Desde",
+  "fx.hist.hasta": "Hasta",
+  "fx.hist.rangeOrder": "La fecha inicial es posterior a la final.",
+  "fx.hist.rangeMax": "El rango máximo es de un año.",
+  "fx.hist.noDay": "Sin tipo de cambio para esa fecha",
+  "fx.hist.noRange": "Sin datos para el rango indicado",
+  "fx.hist.error": "Error consultando tipo de cambio",
+  "fx.chartEmpty": "Sin datos suficientes para graficar.",
+
+  "cabys.title": "Consulta de CABYS",
+  "cabys.offline": "Catálogo offline",
+  "cabys.offlineTitle": "Hacienda no respondió; resultados del catálogo importado",
+  "cabys.browseTitle": "Productos de la categoría según el catálogo importado",
+  "cabys.search": "Búsqueda por nombre o código (13 dígitos)",
+  "cabys.placeholder": "Ej: arroz o 2399902000000",
+  "cabys.suggesting": "Buscando…",
+  "cabys.pageSize": "Resultados por página",
+  "cabys.exploring": "Explorando {nivel}",
+  "cabys.clearScope": "✕ Quitar filtro",
+  "cabys.viewTable": "Tabla",
+  "cabys.viewTree": "Árbol",
+  "cabys.prev": "◀ Anterior",
+  "cabys.next": "Siguiente ▶",
+  "cabys.pager": "Página {page} — Mostrando {shown} de {total}",
+  "cabys.favAdd": "Agregar a favoritos",
+  "cabys.favRemove": "Quitar de favoritos",
+  "cabys.addProforma": "Agregar a la proforma",
+  "cabys.notFound": "No existe el código CABYS {codigo}",
+  "cabys.offlineEmpty": "Sin resultados en el catálogo offline",
+  "cabys.error": "Error consultando CABYS",
+  "cabys.browse": "Explorar",
+  "cabys.browseCat": "Ver todo lo de esta categoría",
+  "cabys.nivel.seccion": "Sección",
+  "cabys.nivel.division": "División",
+  "cabys.nivel.grupo": "Grupo",
+  "cabys.nivel.clase": "Clase",
+  "cabys.nivel.subclase": "Subclase",
+  "cabys.nivel.cat6": "Categoría 6",
+  "cabys.nivel.cat7": "Categoría 7",
+  "cabys.nivel.cat8": "Categoría 8",
+  "cabys.offlineCount": "{count} códigos",
+  "cabys.offlineNone": "no importado",
+  "cabys.offlineVersion": "Versión {fecha} — {file}",
+  "cabys.offlineNoDate": "sin fecha",
+  "cabys.offlineImported": "Importado el {fecha}",
+  "cabys.offlineHint": "Si Hacienda no responde, la búsqueda usa este catálogo. Descárguelo del sitio del BCCR/Hacienda (XLSX oficial de CABYS) e impórtelo aquí.",
+  "cabys.offlineBusy": "Procesando…",
+  "cabys.offlineUpdate": "Actualizar catálogo",
+  "cabys.offlineImport": "Importar XLSX",
+  "cabys.offlineClear": "Borrar",
+  "cabys.offlineImportError": "No se pudo importar el catálogo",
+  "cabys.offlineClearError": "No se pudo borrar el catálogo",
+  "cabys.offlineNoHeader": "No se reconoce el formato del catálogo CABYS (falta el encabezado)",
+  "cabys.offlineNoCodeCol": "No se encontró la columna de código CABYS",
+  "cabys.offlineNoCodes": "El archivo no trae códigos CABYS de 13 dígitos",
+
+  "ae.title": "Consulta de Contribuyente",
+  "ae.id": "Identificación",
+  "ae.placeholder": "Solo números (111111111)",
+  "ae.copySummary": "Copiar resumen",
+  "ae.downloadActividades": "Descargar XLSX actividades",
+  "ae.constancia": "Generar constancia",
+  "ae.constanciaTitle": "Hoja para imprimir o PDF con los datos, la hora de la consulta y el hash de la respuesta",
+  "ae.nombre": "Nombre",
+  "ae.regimen": "Régimen",
+  "ae.estado": "Estado",
+  "ae.moroso": "Moroso",
+  "ae.omiso": "Omiso",
+  "ae.at": "AT",
+  "ae.administracion": "Administración Tributaria",
+  "ae.summaryTitle": "Contribuyente (AE)",
+  "ae.tipo.P": "Principal",
+  "ae.tipo.S": "Secundaria",
+  "ae.estado.A": "Activa",
+  "ae.estado.I": "Inactiva",
+  "ae.cabysTitle": "Buscar códigos CABYS para esta actividad",
+  "ae.cabysSearch": "Buscar en CABYS:",
+  "ae.fromActividad": "{nombre} · actividad {codigo}",
+  "ae.error": "Error consultando AE",
+
+  "ced.title": "Consulta de cédula TSE",
+  "ced.search": "Búsqueda",
+  "ced.placeholder": "Cédula física/jurídica o palabras",
+  "ced.viewAe": "Ver situación en AE",
+  "ced.copy": "Copiar cédula",
+  "ced.empty": "Sin resultados en gometa",
+  "ced.error": "Error consultando Cédulas (gometa)",
+  "ced.invalid": "Identificación inválida",
+  "ced.tipo.fisica": "Cédula física",
+  "ced.tipo.juridica": "Cédula jurídica",
+  "ced.tipo.dimex": "DIMEX",
+  "ced.tipo.nite": "NITE",
+  "ced.tipo.didi": "Diplomático (DIDI)",
+  "ced.clase.002": "Asociación",
+  "ced.clase.004": "Cooperativa",
+  "ced.clase.006": "Fundación",
+  "ced.clase.101": "Sociedad anónima",
+  "ced.clase.102": "Sociedad de responsabilidad limitada",
+  "ced.clase.105": "Empresa individual de responsabilidad limitada",
+  "ced.clase": "Clase 3-{clase}",
+  "ced.estado": "Institución del Estado",
+  "ced.autonoma": "Institución autónoma",
+  "ced.err.corta": "Faltan dígitos: tiene {n}, el mínimo es 9.",
+  "ced.err.larga": "Sobran dígitos: tiene {n}, el máximo es 12.",
+  "ced.err.fisicaCero": "La cédula física no empieza con 0.",
+  "ced.err.tomo": "Cédula física con tomo 0000.",
+  "ced.err.asiento": "Cédula física con asiento 0000.",
+  "ced.err.fisica10": "Cédula física con cero inicial: escriba solo los 9 dígitos.",
+  "ced.err.clase": "Clase de cédula jurídica desconocida (3-{clase}).",
+  "ced.err.estado": "Clase de institución del Estado desconocida (2-{clase}).",
+  "ced.err.dimexCero": "El DIMEX no empieza con 0.",
+
+  "session.label": "Sesión (AE, CABYS y cédulas en pantalla):",
+  "session.xlsx": "Exportar sesión XLSX",
+  "session.json": "Exportar sesión JSON",
+  "session.empty": "No hay consultas en pantalla para exportar",
+  "session.meta.generado": "Generado",
+  "session.meta.tcCompra": "Tipo de cambio compra",
+  "session.meta.tcVenta": "Tipo de cambio venta",
+  "session.meta.tcFecha": "Tipo de cambio fecha",
+  "session.meta.aeMs": "Tiempo de respuesta AE (ms)",
+  "session.meta.latencia": "Latencia {servicio} (ms)",
+  "session.meta.cabys": "Búsqueda CABYS",
+  "session.meta.gometa": "Búsqueda gometa",
+  "session.consultado": "Consultado",
+  "session.sheet.meta": "Metadatos",
+  "session.sheet.ae": "AE resumen",
+  "session.sheet.actividades": "Actividades",
+  "session.sheet.cabys": "CABYS",
+  "session.sheet.cedulas": "Cedulas",
+  "csv.title": "Exportar CSV / TSV",
+  "csv.page": "Página actual ({count})",
+  "csv.all": "Todos los resultados ({count})",
+  "csv.delim.semicolon": "Punto y coma (Excel en español)",
+  "csv.delim.comma": "Coma",
+  "csv.delim.tab": "Tabulador (pegar en Sheets)",
+  "csv.bomTitle": "Marca UTF-8 al inicio del archivo para que Excel muestre bien las tildes",
+  "csv.apiFields": "Campos del API",
+  "csv.download": "Descargar .{ext}",
+
+  "history.label": "Historial y favoritos:",
+  "history.importError": "No se pudo importar el archivo",
+  "history.favAdd": "Agregar a favoritos",
+  "history.favRemove": "Quitar de favoritos",
+  "history.remove": "Quitar del historial",
+
+  "health.title": "Estado de los APIs",
+  "health.sub": "Hacienda, indicadores y gometa — Auto cada 1 minuto · lento ≥ {slow} s, degradado ≥ {degraded} s",
+  "health.svc.ae": "Hacienda · AE",
+  "health.svc.cabys": "Hacienda · CABYS",
+  "health.svc.tc": "Hacienda · Tipo de cambio",
+  "health.svc.gometa": "Gometa · Cédulas",
+  "health.ok": "Operacional",
+  "health.slow": "Lento",
+  "health.degraded": "Degradado",
+  "health.down": "Caído",
+  "health.noData": "Sin datos",
+  "health.notifyTitle": "Avisar con una notificación del navegador cuando un servicio cambie de estado",
+  "health.notifyOn": "🔔 Avisos activos",
+  "health.notifyOff": "🔕 Activar avisos",
+  "health.checking": "Revisando…",
+  "health.check": "🔄 Revisar ahora",
+  "health.uptime": "{pct} uptime ({count})",
+  "health.lastCheck": "Última revisión: {fecha}",
+  "health.notifyBody": "Antes: {prev}",
+  "health.notifyBodyMs": "Antes: {prev} — ahora responde en {ms} ms",
+
+  "watch.title": "Vigilancia de proveedores",
+  "watch.pending": "{count} con cambios",
+  "watch.idPlaceholder": "Cédula del proveedor",
+  "watch.alias": "Alias (opcional)",
+  "watch.aliasPlaceholder": "Ej: Proveedor de empaque",
+  "watch.add": "Agregar",
+  "watch.checking": "Revisando… {done}/{total}",
+  "watch.checkAll": "🔄 Revisar todos",
+  "watch.intervalTitle": "Revisión automática",
+  "watch.interval.manual": "Manual",
+  "watch.interval.15": "Cada 15 min",
+  "watch.interval.60": "Cada hora",
+  "watch.interval.360": "Cada 6 horas",
+  "watch.col.proveedor": "Proveedor",
+  "watch.col.situacion": "Situación",
+  "watch.col.revisado": "Revisado",
+  "watch.actCount": "{count} act.",
+  "watch.unchecked": "Sin revisar",
+  "watch.change": "{count} cambio",
+  "watch.changes": "{count} cambios",
+  "watch.checkNow": "Revisar ahora",
+  "watch.remove": "Quitar",
+  "watch.markSeen": "Marcar como visto",
+  "watch.log": "Bitácora de cambios ({count})",
+  "watch.before": "Antes: {antes}",
+  "watch.actAdded": "Actividad agregada",
+  "watch.actChanged": "Actividad modificada",
+  "watch.actRemoved": "Actividad eliminada",
+  "watch.notFound": "No aparece inscrito en Hacienda",
+  "watch.loadError": "No se pudo abrir la lista guardada",
+  "watch.saveError": "No se pudo guardar",
+  "watch.saveCheckError": "No se pudo guardar la revisión",
+  "watch.duplicate": "Esa identificación ya está en la lista",
+
+  "clave.title": "Clave numérica",
+  "clave.tabRead": "Decodificar",
+  "clave.tabGen": "Generar",
+  "clave.input": "Clave (50 dígitos) o consecutivo (20 dígitos)",
+  "clave.valid": "Estructura válida",
+  "clave.invalid": "Con errores",
+  "clave.kind.clave": "Clave",
+  "clave.kind.consecutivo": "Consecutivo",
+  "clave.viewAe": "Ver en AE",
+  "clave.emisor": "Identificación del emisor",
+  "clave.fecha": "Fecha",
+  "clave.sucursal": "Sucursal",
+  "clave.terminal": "Terminal",
+  "clave.tipo": "Tipo de documento",
+  "clave.situacion": "Situación",
+  "clave.numeracion": "Numeración inicial",
+  "clave.cantidad": "Cantidad (máx. {max})",
+  "clave.seguridad": "Código de seguridad (vacío = aleatorio por clave)",
+  "clave.seguridadPlaceholder": "8 dígitos",
+  "clave.generateOne": "Generar clave",
+  "clave.generateMany": "Generar {count} claves",
+  "clave.copyAll": "Copiar todas",
+  "clave.copy": "Copiar clave",
+  "clave.parte.pais": "País",
+  "clave.parte.fecha": "Fecha (día/mes/año)",
+  "clave.parte.terminal": "Terminal / punto de venta",
+  "clave.parte.numeracion": "Numeración",
+  "clave.parte.seguridad": "Código de seguridad",
+  "clave.err.length": "La clave tiene 50 dígitos y el consecutivo 20; se leyeron {count}.",
+  "clave.err.pais": "El código de país debe ser {codigo}",
+  "clave.err.fecha": "Fecha inexistente",
+  "clave.err.futura": "La fecha es futura",
+  "clave.err.sucursal": "La sucursal no puede ser 0",
+  "clave.err.terminal": "La terminal no puede ser 0",
+  "clave.err.numeracion": "La numeración no puede ser 0",
+  "clave.err.numeracionMax": "La numeración tiene 10 dígitos como máximo",
+  "clave.err.numeracionTanda": "La numeración tiene 10 dígitos: la tanda llegaría a {ultima}",
+  "clave.err.tipo": "Tipo de documento desconocido",
+  "clave.err.situacion": "Situación desconocida (1, 2 o 3)",
+  "clave.doc.01": "Factura electrónica",
+  "clave.doc.02": "Nota de débito",
+  "clave.doc.03": "Nota de crédito",
+  "clave.doc.04": "Tiquete electrónico",
+  "clave.doc.05": "Confirmación de aceptación",
+  "clave.doc.06": "Confirmación de aceptación parcial",
+  "clave.doc.07": "Confirmación de rechazo",
+  "clave.doc.08": "Factura electrónica de compra",
+  "clave.doc.09": "Factura electrónica de exportación",
+  "clave.doc.10": "Recibo electrónico de pago",
+  "clave.sit.1": "Normal",
+  "clave.sit.2": "Contingencia",
+  "clave.sit.3": "Sin internet",
+
+  "const.aria": "Constancia",
+  "const.print": "🖨️ Imprimir",
+  "const.pdf": "Descargar PDF",
+  "const.close": "Cerrar",
+  "const.pdfTitle": "Constancia {id}",
+  "const.title": "Constancia de situación tributaria",
+  "const.sub": "Consulta de Actividades Económicas — Ministerio de Hacienda de Costa Rica",
+  "const.contribuyente": "Contribuyente",
+  "const.actividades": "Actividades económicas ({count})",
+  "const.noActividades": "Sin actividades registradas",
+  "const.consulta": "Datos de la consulta",
+  "const.at": "Fecha y hora de la consulta",
+  "const.ms": "Tiempo de respuesta del API",
+  "const.msCached": "{ms} ms (respuesta en caché de la sesión)",
+  "const.generated": "Constancia generada",
+  "const.hash": "SHA-256 del JSON",
+  "const.nota": "Datos obtenidos del servicio de Actividades Económicas del Ministerio de Hacienda (api.hacienda.go.cr/fe/ae). El SHA-256 corresponde al JSON de la respuesta sin modificar; si se vuelve a calcular sobre ese mismo JSON debe dar el mismo valor.",
+
+  "batch.open": "📑 Consulta masiva",
+  "batch.title": "Consulta masiva",
+  "batch.close": "Cerrar",
+  "batch.ids": "Identificaciones (una por línea, o separadas por coma)",
+  "batch.run": "Consultar ({count})",
+  "batch.upload": "Subir XLSX/CSV",
+  "batch.stop": "Detener",
+  "batch.download": "Descargar reporte XLSX",
+  "batch.progress": "{done} de {total}",
+  "batch.col.resultado": "Resultado",
+  "batch.col.actividad": "Actividad principal",
+  "batch.noDigits": "No contiene dígitos",
+  "batch.fileEmpty": "El archivo no trae identificaciones",
+  "batch.fileError": "No se pudo leer el archivo",
+  "batch.status.pendiente": "Pendiente",
+  "batch.status.encontrado": "Encontrado",
+  "batch.status.invalida": "ID inválida",
+  "batch.status.noEncontrado": "No encontrado",
+  "batch.status.error": "Error HTTP",
+  "batch.status.moroso": "Moroso",
+  "batch.status.omiso": "Omiso",
+
+  "ex.title": "Exoneraciones",
+  "ex.autorizacion": "Número de autorización",
+  "ex.placeholder": "Ej: AL-00012345-24",
+  "ex.error": "Error consultando la exoneración",
+  "ex.vigente": "Vigente",
+  "ex.porVencer": "Por vencer",
+  "ex.vencida": "Vencida",
+  "ex.sinFecha": "Sin fecha de vencimiento",
+  "ex.exonera": "Exonera {pct}%",
+  "ex.vencio": "⛔ El documento venció el {fecha}",
+  "ex.venceEn1": "Vence en 1 día (aviso a {aviso} días)",
+  "ex.venceEn": "Vence en {count} días (aviso a {aviso} días)",
+  "ex.autorizacionLabel": "Autorización",
+  "ex.titular": "Titular",
+  "ex.verAe": "Ver en AE",
+  "ex.titularError": "No se pudo consultar el nombre en AE",
+  "ex.institucion": "Institución",
+  "ex.emitida": "Emitida",
+  "ex.vence": "Vence",
+  "ex.cabys": "CABYS cubiertos",
+  "ex.noLimita": "El documento no limita códigos CABYS",
+  "ex.noCubierto": "⚠️ 1 código del panel CABYS no está cubierto:",
+  "ex.noCubiertos": "⚠️ {count} códigos del panel CABYS no están cubiertos:",
+  "ex.todosCubiertos": "✓ Todos los códigos del panel CABYS están cubiertos",
+  "ex.verOtros": "Ver los otros {count}",
+
+  "fact.title": "Revisión de comprobantes XML",
+  "fact.drop": "Arrastre aquí los XML de facturas, tiquetes o notas de crédito/débito",
+  "fact.dropClick": "o haga clic para elegirlos",
+  "fact.download": "Descargar hallazgos XLSX",
+  "fact.clear": "Limpiar",
+  "fact.comprobante": "Comprobante",
+  "fact.emisor": "Emisor",
+  "fact.receptor": "Receptor",
+  "fact.total": "Total ({moneda})",
+  "fact.lineas": "{count} líneas",
+  "fact.readError": "No se pudo leer el XML",
+  "fact.status.revisando": "Revisando…",
+  "fact.status.ok": "Sin hallazgos",
+  "fact.status.warn": "Revisar",
+  "fact.status.error": "Con errores",
+  "fact.tipo.FacturaElectronica": "Factura electrónica",
+  "fact.tipo.TiqueteElectronico": "Tiquete electrónico",
+  "fact.tipo.NotaCreditoElectronica": "Nota de crédito",
+  "fact.tipo.NotaDebitoElectronica": "Nota de débito",
+  "fact.tipo.FacturaElectronicaCompra": "Factura electrónica de compra",
+  "fact.tipo.FacturaElectronicaExportacion": "Factura electrónica de exportación",
+  "fact.err.xml": "XML mal formado",
+  "fact.err.root": "No es un comprobante electrónico (raíz <{tipo}>)",
+  "fact.f.sinEmisor": "El comprobante no trae identificación del emisor",
+  "fact.f.moroso": "Emisor moroso con Hacienda",
+  "fact.f.omiso": "Emisor omiso en declaraciones",
+  "fact.f.inactivo": "Emisor no está activo (estado: {estado})",
+  "fact.f.alDia": "Emisor al día ({estado})",
+  "fact.f.sinEstado": "sin estado",
+  "fact.f.noInscrito": "Emisor {id} no aparece inscrito en Hacienda",
+  "fact.f.emisorError": "No se pudo verificar el emisor: {error}",
+  "fact.f.sinCabys": "Línea sin código CABYS",
+  "fact.f.cabysLargo": "Código CABYS {cabys} no tiene 13 dígitos",
+  "fact.f.cabysNoExiste": "Código CABYS {cabys} no existe",
+  "fact.f.sinImpuesto": "Sin impuesto en la línea; CABYS indica {esperado}%",
+  "fact.f.ivaDistinto": "IVA {tarifa}% en la factura, CABYS {cabys} indica {esperado}%",
+  "fact.f.ivaDistintoExo": "IVA {tarifa}% en la factura, CABYS {cabys} indica {esperado}% (la línea trae exoneración)",
+  "fact.f.ivaOk": "CABYS {cabys} con IVA {esperado}% correcto",
+  "fact.f.ivaDuplicado": "La línea trae {count} impuestos IVA (código 01): se revisa cada tarifa por aparte",
+  "fact.f.ivaFactor": "IVA de bienes usados (código 08, por factor): la tarifa no se compara con CABYS",
+  "fact.f.cabysError": "No se pudo verificar el CABYS {cabys}: {error}",
+  "fact.f.sinLineas": "El comprobante no trae líneas de detalle",
+
+  "prof.title": "Proforma / líneas de factura",
+  "prof.docMoneda": "Moneda del documento",
+  "prof.fxUsed": "Conversión con el tipo de cambio de venta {monto} al {fecha}",
+  "prof.fxMissing": "No hay tipo de cambio: las líneas en otra moneda quedan en cero",
+  "prof.col.detalle": "Detalle",
+  "prof.col.cantidad": "Cant.",
+  "prof.col.precio": "Precio unit.",
+  "prof.col.moneda": "Moneda",
+  "prof.col.descuento": "Desc. %",
+  "prof.col.exon": "Exon. %",
+  "prof.col.exonTitle": "Porcentaje del IVA de la línea que se exonera",
+  "prof.col.iva": "IVA",
+  "prof.col.total": "Total línea",
+  "prof.cabysPlaceholder": "13 dígitos",
+  "prof.cabysLength": "El código CABYS tiene 13 dígitos",
+  "prof.cabysNotFound": "Código CABYS no encontrado",
+  "prof.cabysError": "Error consultando CABYS",
+  "prof.exonMonto": "Exon. {monto}",
+  "prof.removeLinea": "Quitar línea",
+  "prof.addLinea": "+ Agregar línea",
+  "prof.clear": "Limpiar",
+  "prof.totalVenta": "Total venta",
+  "prof.descuentos": "Descuentos",
+  "prof.subtotal": "Subtotal",
+  "prof.ivaTarifa": "IVA {tarifa}%",
+  "prof.ivaBase": "sobre {monto}",
+  "prof.ivaExonerado": "(exonerado {monto})",
+  "prof.total": "Total",
+  "prof.revisar": "Hay líneas sin IVA confirmado o sin tipo de cambio; revisalas antes de usar los totales.",
+  "prof.downloadJson": "Descargar JSON (FE 4.4)",
+  "prof.copyJson": "Copiar JSON",
+  "prof.err.fx": "Sin tipo de cambio para convertir",
+  "prof.err.cabys": "Falta consultar el CABYS",
+  "prof.sum.moneda": "Moneda",
+  "prof.sum.tipoCambio": "Tipo de cambio (venta)",
+  "prof.sum.ventaNeta": "Subtotal (venta neta)",
+  "prof.sum.iva": "IVA {tarifa}% (base {base})",
+  "prof.sum.exonerado": "Exonerado",
+  "prof.sum.totalIva": "Total IVA",
+
+  "api.notFound": "No encontrado",
+  "api.unavailable": "Servicio no disponible",
+  "api.unavailableHttp": "Servicio no disponible (HTTP {status})",
+  "api.timeout": "El servicio no respondió a tiempo",
+  "api.offline": "Sin conexión con el servicio",
+  "api.nonJson": "Respuesta no es JSON",
+  "api.nonJsonCt": "Respuesta no es JSON ({ct}): {preview}",
+  "api.noContentType": "sin content-type",
+  "api.badJson": "JSON inválido: {preview}",
+  "api.aeNotFound": "Contribuyente no encontrado",
+  "api.exNotFound": "Autorización de exoneración no encontrada",
+  "api.tcEmpty": "Sin datos de tipo de cambio",
+  "api.tcEuroEmpty": "Sin datos de tipo de cambio del euro",
+  "history.importBadJson": "El archivo no es un JSON válido",
+  "history.importEmpty": "El JSON no trae historial ni favoritos de la herramienta",
+  "idb.unavailable": "IndexedDB no disponible en este navegador",
+}
@@ -0,0 +1,8 @@
+import { useSyncExternalStore } from "react"
+import { getLang, setLang, subscribeLang } from "../lib/i18n.js"
+
+// Idioma actual; el componente se vuelve a pintar cuando alguien lo cambia
+export function useLang() {
+  const lang = useSyncExternalStore(subscribeLang, getLang)
+  return [lang, setLang]
+}
@@ -0,0 +1,420 @@
+import { onlyDigits } from "./helpers.js"
+import { t } from "./i18n.js"
+
+/* ================= CLIENTE API =================
+   Un solo punto de salida para Hacienda (/hacienda), indicadores (/indicadores) y gometa (/gometa):
+   timeout con AbortController, reintentos con backoff en 5xx/429, errores tipados
+   y caché en memoria con TTL.
+   Con `api` definido, AE, CABYS, tipo de cambio y cédulas van por la capa propia (api/ en
+   Vercel, server/index.js en local), que ya responde con caché y JSON normalizado.
+================================================ */
+
+// En el navegador se pasa por el proxy (vite.config.js / vercel.json)
+const BASES = {
+  hacienda: "/hacienda",
+  indicadores: "/indicadores",
+  gometa: "/gometa",
+  api: "",
+}
+
+// Los mismos destinos que los rewrites de vercel.json, para usar fuera del navegador (CLI, server/)
+export const DIRECT_BASES = {
+  hacienda: "https://api.hacienda.go.cr",
+  indicadores: "https://api.hacienda.go.cr/indicadores",
+  gometa: "https://apis.gometa.org",
+  api: "",
+}
+
+export function setApiBases(bases) {
+  Object.assign(BASES, bases)
+  cache.clear()
+}
+
+const DEFAULT_TIMEOUT = 10_000
+const DEFAULT_RETRIES = 2
+const BACKOFF_MS = 400
+const CACHE_MAX = 300
+
+const MIN = 60_000
+const TTL = {
+  ae: 5 * MIN,
+  cabys: 30 * MIN,
+  tc: 10 * MIN,
+  historico: 60 * MIN,
+  cedulas: 10 * MIN,
+  exoneracion: 10 * MIN,
+}
+
+/* ================= ERRORES ================= */
+export class ApiError extends Error {
+  constructor(message, { status = 0, url = "", cause } = {}) {
+    super(message, { cause })
+    this.name = "ApiError"
+    this.status = status
+    this.url = url
+  }
+}
+
+// 404: el recurso (contribuyente, código, cédula) no existe
+export class NotFoundError extends ApiError {
+  constructor(message = t("api.notFound"), opts) {
+    super(message, opts)
+    this.name = "NotFoundError"
+  }
+}
+
+// 5xx, 429, sin red o timeout: el servicio está caído, vale la pena reintentar luego
+export class ServiceUnavailableError extends ApiError {
+  constructor(message = t("api.unavailable"), opts) {
+    super(message, opts)
+    this.name = "ServiceUnavailableError"
+  }
+}
+
+export class TimeoutError extends ServiceUnavailableError {
+  constructor(message = t("api.timeout"), opts) {
+    super(message, opts)
+    this.name = "TimeoutError"
+  }
+}
+
+// El proxy devolvió HTML (página de error) o un JSON roto
+export class NonJsonError extends ApiError {
+  constructor(message = t("api.nonJson"), opts) {
+    super(message, opts)
+    this.name = "NonJsonError"
+  }
+}
+
+function isAbort(e) {
+  return e?.name === "AbortError"
+}
+
+/* ================= CACHÉ ================= */
+const cache = new Map()
+
+function cacheGet(key) {
+  const hit = cache.get(key)
+  if (!hit) return null
+  if (hit.expires < Date.now()) {
+    cache.delete(key)
+    return null
+  }
+  return hit
+}
+
+function cacheSet(key, value, ttl) {
+  cache.set(key, { ...value, expires: Date.now() + ttl })
+  if (cache.size > CACHE_MAX) cache.delete(cache.keys().next().value)
+}
+
+export function clearApiCache() {
+  cache.clear()
+}
+
+/* ================= REQUEST ================= */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, ms)
+    const onAbort = () => {
+      clearTimeout(timer)
+      reject(signal.reason ?? new DOMException("Aborted", "AbortError"))
+    }
+    signal?.addEventListener("abort", onAbort, { once: true })
+  })
+}
+
+function preview(text) {
+  return text.slice(0, 120).replace(/\s+/g, " ")
+}
+
+async function fetchOnce(url, { timeout, signal }) {
+  const ctrl = new AbortController()
+  let timedOut = false
+  const timer = setTimeout(() => {
+    timedOut = true
+    ctrl.abort()
+  }, timeout)
+  const onAbort = () => ctrl.abort()
+  signal?.addEventListener("abort", onAbort)
+
+  try {
+    const res = await fetch(url, { cache: "no-store", signal: ctrl.signal })
+    const text = await res.text()
+    return { res, text }
+  } catch (e) {
+    if (timedOut) throw new TimeoutError(undefined, { url, cause: e })
+    if (isAbort(e)) throw e
+    throw new ServiceUnavailableError(t("api.offline"), { url, cause: e })
+  } finally {
+    clearTimeout(timer)
+    signal?.removeEventListener("abort", onAbort)
+  }
+}
+
+function toJson(url, res, text, notFound) {
+  const status = res.status
+
+  if (status === 404) throw new NotFoundError(notFound, { status, url })
+  if (status === 429 || status >= 500) {
+    throw new ServiceUnavailableError(t("api.unavailableHttp", { status }), { status, url })
+  }
+  if (!res.ok) throw new ApiError(`HTTP ${status}`, { status, url })
+
+  const ct = (res.headers.get("content-type") || "").toLowerCase()
+  if (!ct.includes("application/json")) {
+    const message = t("api.nonJsonCt", { ct: ct || t("api.noContentType"), preview: preview(text) })
+    throw new NonJsonError(message, { status, url })
+  }
+
+  try {
+    return JSON.parse(text)
+  } catch (e) {
+    throw new NonJsonError(t("api.badJson", { preview: preview(text) }), { status, url, cause: e })
+  }
+}
+
+function retryDelay(res, attempt) {
+  const after = Number(res?.headers.get("retry-after"))
+  if (Number.isFinite(after) && after > 0) return Math.min(after * 1000, 10_000)
+  return BACKOFF_MS * 2 ** attempt + Math.random() * 150
+}
+
+// GET con timeout, reintentos y caché. Devuelve { data, raw, contentType, ms, at, cached }
+// (raw = texto tal cual llegó).
+export async function requestJson(
+  url,
+  { timeout = DEFAULT_TIMEOUT, retries = DEFAULT_RETRIES, ttl = 0, signal, notFound } = {}
+) {
+  if (ttl) {
+    const hit = cacheGet(url)
+    if (hit) return { data: hit.data, raw: hit.raw, contentType: hit.contentType, ms: hit.ms, at: hit.at, cached: true }
+  }
+
+  for (let attempt = 0; ; attempt++) {
+    const start = performance.now()
+    let res = null
+    try {
+      const out = await fetchOnce(url, { timeout, signal })
+      res = out.res
+      const data = toJson(url, out.res, out.text, notFound)
+      const value = {
+        data,
+        raw: out.text,
+        contentType: out.res.headers.get("content-type") || "",
+        ms: Math.round(performance.now() - start),
+        at: new Date(),
+      }
+      if (ttl) cacheSet(url, value, ttl)
+      return { ...value, cached: false }
+    } catch (e) {
+      if (!(e instanceof ServiceUnavailableError) || attempt >= retries) throw e
+      await sleep(retryDelay(res, attempt), signal)
+    }
+  }
+}
+
+async function getJson(url, opts) {
+  return (await requestJson(url, opts)).data
+}
+
+/* ================= API CHECK ================= */
+// Una consulta liviana por servicio para el monitor de estado
+const PROBES = {
+  ae: () => `${BASES.hacienda}/fe/ae?identificacion=110220294`,
+  cabys: () => `${BASES.hacienda}/fe/cabys?q=arroz&top=1`,
+  tc: () => `${BASES.hacienda}/indicadores/tc`,
+  gometa: () => `${BASES.gometa}/cedulas/110220294`,
+}
+
+// Devuelve los ms de respuesta o lanza el error tipado del cliente
+export async function probeService(id) {
+  const { ms } = await requestJson(PROBES[id](), { retries: 0, timeout: 8000 })
+  return ms
+}
+
+/* ================= AE ================= */
+// Con { meta: true } devuelve { data, raw, ms, at, cached } en vez de solo el JSON.
+// Con { fresh: true } pregunta a Hacienda en vivo: sin la caché de acá ni la de /api (ni su CDN).
+export async function fetchAe(identificacion, { meta = false, fresh = false, ...opts } = {}) {
+  const id = onlyDigits(identificacion)
+  const url = BASES.api
+    ? `${BASES.api}/ae?identificacion=${id}${fresh ? "&fresh=1" : ""}`
+    : `${BASES.hacienda}/fe/ae?identificacion=${id}`
+  const out = await requestJson(url, {
+    ttl: fresh ? 0 : TTL.ae,
+    notFound: t("api.aeNotFound"),
+    ...opts,
+  })
+  return meta ? out : out.data
+}
+
+// Campos planos del contribuyente que muestran la app, la consulta masiva y el CLI
+export function aeResumen(ae) {
+  const s = ae?.situacion || {}
+  return {
+    nombre: ae?.nombre || "",
+    estado: s.estado || "",
+    moroso: s.moroso || "",
+    omiso: s.omiso || "",
+    regimen: ae?.regimen?.descripcion || "",
+    administracionTributaria: s.administracionTributaria || "",
+  }
+}
+
+// Actividad principal (tipo "P"); si no viene marcada, la primera activa.
+export function actividadPrincipal(ae) {
+  const acts = ae?.actividades || []
+  return acts.find((a) => a.tipo === "P") || acts.find((a) => a.estado === "A") || acts[0] || null
+}
+
+/* ================= CABYS ================= */
+export async function searchCabys(q, top, opts) {
+  const query = `q=${encodeURIComponent(q)}&top=${top}`
+  const url = BASES.api ? `${BASES.api}/cabys?${query}` : `${BASES.hacienda}/fe/cabys?${query}`
+  const json = await getJson(url, { ttl: TTL.cabys, ...opts })
+  return json?.cabys || []
+}
+
+// Búsqueda exacta por código de 13 dígitos (el API devuelve una lista)
+export async function fetchCabysByCode(codigo, opts) {
+  let json
+  try {
+    const query = `codigo=${encodeURIComponent(codigo)}`
+    const url = BASES.api ? `${BASES.api}/cabys?${query}` : `${BASES.hacienda}/fe/cabys?${query}`
+    json = await getJson(url, { ttl: TTL.cabys, ...opts })
+  } catch (e) {
+    if (e instanceof NotFoundError) return []
+    throw e
+  }
+  if (Array.isArray(json)) return json
+  if (Array.isArray(json?.cabys)) return json.cabys
+  return json?.codigo ? [json] : []
+}
+
+/* ================= EXONERACIONES ================= */
+// Documento de exoneración de IVA por número de autorización (ej. AL-00012345-24)
+export async function fetchExoneracion(autorizacion, opts) {
+  const q = encodeURIComponent(String(autorizacion || "").trim().toUpperCase())
+  return getJson(`${BASES.hacienda}/fe/ex?autorizacion=${q}`, {
+    ttl: TTL.exoneracion,
+    notFound: t("api.exNotFound"),
+    ...opts,
+  })
+}
+
+/* ================= TIPO DE CAMBIO ================= */
+function toNumber(v) {
+  const n = typeof v === "number" ? v : parseFloat(String(v ?? "").replace(",", "."))
+  return Number.isFinite(n) ? n : null
+}
+
+// Dólar del día: { compra, venta, fecha }
+export async function fetchTipoCambioDolar(opts) {
+  const url = BASES.api ? `${BASES.api}/tc` : `${BASES.hacienda}/indicadores/tc`
+  const json = await getJson(url, { ttl: TTL.tc, ...opts })
+
+  // Helper: si viene { fecha, valor } devolveme valor; si viene número/string, devolveme eso.
+  const pickValor = (x) => (x && typeof x === "object" ? x.valor ?? "" : x ?? "")
+
+  // Helper: si viene { fecha, valor } devolveme fecha; si viene string, devolveme eso.
+  const pickFecha = (x) => (x && typeof x === "object" ? x.fecha ?? "" : x ?? "")
+
+  // Soporta varias formas posibles de respuesta
+  const compraRaw =
+    json?.compra ?? json?.tipoCambioCompra ?? json?.dolar?.compra ?? json?.data?.tipoCambioCompra
+
+  const ventaRaw =
+    json?.venta ?? json?.tipoCambioVenta ?? json?.dolar?.venta ?? json?.data?.tipoCambioVenta
+
+  const compra = pickValor(compraRaw)
+  const venta = pickValor(ventaRaw)
+
+  // fecha puede venir aparte o dentro del mismo objeto
+  const fecha = json?.fecha ?? json?.data?.fecha ?? pickFecha(compraRaw) ?? pickFecha(ventaRaw)
+
+  if (!compra && !venta) throw new ApiError(t("api.tcEmpty"))
+
+  return { compra, venta, fecha }
+}
+
+// Euro: { fecha, colones (₡ por €), dolares ($ por €) }
+export async function fetchTipoCambioEuro(opts) {
+  const url = BASES.api ? `${BASES.api}/tc?moneda=euro` : `${BASES.hacienda}/indicadores/tc/euro`
+  const json = await getJson(url, { ttl: TTL.tc, ...opts })
+  const colones = toNumber(json?.colones ?? json?.euro?.colones)
+  const dolares = toNumber(json?.dolares ?? json?.euro?.dolares)
+  if (colones === null) throw new ApiError(t("api.tcEuroEmpty"))
+  return { fecha: json?.fecha ?? "", colones, dolares }
+}
+
+// Serie histórica del dólar: [{ fecha: "YYYY-MM-DD", compra, venta }] ordenada por fecha
+export async function fetchTipoCambioHistorico(desde, hasta, opts) {
+  const rango = `d=${encodeURIComponent(desde)}&h=${encodeURIComponent(hasta)}`
+  const url = BASES.api ? `${BASES.api}/tc?${rango}` : `${BASES.indicadores}/tc/dolar/historico?${rango}`
+  const json = await getJson(url, { ttl: TTL.historico, ...opts })
+  const list = Array.isArray(json) ? json : json?.data || []
+  return list
+    .map((x) => ({
+      fecha: String(x?.fecha || "").slice(0, 10),
+      compra: toNumber(x?.compra),
+      venta: toNumber(x?.venta),
+    }))
+    .filter((x) => x.fecha && (x.compra !== null || x.venta !== null))
+    .sort((a, b) => a.fecha.localeCompare(b.fecha))
+}
+
+/* ================= GOMETA CÉDULAS ================= */
+export async function searchCedulas(q, opts) {
+  try {
+    if (BASES.api) {
+      // La capa propia ya devuelve { items } normalizado
+      const json = await getJson(`${BASES.api}/cedulas?q=${encodeURIComponent(q)}`, { ttl: TTL.cedulas, ...opts })
+      return { items: json?.items || [], raw: json }
+    }
+    const json = await getJson(`${BASES.gometa}/cedulas/${encodeURIComponent(q)}`, {
+      ttl: TTL.cedulas,
+      ...opts,
+    })
+    return normalizeGometaResponse(json)
+  } catch (e) {
+    if (e instanceof NotFoundError) return { items: [], raw: null }
+    throw e
+  }
+}
+
+/* ============ GOMETA NORMALIZER ============ */
+export function normalizeGometaResponse(json) {
+  if (!json) return { items: [], raw: json }
+
+  if (Array.isArray(json?.results)) {
+    const items = json.results.map((x, i) => ({
+      id: x?.cedula || x?.rawcedula || x?.id || String(i),
+      cedula: x?.cedula || x?.rawcedula || "",
+      nombre: x?.fullname || x?.nombre || x?.name || "",
+      tipo: x?.guess_type || x?.tipo || x?.type || "",
+      extra: x,
+    }))
+    return { items, raw: json }
+  }
+
+  if (Array.isArray(json)) {
+    const items = json.map((x, i) => ({
+      id: x?.cedula || x?.id || String(i),
+      cedula: x?.cedula || "",
+      nombre: x?.fullname || x?.nombre || x?.name || "",
+      tipo: x?.guess_type || x?.tipo || x?.type || "",
+      extra: x,
+    }))
+    return { items, raw: json }
+  }
+
+  const one = {
+    id: json?.cedula || json?.rawcedula || json?.id || "1",
+    cedula: json?.cedula || json?.rawcedula || "",
+    nombre: json?.fullname || json?.nombre || json?.name || "",
+    tipo: json?.guess_type || json?.tipo || json?.type || "",
+    extra: json,
+  }
+  return { items: [one].filter((x) => x.cedula || x.nombre || x.tipo), raw: json }
+}
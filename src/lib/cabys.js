@@ -0,0 +1,91 @@
+import { normalizeText } from "./helpers.js"
+
+/* ================= CABYS =================
+   Código de 13 dígitos. Cada nivel de la jerarquía es un prefijo del código:
+   sección (1) → división (2) → grupo (3) → clase (4) → subclase (5) → categorías 6-8 → producto (13)
+========================================== */
+
+// nombre es la clave de i18n del nivel (se traduce con t() al mostrarlo)
+export const CABYS_NIVELES = [
+  { nombre: "cabys.nivel.seccion", len: 1 },
+  { nombre: "cabys.nivel.division", len: 2 },
+  { nombre: "cabys.nivel.grupo", len: 3 },
+  { nombre: "cabys.nivel.clase", len: 4 },
+  { nombre: "cabys.nivel.subclase", len: 5 },
+  { nombre: "cabys.nivel.cat6", len: 7 },
+  { nombre: "cabys.nivel.cat7", len: 8 },
+  { nombre: "cabys.nivel.cat8", len: 9 },
+]
+
+// Niveles que se muestran en el árbol (los de la clasificación CPC)
+export const CABYS_NIVELES_ARBOL = 5
+
+// Tarifas de IVA que trae el catálogo (filtro de la tabla de resultados)
+export const CABYS_TARIFAS = [0, 1, 2, 4, 13]
+
+// Nivel (clave i18n) de un código de categoría según su largo; "" si no es de ninguno
+export function cabysNivel(codigo) {
+  return CABYS_NIVELES.find((n) => n.len === String(codigo || "").length)?.nombre || ""
+}
+
+export function isCabysCode(s) {
+  return /^\d{13}$/.test(String(s || "").trim())
+}
+
+// Ruta de categorías padre: [{ nivel, codigo, descripcion }].
+// `categorias` viene del API como lista de descripciones, de la sección hacia abajo.
+export function cabysBreadcrumb(item) {
+  const codigo = String(item?.codigo || "")
+  const cats = Array.isArray(item?.categorias) ? item.categorias : []
+  return CABYS_NIVELES.map((n, i) => ({
+    nivel: n.nombre,
+    codigo: codigo.slice(0, n.len),
+    descripcion: typeof cats[i] === "string" ? cats[i] : cats[i]?.descripcion || "",
+  })).filter((c) => c.descripcion && c.codigo.length)
+}
+
+// Arma el árbol sección → … → subclase con los productos como hojas.
+// Nodo: { codigo, nivel, descripcion, children: Map, items: [] }
+export function buildCabysTree(items) {
+  const root = { codigo: "", nivel: "", descripcion: "", children: new Map(), items: [] }
+  for (const item of items) {
+    const crumbs = cabysBreadcrumb(item).slice(0, CABYS_NIVELES_ARBOL)
+    let node = root
+    CABYS_NIVELES.slice(0, CABYS_NIVELES_ARBOL).forEach((n, i) => {
+      const codigo = String(item.codigo || "").slice(0, n.len)
+      if (!node.children.has(codigo)) {
+        node.children.set(codigo, {
+          codigo,
+          nivel: n.nombre,
+          descripcion: crumbs[i]?.descripcion || "",
+          children: new Map(),
+          items: [],
+        })
+      }
+      node = node.children.get(codigo)
+    })
+    node.items.push(item)
+  }
+  return root
+}
+
+// Relleno típico de las descripciones de actividades económicas
+const RELLENO = new Set(
+  (
+    "de del la las el los y e o u en a al con sin por para su sus otros otras otro otra ncp " +
+    "actividad actividades servicio servicios venta ventas comercio mayor menor excepto " +
+    "incluye diversos varios tipo tipos clase conexas relacionadas similares general"
+  ).split(" ")
+)
+
+// Búsquedas CABYS sugeridas para una actividad de AE (sus códigos no son CABYS):
+// las dos primeras palabras con contenido juntas y luego cada una por separado
+export function cabysQueriesFromActividad(descripcion, max = 4) {
+  const words = String(descripcion || "")
+    .toLowerCase()
+    .split(/[^a-záéíóúüñ]+/)
+    .filter((w) => w.length >= 4 && !RELLENO.has(normalizeText(w)))
+  const unique = [...new Set(words)]
+  const out = unique.length >= 2 ? [unique.slice(0, 2).join(" ")] : []
+  return [...out, ...unique].slice(0, max)
+}
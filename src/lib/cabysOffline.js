@@ -0,0 +1,196 @@
+import * as XLSX from "xlsx"
+import { normalizeText, onlyDigits } from "./helpers.js"
+import { t } from "./i18n.js"
+import { idbGet, idbGetAll, idbPut, idbReplaceAll, idbClear, idbDelete } from "./idb.js"
+
+/* ================= CABYS OFFLINE =================
+   Catálogo oficial (XLSX de BCCR/Hacienda) guardado en IndexedDB,
+   con búsqueda local para cuando /fe/cabys no responde.
+================================================== */
+
+const META_KEY = "cabys"
+
+// Catálogo en memoria: { items, index, meta } (se carga una vez desde IndexedDB)
+let catalog = null
+let loading = null
+
+function parseImpuesto(v) {
+  if (v === null || v === undefined || v === "") return null
+  if (typeof v === "number") return v > 0 && v < 1 ? Math.round(v * 100) : v
+  const n = parseFloat(String(v).replace("%", "").replace(",", "."))
+  return Number.isFinite(n) ? n : null
+}
+
+// Busca "dd/mm/aaaa" o "aaaa-mm-dd" en los títulos de la hoja
+function findVersionDate(rows) {
+  for (const r of rows) {
+    for (const cell of r) {
+      const s = String(cell)
+      let m = s.match(/(\d{1,2})[/-](\d{1,2})[/-](\d{4})/)
+      if (m) return `${m[3]}-${m[2].padStart(2, "0")}-${m[1].padStart(2, "0")}`
+      m = s.match(/(\d{4})-(\d{2})-(\d{2})/)
+      if (m) return m[0]
+    }
+  }
+  return ""
+}
+
+// El archivo oficial trae filas de título antes del encabezado; se ubica la fila
+// que tiene "impuesto" y al menos una columna de descripción.
+function findHeader(rows) {
+  for (let i = 0; i < Math.min(rows.length, 30); i++) {
+    const h = rows[i].map((c) => normalizeText(c))
+    const imp = h.findIndex((c) => c.includes("impuesto"))
+    const desc = h.map((c, j) => (c.includes("descripcion") ? j : -1)).filter((j) => j !== -1)
+    if (imp !== -1 && desc.length) {
+      const codes = h
+        .map((c, j) => ((c.includes("categoria") || c.includes("codigo")) && !c.includes("descripcion") ? j : -1))
+        .filter((j) => j !== -1)
+      return { row: i, imp, desc, codes }
+    }
+  }
+  return null
+}
+
+export function parseCabysWorkbook(buf, fileName = "") {
+  const wb = XLSX.read(buf, { type: "array" })
+  const ws = wb.Sheets[wb.SheetNames[0]]
+  const rows = XLSX.utils.sheet_to_json(ws, { header: 1, defval: "", raw: true })
+
+  const header = findHeader(rows)
+  if (!header) throw new Error(t("cabys.offlineNoHeader"))
+
+  // Sin encabezado de código reconocible: la columna que trae 13 dígitos en la primera fila de datos
+  const sample = rows[header.row + 1] || []
+  const codeCol = header.codes.length
+    ? header.codes[header.codes.length - 1]
+    : sample.findIndex((c) => onlyDigits(String(c)).length === 13)
+  if (codeCol === -1) throw new Error(t("cabys.offlineNoCodeCol"))
+  const descCol = header.desc[header.desc.length - 1]
+  const catCols = header.desc.slice(0, -1)
+
+  const items = []
+  for (const r of rows.slice(header.row + 1)) {
+    const codigo = onlyDigits(String(r[codeCol] ?? ""))
+    if (codigo.length !== 13) continue
+    items.push({
+      codigo,
+      descripcion: String(r[descCol] ?? "").trim(),
+      impuesto: parseImpuesto(r[header.imp]),
+      categorias: catCols.map((j) => String(r[j] ?? "").trim()),
+    })
+  }
+  if (!items.length) throw new Error(t("cabys.offlineNoCodes"))
+
+  return {
+    items,
+    meta: {
+      key: META_KEY,
+      version: findVersionDate(rows.slice(0, header.row)),
+      fileName,
+      importedAt: new Date().toISOString(),
+      count: items.length,
+    },
+  }
+}
+
+function buildIndex(items) {
+  return items.map((it) => {
+    const norm = normalizeText(it.descripcion)
+    return { norm, words: norm.split(/[^a-z0-9]+/).filter(Boolean) }
+  })
+}
+
+export async function importCabysFile(file) {
+  const { items, meta } = parseCabysWorkbook(await file.arrayBuffer(), file.name)
+  if (!meta.version && file.lastModified) meta.version = new Date(file.lastModified).toISOString().slice(0, 10)
+  await idbReplaceAll("cabys", items)
+  await idbPut("meta", meta)
+  catalog = { items, index: buildIndex(items), meta }
+  return meta
+}
+
+export async function loadOfflineCatalog() {
+  if (catalog) return catalog
+  if (!loading) {
+    loading = (async () => {
+      const meta = await idbGet("meta", META_KEY)
+      if (!meta) return null
+      const items = await idbGetAll("cabys")
+      catalog = { items, index: buildIndex(items), meta }
+      return catalog
+    })().finally(() => (loading = null))
+  }
+  return loading
+}
+
+export async function clearOfflineCatalog() {
+  await idbClear("cabys")
+  await idbDelete("meta", META_KEY)
+  catalog = null
+}
+
+/* ---------- búsqueda ---------- */
+
+// Distancia de edición con corte temprano (solo interesa si es <= max)
+function withinDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return false
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j)
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i]
+    let rowMin = i
+    for (let j = 1; j <= b.length; j++) {
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1))
+      rowMin = Math.min(rowMin, cur[j])
+    }
+    if (rowMin > max) return false
+    prev = cur
+  }
+  return prev[b.length] <= max
+}
+
+function scoreToken(token, entry) {
+  let best = 0
+  for (const w of entry.words) {
+    if (w === token) return 3
+    if (w.startsWith(token)) best = Math.max(best, 2)
+    else if (token.length >= 4 && w.includes(token)) best = Math.max(best, 1.5)
+    else if (token.length >= 4 && best < 1) {
+      const max = token.length >= 7 ? 2 : 1
+      if (withinDistance(token, w, max)) best = 1
+    }
+  }
+  return best
+}
+
+// Búsqueda sin tildes, tolerante a errores de digitación y ordenada por relevancia.
+// Todas las palabras de la consulta deben aparecer (exactas, como prefijo o aproximadas).
+export function searchOfflineCatalog(cat, q, top = 50) {
+  if (!cat) return []
+  const query = normalizeText(q).trim()
+  if (!query) return []
+
+  const digits = onlyDigits(query)
+  if (digits && digits === query.replace(/\s+/g, "")) {
+    return cat.items.filter((it) => it.codigo.startsWith(digits)).slice(0, top)
+  }
+
+  const tokens = query.split(/[^a-z0-9]+/).filter((tok) => tok.length > 1)
+  if (!tokens.length) return []
+
+  const hits = []
+  cat.index.forEach((entry, i) => {
+    let score = 0
+    for (const tok of tokens) {
+      const s = scoreToken(tok, entry)
+      if (!s) return
+      score += s
+    }
+    if (entry.norm.startsWith(query)) score += 2
+    score -= entry.words.length * 0.02
+    hits.push({ i, score })
+  })
+
+  hits.sort((a, b) => b.score - a.score)
+  return hits.slice(0, top).map((h) => cat.items[h.i])
+}
@@ -0,0 +1,97 @@
+import { onlyDigits } from "./helpers.js"
+import { t } from "./i18n.js"
+
+/* ================= CÉDULAS =================
+   Reglas de Hacienda / Registro Civil / DGME:
+   - Física:      9 dígitos, sin cero inicial (P-TTTT-AAAA)
+   - Jurídica:    10 dígitos, 3-XXX-XXXXXX (clase en los dígitos 2-4); 2-XXX para el Estado;
+                  4-000-XXXXXX para instituciones autónomas (CCSS 4-000-042147)
+   - NITE:        10 dígitos, sin cero inicial
+   - DIMEX:       11 o 12 dígitos, sin cero inicial
+   - Diplomático: 12 dígitos empezando en 5 (DIDI)
+============================================ */
+
+// label: clave i18n; detectCedula ya la devuelve traducida
+export const TIPOS_CEDULA = {
+  fisica: { codigo: "01", label: "ced.tipo.fisica" },
+  juridica: { codigo: "02", label: "ced.tipo.juridica" },
+  dimex: { codigo: "03", label: "ced.tipo.dimex" },
+  nite: { codigo: "04", label: "ced.tipo.nite" },
+  didi: { codigo: "05", label: "ced.tipo.didi" },
+}
+
+// Clases de cédula jurídica 3-XXX que emite el Registro Nacional (con nombre propio)
+const CLASES_JURIDICA = ["002", "004", "006", "101", "102", "105"]
+
+function isClaseJuridica(clase) {
+  const n = Number(clase)
+  return (n >= 1 && n <= 14) || (n >= 101 && n <= 110)
+}
+
+// Instituciones del Estado: 2-100 poderes, 2-200 ministerios, 2-300 adscritas, 2-400 autónomas
+const CLASES_ESTADO = ["100", "200", "300", "400"]
+
+function result(digits, tipo, error = "", detalle = "") {
+  return {
+    digits,
+    tipo,
+    label: tipo ? t(TIPOS_CEDULA[tipo].label) : "",
+    detalle,
+    valid: !error && !!tipo,
+    error,
+  }
+}
+
+// Devuelve { digits, tipo, label, detalle, valid, error } para cualquier identificación
+export function detectCedula(input) {
+  const v = onlyDigits(input)
+  const n = v.length
+
+  if (!n) return result(v, null)
+
+  if (n < 9) return result(v, null, t("ced.err.corta", { n }))
+  if (n > 12) return result(v, null, t("ced.err.larga", { n }))
+
+  if (n === 9) {
+    if (v[0] === "0") return result(v, "fisica", t("ced.err.fisicaCero"))
+    if (v.slice(1, 5) === "0000") return result(v, "fisica", t("ced.err.tomo"))
+    if (v.slice(5) === "0000") return result(v, "fisica", t("ced.err.asiento"))
+    return result(v, "fisica")
+  }
+
+  if (n === 10) {
+    if (v[0] === "0") {
+      return result(v, "fisica", t("ced.err.fisica10"))
+    }
+    if (v[0] === "3") {
+      const clase = v.slice(1, 4)
+      if (!isClaseJuridica(clase)) {
+        return result(v, "juridica", t("ced.err.clase", { clase }))
+      }
+      const detalle = CLASES_JURIDICA.includes(clase) ? t(`ced.clase.${clase}`) : t("ced.clase", { clase })
+      return result(v, "juridica", "", detalle)
+    }
+    if (v[0] === "2") {
+      const clase = v.slice(1, 4)
+      if (!CLASES_ESTADO.includes(clase)) {
+        return result(v, "juridica", t("ced.err.estado", { clase }))
+      }
+      return result(v, "juridica", "", t("ced.estado"))
+    }
+    if (v.startsWith("4000")) return result(v, "juridica", "", t("ced.autonoma"))
+    return result(v, "nite")
+  }
+
+  if (v[0] === "0") return result(v, "dimex", t("ced.err.dimexCero"))
+  if (n === 12 && v[0] === "5") return result(v, "didi")
+  return result(v, "dimex")
+}
+
+export function isValidCedula(input) {
+  return detectCedula(input).valid
+}
+
+// ¿Parece una cédula (solo dígitos, guiones o espacios) y no texto libre?
+export function looksLikeCedula(input) {
+  return /^[\d\s-]+$/.test(String(input || "").trim())
+}
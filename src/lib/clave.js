@@ -0,0 +1,156 @@
+import { onlyDigits } from "./helpers.js"
+import { formatDate, t } from "./i18n.js"
+import { detectCedula } from "./cedula.js"
+
+/* ================= CLAVE NUMÉRICA =================
+   Clave de 50 dígitos de los comprobantes electrónicos:
+   país (3) · día (2) · mes (2) · año (2) · emisor (12) · consecutivo (20) · situación (1) · seguridad (8)
+   Consecutivo de 20: sucursal (3) · terminal (5) · tipo de documento (2) · numeración (10)
+================================================== */
+
+export const CODIGO_PAIS = "506"
+
+// Código → clave de i18n del nombre (se traduce con t() al mostrarlo)
+export const TIPOS_DOCUMENTO = {
+  "01": "clave.doc.01",
+  "02": "clave.doc.02",
+  "03": "clave.doc.03",
+  "04": "clave.doc.04",
+  "05": "clave.doc.05",
+  "06": "clave.doc.06",
+  "07": "clave.doc.07",
+  "08": "clave.doc.08",
+  "09": "clave.doc.09",
+  "10": "clave.doc.10",
+}
+
+export const SITUACIONES = {
+  1: "clave.sit.1",
+  2: "clave.sit.2",
+  3: "clave.sit.3",
+}
+
+// label y error ya traducidos: parseClave se llama al renderizar
+function parte(campo, label, valor, { detalle = "", error = "" } = {}) {
+  return { campo, label: t(label), valor, detalle, error }
+}
+
+function numeroPositivo(valor, errorKey) {
+  return Number(valor) > 0 ? "" : t(errorKey)
+}
+
+// Partes del consecutivo de 20 dígitos
+function partesConsecutivo(c) {
+  const tipo = c.slice(8, 10)
+  return [
+    parte("sucursal", "clave.sucursal", c.slice(0, 3), { error: numeroPositivo(c.slice(0, 3), "clave.err.sucursal") }),
+    parte("terminal", "clave.parte.terminal", c.slice(3, 8), {
+      error: numeroPositivo(c.slice(3, 8), "clave.err.terminal"),
+    }),
+    parte("tipo", "clave.tipo", tipo, {
+      detalle: TIPOS_DOCUMENTO[tipo] ? t(TIPOS_DOCUMENTO[tipo]) : "",
+      error: TIPOS_DOCUMENTO[tipo] ? "" : t("clave.err.tipo"),
+    }),
+    parte("numeracion", "clave.parte.numeracion", c.slice(10), {
+      detalle: String(Number(c.slice(10))),
+      error: numeroPositivo(c.slice(10), "clave.err.numeracion"),
+    }),
+  ]
+}
+
+// Fecha de la clave (DDMMAA); null si no existe
+function fechaClave(dd, mm, aa) {
+  const d = new Date(2000 + Number(aa), Number(mm) - 1, Number(dd))
+  if (d.getDate() !== Number(dd) || d.getMonth() !== Number(mm) - 1) return null
+  return d
+}
+
+// Acepta una clave de 50 dígitos o un consecutivo de 20.
+// Devuelve { digits, tipo: "clave"|"consecutivo"|null, partes, emisor, fecha, valid, error }
+export function parseClave(input) {
+  const digits = onlyDigits(input)
+  const out = { digits, tipo: null, partes: [], emisor: "", fecha: null, valid: false, error: "" }
+  if (!digits) return out
+
+  if (digits.length === 20) {
+    out.tipo = "consecutivo"
+    out.partes = partesConsecutivo(digits)
+  } else if (digits.length === 50) {
+    out.tipo = "clave"
+    const [dd, mm, aa] = [digits.slice(3, 5), digits.slice(5, 7), digits.slice(7, 9)]
+    const fecha = fechaClave(dd, mm, aa)
+    const emisor = digits.slice(9, 21).replace(/^0+/, "")
+    const ced = detectCedula(emisor)
+    const situacion = digits[41]
+    let fechaError = fecha ? "" : t("clave.err.fecha")
+    if (fecha && fecha > new Date()) fechaError = t("clave.err.futura")
+
+    out.fecha = fecha
+    out.emisor = emisor
+    out.partes = [
+      parte("pais", "clave.parte.pais", digits.slice(0, 3), {
+        detalle: digits.slice(0, 3) === CODIGO_PAIS ? "Costa Rica" : "",
+        error: digits.slice(0, 3) === CODIGO_PAIS ? "" : t("clave.err.pais", { codigo: CODIGO_PAIS }),
+      }),
+      parte("fecha", "clave.parte.fecha", `${dd}/${mm}/${aa}`, {
+        detalle: fecha ? formatDate(fecha) : "",
+        error: fechaError,
+      }),
+      parte("emisor", "clave.emisor", digits.slice(9, 21), {
+        detalle: ced.label ? `${ced.label} ${emisor}` : emisor,
+        error: ced.valid ? "" : ced.error || t("ced.invalid"),
+      }),
+      ...partesConsecutivo(digits.slice(21, 41)),
+      parte("situacion", "clave.situacion", situacion, {
+        detalle: SITUACIONES[situacion] ? t(SITUACIONES[situacion]) : "",
+        error: SITUACIONES[situacion] ? "" : t("clave.err.situacion"),
+      }),
+      parte("seguridad", "clave.parte.seguridad", digits.slice(42)),
+    ]
+  } else {
+    out.error = t("clave.err.length", { count: digits.length })
+    return out
+  }
+
+  out.valid = out.partes.every((p) => !p.error)
+  return out
+}
+
+/* ================= GENERAR ================= */
+// La numeración ocupa los últimos 10 dígitos del consecutivo
+export const MAX_NUMERACION = 9_999_999_999
+
+// Error de una tanda que arranca en `inicio` ("" si todas caben en 10 dígitos)
+export function numeracionError(inicio, cantidad = 1) {
+  const n = Number(inicio)
+  if (!(n > 0)) return t("clave.err.numeracion")
+  if (n + cantidad - 1 > MAX_NUMERACION) {
+    return cantidad > 1
+      ? t("clave.err.numeracionTanda", { ultima: n + cantidad - 1 })
+      : t("clave.err.numeracionMax")
+  }
+  return ""
+}
+
+// Rellena con ceros; si no cabe, error (recortar daría otro comprobante)
+function pad(v, n) {
+  const d = onlyDigits(v)
+  if (d.length > n) throw new RangeError(`${d} no cabe en ${n} dígitos`)
+  return d.padStart(n, "0")
+}
+
+export function buildConsecutivo({ sucursal, terminal, tipo, numeracion }) {
+  return `${pad(sucursal, 3)}${pad(terminal, 5)}${pad(tipo, 2)}${pad(numeracion, 10)}`
+}
+
+export function randomCodigoSeguridad() {
+  const n = crypto.getRandomValues(new Uint32Array(1))[0] % 100_000_000
+  return String(n).padStart(8, "0")
+}
+
+// fecha: Date; devuelve la clave de 50 dígitos
+export function buildClave({ fecha = new Date(), identificacion, consecutivo, situacion = "1", codigoSeguridad }) {
+  const p = (n) => String(n).padStart(2, "0")
+  const ddmmaa = `${p(fecha.getDate())}${p(fecha.getMonth() + 1)}${p(fecha.getFullYear() % 100)}`
+  return `${CODIGO_PAIS}${ddmmaa}${pad(identificacion, 12)}${consecutivo}${situacion}${pad(codigoSeguridad, 8)}`
+}
@@ -0,0 +1,169 @@
+import { aeResumen } from "./api.js"
+import { actividadEstado, actividadTipo, isoDate } from "./helpers.js"
+import { locale, t } from "./i18n.js"
+import { createPdf, textWidth, wrapText } from "./pdf.js"
+
+/* ================= CONSTANCIA AE =================
+   Respaldo de que se revisó la situación tributaria de un proveedor en una fecha:
+   datos del contribuyente, actividades, hora de la consulta, tiempo de respuesta
+   y SHA-256 del JSON tal como lo devolvió Hacienda.
+================================================ */
+
+export async function sha256Hex(text) {
+  const buf = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(text))
+  return [...new Uint8Array(buf)].map((b) => b.toString(16).padStart(2, "0")).join("")
+}
+
+function fechaHora(d) {
+  return new Date(d).toLocaleString(locale(), { dateStyle: "long", timeStyle: "medium" })
+}
+
+// `meta` es lo que devuelve fetchAe(id, { meta: true })
+export async function buildConstancia({ data, raw, ms, at, cached }, identificacion) {
+  const actividades = (data?.actividades || []).map((a) => ({
+    codigo: a.codigo,
+    descripcion: a.descripcion,
+    tipo: actividadTipo(a),
+    estado: actividadEstado(a),
+  }))
+  return {
+    ...aeResumen(data),
+    identificacion,
+    actividades,
+    consultadoEn: at,
+    ms,
+    cached,
+    hash: await sha256Hex(raw ?? JSON.stringify(data)),
+    generadoEn: new Date(),
+  }
+}
+
+// [etiqueta, valor] ya en el idioma activo (la hoja y el PDF se arman con el de la pantalla)
+export function constanciaCampos(c) {
+  return [
+    [t("ae.nombre"), c.nombre],
+    [t("ae.id"), c.identificacion],
+    [t("ae.regimen"), c.regimen],
+    [t("ae.estado"), c.estado],
+    [t("ae.moroso"), c.moroso],
+    [t("ae.omiso"), c.omiso],
+    [t("ae.administracion"), c.administracionTributaria],
+  ]
+}
+
+export function constanciaConsulta(c) {
+  return [
+    [t("const.at"), fechaHora(c.consultadoEn)],
+    [t("const.ms"), c.cached ? t("const.msCached", { ms: c.ms }) : `${c.ms} ms`],
+    [t("const.generated"), fechaHora(c.generadoEn)],
+  ]
+}
+
+export function constanciaNota() {
+  return t("const.nota")
+}
+
+export function constanciaFileName(c) {
+  return `constancia_${c.identificacion}_${isoDate(new Date(c.consultadoEn))}.pdf`
+}
+
+export function constanciaPdf(c) {
+  const doc = createPdf({ title: t("const.pdfTitle", { id: c.identificacion }) })
+  const M = 48
+  const W = doc.width - M * 2
+  const BOTTOM = doc.height - M
+  let y = M
+
+  function ensure(h) {
+    if (y + h <= BOTTOM) return
+    doc.addPage()
+    y = M
+  }
+
+  function fields(rows) {
+    const labelW = 170
+    rows.forEach(([k, v]) => {
+      const lines = wrapText(v || "-", W - labelW, 10)
+      ensure(lines.length * 14)
+      doc.text(k, M, y + 10, { size: 10, style: "bold", gray: 0.3 })
+      lines.forEach((l, i) => doc.text(l, M + labelW, y + 10 + i * 14, { size: 10 }))
+      y += lines.length * 14 + 4
+    })
+  }
+
+  function heading(s) {
+    ensure(30)
+    y += 10
+    doc.text(s, M, y + 12, { size: 12, style: "bold" })
+    y += 18
+    doc.line(M, y, M + W, y)
+    y += 8
+  }
+
+  doc.text(t("const.title"), M, y + 18, { size: 18, style: "bold" })
+  y += 28
+  doc.text(t("const.sub"), M, y + 10, {
+    size: 10,
+    gray: 0.35,
+  })
+  y += 20
+
+  heading(t("const.contribuyente"))
+  fields(constanciaCampos(c))
+
+  heading(t("const.actividades", { count: c.actividades.length }))
+  const cols = [
+    { key: "codigo", label: t("col.codigo"), w: 70 },
+    { key: "descripcion", label: t("col.descripcion"), w: W - 70 - 80 - 70 },
+    { key: "tipo", label: t("col.tipo"), w: 80 },
+    { key: "estado", label: t("col.estado"), w: 70 },
+  ]
+  const tableHead = () => {
+    doc.rect(M, y, W, 18)
+    let x = M
+    cols.forEach((col) => {
+      doc.text(col.label, x + 4, y + 12.5, { size: 9, style: "bold" })
+      x += col.w
+    })
+    y += 22
+  }
+  tableHead()
+  if (!c.actividades.length) {
+    doc.text(t("const.noActividades"), M + 4, y + 9, { size: 9, gray: 0.4 })
+    y += 16
+  }
+  c.actividades.forEach((a) => {
+    const cells = cols.map((col) => wrapText(a[col.key], col.w - 8, 9))
+    const h = Math.max(...cells.map((l) => l.length)) * 12 + 4
+    if (y + h > BOTTOM) {
+      doc.addPage()
+      y = M
+      tableHead()
+    }
+    let x = M
+    cells.forEach((lines, i) => {
+      lines.forEach((l, j) => doc.text(l, x + 4, y + 9 + j * 12, { size: 9 }))
+      x += cols[i].w
+    })
+    y += h
+    doc.line(M, y - 2, M + W, y - 2, { gray: 0.85 })
+  })
+
+  heading(t("const.consulta"))
+  fields(constanciaConsulta(c))
+  ensure(30)
+  doc.text(t("const.hash"), M, y + 10, { size: 10, style: "bold", gray: 0.3 })
+  const hashSize = Math.min(9, (9 * (W - 170)) / textWidth(c.hash, 9, "mono"))
+  doc.text(c.hash, M + 170, y + 10, { size: hashSize, style: "mono" })
+  y += 24
+
+  const nota = wrapText(constanciaNota(), W, 8.5)
+  ensure(nota.length * 11 + 10)
+  y += 6
+  nota.forEach((l) => {
+    doc.text(l, M, y + 9, { size: 8.5, gray: 0.4 })
+    y += 11
+  })
+
+  return doc.toBlob()
+}
@@ -0,0 +1,55 @@
+/* ================= EXONERACIONES =================
+   Normaliza la respuesta de /fe/ex y revisa vigencia y cobertura CABYS.
+   Si el documento no trae lista de CABYS, no limita códigos.
+================================================ */
+
+// Avisar cuando falte poco para el vencimiento
+export const POR_VENCER_DIAS = 30
+
+const DAY = 24 * 60 * 60 * 1000
+
+function texto(v) {
+  if (v && typeof v === "object") return v.descripcion || v.codigo || ""
+  return v == null ? "" : String(v)
+}
+
+function fecha(v) {
+  if (!v) return null
+  const d = new Date(v)
+  return isNaN(d) ? null : d
+}
+
+export function normalizeExoneracion(json) {
+  const cabys = (Array.isArray(json?.cabys) ? json.cabys : [])
+    .map((c) => String(typeof c === "object" ? c?.codigo ?? "" : c).trim())
+    .filter(Boolean)
+  const porcentaje = Number(json?.porcentajeExoneracion ?? json?.porcentaje)
+  return {
+    autorizacion: json?.numeroDocumento || json?.autorizacion || "",
+    identificacion: String(json?.identificacion ?? ""),
+    tipoDocumento: texto(json?.tipoDocumento),
+    tipoAutorizacion: texto(json?.tipoAutorizacion),
+    institucion: json?.nombreInstitucion || "",
+    fechaEmision: fecha(json?.fechaEmision),
+    fechaVencimiento: fecha(json?.fechaVencimiento),
+    porcentaje: Number.isFinite(porcentaje) ? porcentaje : null,
+    cabys,
+    limitaCabys: json?.poseeCabys === true || cabys.length > 0,
+  }
+}
+
+// "vigente" | "porVencer" | "vencida" | "sinFecha"
+export function vigenciaExoneracion(ex, now = new Date()) {
+  if (!ex.fechaVencimiento) return "sinFecha"
+  const diff = ex.fechaVencimiento - now
+  if (diff < 0) return "vencida"
+  return diff <= POR_VENCER_DIAS * DAY ? "porVencer" : "vigente"
+}
+
+export function diasParaVencer(ex, now = new Date()) {
+  return ex.fechaVencimiento ? Math.ceil((ex.fechaVencimiento - now) / DAY) : null
+}
+
+export function cubreCabys(ex, codigo) {
+  return !ex.limitaCabys || ex.cabys.includes(String(codigo))
+}
@@ -0,0 +1,180 @@
+import { onlyDigits } from "./helpers.js"
+import { NotFoundError, fetchAe, fetchCabysByCode } from "./api.js"
+import { t } from "./i18n.js"
+
+/* ================= COMPROBANTES ELECTRÓNICOS (XML) =================
+   Lee FacturaElectronica / TiqueteElectronico / NotaCredito / NotaDebito (v4.3 y v4.4)
+   sin depender del namespace, y revisa líneas contra CABYS y el emisor contra AE.
+==================================================================== */
+
+// Etiquetas como claves i18n: el componente las traduce al mostrarlas
+const TIPOS_COMPROBANTE = {
+  FacturaElectronica: "fact.tipo.FacturaElectronica",
+  TiqueteElectronico: "fact.tipo.TiqueteElectronico",
+  NotaCreditoElectronica: "fact.tipo.NotaCreditoElectronica",
+  NotaDebitoElectronica: "fact.tipo.NotaDebitoElectronica",
+  FacturaElectronicaCompra: "fact.tipo.FacturaElectronicaCompra",
+  FacturaElectronicaExportacion: "fact.tipo.FacturaElectronicaExportacion",
+}
+
+// Hijos directos por nombre local (ignora prefijos/namespace)
+function children(el, name) {
+  return el ? [...el.children].filter((c) => c.localName === name) : []
+}
+
+function child(el, name) {
+  return children(el, name)[0] || null
+}
+
+// text(el, "Emisor", "Identificacion", "Numero")
+function text(el, ...path) {
+  let node = el
+  for (const p of path) {
+    node = child(node, p)
+    if (!node) return ""
+  }
+  return node.textContent.trim()
+}
+
+function num(s) {
+  const n = parseFloat(s)
+  return Number.isFinite(n) ? n : null
+}
+
+function parsePersona(el) {
+  if (!el) return null
+  return {
+    nombre: text(el, "Nombre"),
+    nombreComercial: text(el, "NombreComercial"),
+    tipoIdentificacion: text(el, "Identificacion", "Tipo"),
+    identificacion: onlyDigits(text(el, "Identificacion", "Numero")),
+    correo: text(el, "CorreoElectronico"),
+  }
+}
+
+// Suma de los campos numéricos de varios nodos (null si ninguno trae el dato)
+function sum(els, name) {
+  const vals = els.map((e) => num(text(e, name))).filter((n) => n !== null)
+  return vals.length ? vals.reduce((a, b) => a + b, 0) : null
+}
+
+// Códigos de impuesto que son IVA: 01 general, 07 cálculo especial, 08 bienes usados (factor).
+// La línea puede traer además selectivo de consumo, combustibles, etc.
+const CODIGOS_IVA = ["01", "07", "08"]
+
+function parseIva(el) {
+  return {
+    codigo: text(el, "Codigo"),
+    tarifa: num(text(el, "Tarifa")),
+    codigoTarifa: text(el, "CodigoTarifaIVA") || text(el, "CodigoTarifa"),
+    monto: num(text(el, "Monto")),
+    exonerado: !!child(el, "Exoneracion"),
+  }
+}
+
+function parseLinea(el) {
+  const ivas = children(el, "Impuesto").filter((i) => CODIGOS_IVA.includes(text(i, "Codigo")))
+  return {
+    numero: text(el, "NumeroLinea"),
+    // 4.4: CodigoCABYS; 4.3: Codigo
+    cabys: onlyDigits(text(el, "CodigoCABYS") || text(el, "Codigo")),
+    detalle: text(el, "Detalle"),
+    cantidad: num(text(el, "Cantidad")),
+    precioUnitario: num(text(el, "PrecioUnitario")),
+    montoTotalLinea: num(text(el, "MontoTotalLinea")),
+    // Cada IVA por aparte: las tarifas no se suman (dos de 13% no son 26%)
+    ivas: ivas.map(parseIva),
+    montoImpuesto: sum(ivas, "Monto"),
+  }
+}
+
+export function parseFacturaXml(xml) {
+  const doc = new DOMParser().parseFromString(xml, "application/xml")
+  if (doc.getElementsByTagName("parsererror").length) throw new Error(t("fact.err.xml"))
+
+  const root = doc.documentElement
+  const tipo = root.localName
+  if (!TIPOS_COMPROBANTE[tipo]) throw new Error(t("fact.err.root", { tipo }))
+
+  const resumen = child(root, "ResumenFactura")
+  return {
+    tipo,
+    tipoLabel: TIPOS_COMPROBANTE[tipo],
+    clave: text(root, "Clave"),
+    consecutivo: text(root, "NumeroConsecutivo"),
+    fecha: text(root, "FechaEmision"),
+    emisor: parsePersona(child(root, "Emisor")),
+    receptor: parsePersona(child(root, "Receptor")),
+    lineas: children(child(root, "DetalleServicio"), "LineaDetalle").map(parseLinea),
+    moneda: text(resumen, "CodigoTipoMoneda", "CodigoMoneda") || "CRC",
+    totalImpuesto: num(text(resumen, "TotalImpuesto")),
+    totalComprobante: num(text(resumen, "TotalComprobante")),
+  }
+}
+
+function finding(nivel, mensaje, linea = "") {
+  return { nivel, linea, mensaje }
+}
+
+async function checkEmisor(emisor) {
+  if (!emisor?.identificacion) return [finding("error", t("fact.f.sinEmisor"))]
+  try {
+    const ae = await fetchAe(emisor.identificacion)
+    const s = ae?.situacion || {}
+    const out = []
+    if (String(s.moroso).toUpperCase() === "SI") out.push(finding("error", t("fact.f.moroso")))
+    if (String(s.omiso).toUpperCase() === "SI") out.push(finding("error", t("fact.f.omiso")))
+    if (s.estado && !/^inscrito/i.test(s.estado)) {
+      out.push(finding("error", t("fact.f.inactivo", { estado: s.estado })))
+    }
+    if (!out.length) out.push(finding("ok", t("fact.f.alDia", { estado: s.estado || t("fact.f.sinEstado") })))
+    return out
+  } catch (e) {
+    if (e instanceof NotFoundError) {
+      return [finding("error", t("fact.f.noInscrito", { id: emisor.identificacion }))]
+    }
+    return [finding("warn", t("fact.f.emisorError", { error: e?.message || "error" }))]
+  }
+}
+
+async function checkLinea(l) {
+  const n = l.numero || "?"
+  if (!l.cabys) return [finding("error", t("fact.f.sinCabys"), n)]
+  if (l.cabys.length !== 13) return [finding("error", t("fact.f.cabysLargo", { cabys: l.cabys }), n)]
+
+  try {
+    const [c] = await fetchCabysByCode(l.cabys)
+    if (!c) return [finding("error", t("fact.f.cabysNoExiste", { cabys: l.cabys }), n)]
+    const esperado = Number(c.impuesto)
+    const out = []
+    const generales = l.ivas.filter((i) => i.codigo === "01").length
+    if (generales > 1) out.push(finding("warn", t("fact.f.ivaDuplicado", { count: generales }), n))
+    for (const iva of l.ivas) {
+      if (iva.codigo === "08") {
+        out.push(finding("warn", t("fact.f.ivaFactor"), n))
+      } else if (iva.tarifa === null) {
+        out.push(finding("warn", t("fact.f.sinImpuesto", { esperado }), n))
+      } else if (iva.tarifa !== esperado) {
+        const key = iva.exonerado ? "fact.f.ivaDistintoExo" : "fact.f.ivaDistinto"
+        out.push(finding("error", t(key, { tarifa: iva.tarifa, cabys: l.cabys, esperado }), n))
+      }
+    }
+    if (!l.ivas.length) out.push(finding("warn", t("fact.f.sinImpuesto", { esperado }), n))
+    if (!out.some((f) => f.nivel === "error") && l.ivas.some((i) => i.codigo !== "08" && i.tarifa === esperado)) {
+      out.push(finding("ok", t("fact.f.ivaOk", { cabys: l.cabys, esperado }), n))
+    }
+    return out
+  } catch (e) {
+    return [finding("warn", t("fact.f.cabysError", { cabys: l.cabys, error: e?.message || "error" }), n)]
+  }
+}
+
+// Hallazgos del comprobante: [{ nivel: "ok" | "warn" | "error", linea, mensaje }]
+export async function checkFactura(f) {
+  const emisor = await checkEmisor(f.emisor)
+  const lineas = []
+  // En serie: las líneas suelen repetir códigos y el cliente los cachea
+  for (const l of f.lineas) lineas.push(...(await checkLinea(l)))
+  if (!f.lineas.length) lineas.push(finding("warn", t("fact.f.sinLineas")))
+  return [...emisor, ...lineas]
+}
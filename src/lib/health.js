@@ -0,0 +1,106 @@
+import { NonJsonError, NotFoundError, probeService } from "./api.js"
+import { idbAddAll, idbDeleteWhere, idbGetAll } from "./idb.js"
+
+/* ================= MONITOR DE APIS =================
+   Cada dependencia se revisa por separado; las muestras (latencia + estado)
+   se guardan en IndexedDB por sesión del navegador para la gráfica y el uptime.
+==================================================== */
+
+// label y HEALTH_LABEL son claves de i18n (se traducen con t() al mostrarlas)
+export const HEALTH_SERVICES = [
+  { id: "ae", label: "health.svc.ae" },
+  { id: "cabys", label: "health.svc.cabys" },
+  { id: "tc", label: "health.svc.tc" },
+  { id: "gometa", label: "health.svc.gometa" },
+]
+
+// Umbrales de latencia
+export const SLOW_MS = 1500
+export const DEGRADED_MS = 4000
+
+export const HEALTH_LABEL = {
+  ok: "health.ok",
+  slow: "health.slow",
+  degraded: "health.degraded",
+  down: "health.down",
+}
+
+const SESSION_KEY = "hacienda-toolkit:sesion"
+const KEEP_DAYS = 7
+const MAX_SAMPLES = 120
+
+export function healthSessionId() {
+  try {
+    let id = sessionStorage.getItem(SESSION_KEY)
+    if (!id) {
+      id = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`
+      sessionStorage.setItem(SESSION_KEY, id)
+    }
+    return id
+  } catch {
+    return "sin-sesion"
+  }
+}
+
+// Responde pero mal (HTML, 404 en una consulta que debería existir) = degradado
+function classify(ms, error) {
+  if (error) {
+    return error instanceof NonJsonError || error instanceof NotFoundError ? "degraded" : "down"
+  }
+  if (ms >= DEGRADED_MS) return "degraded"
+  if (ms >= SLOW_MS) return "slow"
+  return "ok"
+}
+
+export async function checkService(id) {
+  const at = Date.now()
+  try {
+    const ms = await probeService(id)
+    return { service: id, at, ms, status: classify(ms) }
+  } catch (e) {
+    return { service: id, at, ms: null, status: classify(null, e), error: e?.message || "Error" }
+  }
+}
+
+export async function checkAllServices() {
+  return Promise.all(HEALTH_SERVICES.map((s) => checkService(s.id)))
+}
+
+export async function saveHealthSamples(results) {
+  const session = healthSessionId()
+  await idbAddAll(
+    "health",
+    results.map(({ service, at, ms, status }) => ({ session, service, at, ms, status }))
+  )
+}
+
+// Muestras de la sesión actual agrupadas por servicio; de paso limpia las viejas
+export async function loadHealthSamples() {
+  const session = healthSessionId()
+  const cutoff = Date.now() - KEEP_DAYS * 86_400_000
+  await idbDeleteWhere("health", (x) => x.at < cutoff)
+
+  const all = await idbGetAll("health")
+  const out = Object.fromEntries(HEALTH_SERVICES.map((s) => [s.id, []]))
+  all
+    .filter((x) => x.session === session && out[x.service])
+    .sort((a, b) => a.at - b.at)
+    .forEach((x) => out[x.service].push(x))
+  Object.keys(out).forEach((k) => (out[k] = out[k].slice(-MAX_SAMPLES)))
+  return out
+}
+
+export function appendSamples(bySvc, results) {
+  const next = { ...bySvc }
+  results.forEach((r) => {
+    next[r.service] = [...(next[r.service] || []), r].slice(-MAX_SAMPLES)
+  })
+  return next
+}
+
+// % de revisiones en que el servicio respondió (lento o degradado cuenta como arriba)
+export function uptime(samples) {
+  if (!samples?.length) return null
+  const up = samples.filter((x) => x.status !== "down").length
+  return (up / samples.length) * 100
+}
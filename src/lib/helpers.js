@@ -0,0 +1,166 @@
+import * as XLSX from "xlsx"
+import { t } from "./i18n.js"
+
+/* ================= HELPERS ================= */
+// Fecha local en formato YYYY-MM-DD (toISOString la pasaría a UTC)
+export function isoDate(d = new Date()) {
+  const p = (n) => String(n).padStart(2, "0")
+  return `${d.getFullYear()}-${p(d.getMonth() + 1)}-${p(d.getDate())}`
+}
+
+export function addDays(iso, days) {
+  const d = new Date(`${iso}T00:00:00`)
+  d.setDate(d.getDate() + days)
+  return isoDate(d)
+}
+
+// Monto escrito "a la tica": "1 234 567,89", "1.234.567,89" o "1234567.89".
+// Si vienen punto y coma, el último separador es el decimal; un separador repetido es de miles.
+// Devuelve null si no es un número.
+export function parseMontoCR(input) {
+  let s = String(input ?? "").replace(/[\s\u00a0\u202f₡$€]/g, "")
+  if (!s) return null
+  const lastDot = s.lastIndexOf(".")
+  const lastComma = s.lastIndexOf(",")
+  if (lastDot !== -1 && lastComma !== -1) {
+    const dec = lastDot > lastComma ? "." : ","
+    const miles = dec === "." ? "," : "."
+    s = s.split(miles).join("").replace(dec, ".")
+  } else {
+    const sep = lastDot !== -1 ? "." : lastComma !== -1 ? "," : null
+    if (sep) {
+      const parts = s.split(sep)
+      // "5.000" es miles; "5,000" en es-CR es decimal
+      const miles = parts.length > 2 || (sep === "." && parts[1].length === 3)
+      s = miles ? parts.join("") : parts.join(".")
+    }
+  }
+  if (!/^-?\d*\.?\d+$/.test(s)) return null
+  return Number(s)
+}
+
+// Minúsculas y sin tildes, para comparar texto ("Café" === "cafe")
+export function normalizeText(s) {
+  return String(s ?? "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+}
+
+export function onlyDigits(s) {
+  return (s || "").replace(/\D+/g, "")
+}
+
+// Tipo (P/S) y estado (A/I) de una actividad económica de AE, en el idioma activo
+export function actividadTipo(a) {
+  return t(a?.tipo === "P" ? "ae.tipo.P" : "ae.tipo.S")
+}
+
+export function actividadEstado(a) {
+  return t(a?.estado === "A" ? "ae.estado.A" : "ae.estado.I")
+}
+
+export async function copyText(text) {
+  try {
+    await navigator.clipboard.writeText(text)
+    return true
+  } catch {
+    try {
+      const ta = document.createElement("textarea")
+      ta.value = text
+      document.body.appendChild(ta)
+      ta.select()
+      document.execCommand("copy")
+      document.body.removeChild(ta)
+      return true
+    } catch {
+      return false
+    }
+  }
+}
+
+// delimiter: "," | ";" (Excel en es-CR) | "\t" (pegar en Sheets). bom: para que Excel lea UTF-8.
+export function toCsv(rows, headers, { delimiter = ",", bom = false } = {}) {
+  const esc = (v) => {
+    const s = v === null || v === undefined ? "" : String(v)
+    const t = s.replace(/"/g, '""')
+    return t.includes(delimiter) || /["\r\n]/.test(t) ? `"${t}"` : t
+  }
+  const head = headers.map(esc).join(delimiter)
+  const body = rows.map((r) => r.map(esc).join(delimiter)).join("\n")
+  return `${bom ? "\ufeff" : ""}${head}\n${body}\n`
+}
+
+// Aplana un objeto del API: { a: { b: 1 }, c: [1, 2] } → { "a.b": 1, c: "1 | 2" }
+export function flattenRecord(obj, prefix = "", out = {}) {
+  if (!obj || typeof obj !== "object") return out
+  Object.entries(obj).forEach(([k, v]) => {
+    const key = prefix ? `${prefix}.${k}` : k
+    if (Array.isArray(v)) {
+      out[key] = v.map((x) => (x && typeof x === "object" ? JSON.stringify(x) : x)).join(" | ")
+    } else if (v && typeof v === "object") {
+      flattenRecord(v, key, out)
+    } else {
+      out[key] = v
+    }
+  })
+  return out
+}
+
+export function downloadBlob(filename, blob) {
+  const url = URL.createObjectURL(blob)
+  const a = document.createElement("a")
+  a.href = url
+  a.download = filename
+  document.body.appendChild(a)
+  a.click()
+  a.remove()
+  URL.revokeObjectURL(url)
+}
+
+export function downloadXlsx(filename, sheetName, rows, headerOrder) {
+  downloadXlsxSheets(filename, [{ name: sheetName, rows, headers: headerOrder }])
+}
+
+// Libro con varias hojas: [{ name, rows, headers }]
+export function downloadXlsxSheets(filename, sheets) {
+  const wb = XLSX.utils.book_new()
+  sheets.forEach(({ name, rows, headers }) => {
+    const data = rows.map((r) => {
+      const obj = {}
+      headers.forEach((h) => (obj[h] = r[h] ?? ""))
+      return obj
+    })
+    const ws = XLSX.utils.json_to_sheet(data, { header: headers })
+    // Excel no acepta nombres de hoja de más de 31 caracteres
+    XLSX.utils.book_append_sheet(wb, ws, name.slice(0, 31))
+  })
+  const out = XLSX.write(wb, { bookType: "xlsx", type: "array" })
+  const blob = new Blob([out], {
+    type: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  })
+  downloadBlob(filename, blob)
+}
+
+// Lee un XLSX/CSV subido y devuelve las filas de la primera hoja como arrays.
+export async function readSheetRows(file) {
+  const buf = await file.arrayBuffer()
+  const wb = XLSX.read(buf, { type: "array" })
+  const ws = wb.Sheets[wb.SheetNames[0]]
+  if (!ws) return []
+  return XLSX.utils.sheet_to_json(ws, { header: 1, defval: "", raw: false })
+}
+
+// Corre `worker` sobre cada item con máximo `limit` en paralelo.
+// `shouldStop` permite cancelar a media corrida (los pendientes no arrancan).
+export async function runWithConcurrency(items, limit, worker, shouldStop = () => false) {
+  let next = 0
+  async function lane() {
+    while (next < items.length && !shouldStop()) {
+      const i = next++
+      await worker(items[i], i)
+    }
+  }
+  const lanes = Array.from({ length: Math.min(limit, items.length) }, lane)
+  await Promise.all(lanes)
+}
@@ -0,0 +1,117 @@
+import { t } from "./i18n.js"
+
+/* ================= HISTORIAL Y FAVORITOS =================
+   Consultas recientes y favoritas por panel, guardadas en localStorage.
+   Forma: { cabys: { recent: [], favorites: [] }, ae: {…}, cedulas: {…} }
+   Cada entrada: { q, label, at } — `q` es lo que se vuelve a consultar.
+========================================================= */
+
+const STORAGE_KEY = "hacienda-toolkit:historial"
+const MAX_RECENT = 12
+const EXPORT_VERSION = 1
+
+export const HISTORY_PANELS = ["cabys", "ae", "cedulas"]
+
+function emptyHistory() {
+  return Object.fromEntries(HISTORY_PANELS.map((p) => [p, { recent: [], favorites: [] }]))
+}
+
+function cleanEntry(e) {
+  const q = String(e?.q ?? "").trim()
+  if (!q) return null
+  return { q, label: String(e?.label ?? "").trim(), at: e?.at || new Date().toISOString() }
+}
+
+function cleanList(list) {
+  return (Array.isArray(list) ? list : []).map(cleanEntry).filter(Boolean)
+}
+
+function sanitize(raw) {
+  const h = emptyHistory()
+  HISTORY_PANELS.forEach((p) => {
+    h[p].recent = cleanList(raw?.[p]?.recent).slice(0, MAX_RECENT)
+    h[p].favorites = cleanList(raw?.[p]?.favorites)
+  })
+  return h
+}
+
+export function loadHistory() {
+  try {
+    return sanitize(JSON.parse(localStorage.getItem(STORAGE_KEY) || "null"))
+  } catch {
+    return emptyHistory()
+  }
+}
+
+export function saveHistory(h) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(h))
+  } catch {
+    // Sin espacio o modo privado: el historial queda solo en memoria
+  }
+}
+
+function withoutQ(list, q) {
+  return list.filter((e) => e.q !== q)
+}
+
+export function addRecent(h, panel, entry) {
+  const e = cleanEntry(entry)
+  if (!e) return h
+  const recent = [e, ...withoutQ(h[panel].recent, e.q)].slice(0, MAX_RECENT)
+  // Si ya es favorito, se refresca la etiqueta (ej. nombre del contribuyente)
+  const favorites = h[panel].favorites.map((f) => (f.q === e.q && e.label ? { ...f, label: e.label } : f))
+  return { ...h, [panel]: { recent, favorites } }
+}
+
+export function isFavorite(h, panel, q) {
+  return h[panel].favorites.some((f) => f.q === q)
+}
+
+export function toggleFavorite(h, panel, entry) {
+  const e = cleanEntry(entry)
+  if (!e) return h
+  const favs = h[panel].favorites
+  const favorites = isFavorite(h, panel, e.q) ? withoutQ(favs, e.q) : [...favs, e]
+  return { ...h, [panel]: { ...h[panel], favorites } }
+}
+
+export function removeRecent(h, panel, q) {
+  return { ...h, [panel]: { ...h[panel], recent: withoutQ(h[panel].recent, q) } }
+}
+
+export function exportHistory(h) {
+  return JSON.stringify(
+    { app: "hacienda-toolkit", version: EXPORT_VERSION, exportedAt: new Date().toISOString(), ...h },
+    null,
+    2
+  )
+}
+
+// Une el JSON importado con lo que ya hay (sin duplicar por `q`)
+export function importHistory(h, text) {
+  let raw
+  try {
+    raw = JSON.parse(text)
+  } catch {
+    throw new Error(t("history.importBadJson"))
+  }
+  if (!raw || typeof raw !== "object" || !HISTORY_PANELS.some((p) => raw[p])) {
+    throw new Error(t("history.importEmpty"))
+  }
+
+  const incoming = sanitize(raw)
+  const merged = emptyHistory()
+  HISTORY_PANELS.forEach((p) => {
+    const favs = [...h[p].favorites]
+    incoming[p].favorites.forEach((f) => {
+      if (!favs.some((x) => x.q === f.q)) favs.push(f)
+    })
+    const recent = [...h[p].recent]
+    incoming[p].recent.forEach((r) => {
+      if (!recent.some((x) => x.q === r.q)) recent.push(r)
+    })
+    merged[p] = { favorites: favs, recent: recent.slice(0, MAX_RECENT) }
+  })
+  return merged
+}
@@ -0,0 +1,111 @@
+import es from "../i18n/es.js"
+import en from "../i18n/en.js"
+
+/* ================= IDIOMA =================
+   Catálogos de mensajes (src/i18n) y formatos con Intl según el idioma elegido.
+   El idioma vive en este módulo y no en React para que lib/ formatee igual que la UI;
+   los componentes se suscriben con useLang (src/i18n/useLang.js).
+========================================== */
+
+export const LANGS = {
+  es: { label: "Español", locale: "es-CR" },
+  en: { label: "English", locale: "en-US" },
+}
+
+const CATALOGS = { es, en }
+const STORAGE_KEY = "hacienda-toolkit:idioma"
+
+// Lo guardado; si no hay, el idioma del navegador (todo lo que no sea inglés va en español).
+// Fuera del navegador (CLI, server/) siempre español: Node 21+ también define navigator.language
+// y la salida de los scripts no puede cambiar según la versión o el locale de la máquina.
+function initialLang() {
+  if (typeof document === "undefined") return "es"
+  try {
+    const saved = localStorage.getItem(STORAGE_KEY)
+    if (LANGS[saved]) return saved
+  } catch {
+    // sin localStorage (modo privado)
+  }
+  const nav = typeof navigator === "undefined" ? "" : navigator.language || ""
+  return /^en\b/i.test(nav) ? "en" : "es"
+}
+
+let lang = initialLang()
+const listeners = new Set()
+
+export function getLang() {
+  return lang
+}
+
+export function locale() {
+  return LANGS[lang].locale
+}
+
+export function setLang(next) {
+  if (!LANGS[next] || next === lang) return
+  lang = next
+  try {
+    localStorage.setItem(STORAGE_KEY, next)
+  } catch {
+    // se usa igual, solo que no se recuerda
+  }
+  if (typeof document !== "undefined") document.documentElement.lang = next
+  listeners.forEach((fn) => fn())
+}
+
+export function subscribeLang(fn) {
+  listeners.add(fn)
+  return () => listeners.delete(fn)
+}
+
+/* ================= MENSAJES ================= */
+// t("cabys.pager", { page: 2, ... }) reemplaza {page}. Lo que falte en inglés cae al español
+// y, si tampoco está, se muestra la clave.
+export function t(key, params) {
+  const msg = CATALOGS[lang][key] ?? es[key] ?? key
+  if (!params) return msg
+  return msg.replace(/\{(\w+)\}/g, (m, k) => (params[k] ?? m))
+}
+
+/* ================= FORMATOS ================= */
+function toDate(v) {
+  const d = v instanceof Date ? v : new Date(v)
+  return isNaN(d) ? null : d
+}
+
+// "19 de octubre de 2026" / "October 19, 2026". Si no es una fecha, devuelve el texto tal cual.
+export function formatDate(fecha) {
+  if (!fecha) return ""
+  const d = toDate(fecha)
+  if (!d) return String(fecha)
+  return d.toLocaleDateString(locale(), { day: "numeric", month: "long", year: "numeric" })
+}
+
+export function formatDateTime(fecha) {
+  if (!fecha) return ""
+  const d = toDate(fecha)
+  if (!d) return String(fecha)
+  return d.toLocaleString(locale(), { dateStyle: "medium", timeStyle: "short" })
+}
+
+export function formatNumber(n, opts) {
+  if (!Number.isFinite(n)) return ""
+  return new Intl.NumberFormat(locale(), opts).format(n)
+}
+
+// Montos con símbolo de la moneda (₡, $, €) y 2 decimales
+export function formatMoney(n, currency = "CRC") {
+  return formatNumber(n, {
+    style: "currency",
+    currency,
+    currencyDisplay: "narrowSymbol",
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+  })
+}
+
+// Recibe el porcentaje como viene del API (13 → "13 %" / "13%")
+export function formatPercent(n) {
+  const v = typeof n === "number" ? n : parseFloat(n)
+  return formatNumber(v / 100, { style: "percent", maximumFractionDigits: 2 })
+}
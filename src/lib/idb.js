@@ -0,0 +1,118 @@
+import { t } from "./i18n.js"
+
+/* ================= INDEXEDDB =================
+   Envoltorio mínimo con promesas sobre una sola base local.
+   Para agregar un store: sumarlo a STORES y subir DB_VERSION.
+============================================== */
+
+const DB_NAME = "hacienda-toolkit"
+const DB_VERSION = 3
+
+const STORES = {
+  cabys: { keyPath: "codigo" },
+  meta: { keyPath: "key" },
+  health: { keyPath: "id", autoIncrement: true },
+  watchlist: { keyPath: "id" },
+  watchlog: { keyPath: "seq", autoIncrement: true },
+}
+
+let dbPromise = null
+
+function reqToPromise(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result)
+    req.onerror = () => reject(req.error)
+  })
+}
+
+export function openDb() {
+  if (dbPromise) return dbPromise
+  dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === "undefined") {
+      reject(new Error(t("idb.unavailable")))
+      return
+    }
+    const req = indexedDB.open(DB_NAME, DB_VERSION)
+    req.onupgradeneeded = () => {
+      const db = req.result
+      Object.entries(STORES).forEach(([name, opts]) => {
+        if (!db.objectStoreNames.contains(name)) db.createObjectStore(name, opts)
+      })
+    }
+    req.onsuccess = () => resolve(req.result)
+    req.onerror = () => reject(req.error)
+  })
+  dbPromise.catch(() => (dbPromise = null))
+  return dbPromise
+}
+
+export async function idbGet(store, key) {
+  const db = await openDb()
+  return reqToPromise(db.transaction(store).objectStore(store).get(key))
+}
+
+export async function idbGetAll(store) {
+  const db = await openDb()
+  return reqToPromise(db.transaction(store).objectStore(store).getAll())
+}
+
+export async function idbPut(store, value) {
+  const db = await openDb()
+  return reqToPromise(db.transaction(store, "readwrite").objectStore(store).put(value))
+}
+
+// Reemplaza todo el contenido del store en una sola transacción
+export async function idbReplaceAll(store, values) {
+  const db = await openDb()
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(store, "readwrite")
+    const os = tx.objectStore(store)
+    os.clear()
+    values.forEach((v) => os.put(v))
+    tx.oncomplete = () => resolve(values.length)
+    tx.onerror = () => reject(tx.error)
+    tx.onabort = () => reject(tx.error)
+  })
+}
+
+export async function idbAddAll(store, values) {
+  const db = await openDb()
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(store, "readwrite")
+    const os = tx.objectStore(store)
+    values.forEach((v) => os.add(v))
+    tx.oncomplete = () => resolve(values.length)
+    tx.onerror = () => reject(tx.error)
+  })
+}
+
+// Borra los registros para los que `shouldDelete(valor)` da true
+export async function idbDeleteWhere(store, shouldDelete) {
+  const db = await openDb()
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(store, "readwrite")
+    const req = tx.objectStore(store).openCursor()
+    let n = 0
+    req.onsuccess = () => {
+      const cursor = req.result
+      if (!cursor) return
+      if (shouldDelete(cursor.value)) {
+        cursor.delete()
+        n++
+      }
+      cursor.continue()
+    }
+    tx.oncomplete = () => resolve(n)
+    tx.onerror = () => reject(tx.error)
+  })
+}
+
+export async function idbClear(store) {
+  const db = await openDb()
+  return reqToPromise(db.transaction(store, "readwrite").objectStore(store).clear())
+}
+
+export async function idbDelete(store, key) {
+  const db = await openDb()
+  return reqToPromise(db.transaction(store, "readwrite").objectStore(store).delete(key))
+}
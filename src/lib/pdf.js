@@ -0,0 +1,176 @@
+/* ================= PDF =================
+   Generador mínimo de PDF (sin librerías): texto en Helvetica/Courier, líneas y
+   varias páginas A4. Alcanza para constancias y reportes de una columna.
+   Coordenadas en puntos desde la esquina superior izquierda.
+======================================== */
+
+export const A4 = { width: 595.28, height: 841.89 }
+
+// Anchos de Helvetica (AFM, 1/1000 em) para los caracteres 32..126
+const HELVETICA = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584,
+]
+
+const HELVETICA_BOLD = [
+  278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+  975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+  333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+  611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584,
+]
+
+const FONTS = {
+  regular: { key: "F1", base: "Helvetica", widths: HELVETICA },
+  bold: { key: "F2", base: "Helvetica-Bold", widths: HELVETICA_BOLD },
+  mono: { key: "F3", base: "Courier", widths: null },
+}
+
+// Unicode → WinAnsiEncoding para lo que no es Latin-1
+const WIN_ANSI = {
+  "€": 0x80, "‚": 0x82, "„": 0x84, "…": 0x85, "•": 0x95, "–": 0x96, "—": 0x97,
+  "‘": 0x91, "’": 0x92, "“": 0x93, "”": 0x94, "™": 0x99,
+}
+
+function toWinAnsi(str) {
+  let out = ""
+  for (const ch of String(str ?? "")) {
+    const code = ch.charCodeAt(0)
+    if (WIN_ANSI[ch]) out += String.fromCharCode(WIN_ANSI[ch])
+    else if (ch === "₡") out += "CRC "
+    else if (code < 256 && (code >= 32 || code === 9)) out += ch
+    else out += "?"
+  }
+  return out
+}
+
+function escapePdf(s) {
+  return s.replace(/[\\()]/g, (c) => `\\${c}`)
+}
+
+function charWidth(ch, font) {
+  if (!font.widths) return 600
+  // Letras con tilde: mismo ancho que la letra base
+  const base = ch.normalize("NFD")[0]
+  const code = base.charCodeAt(0)
+  return code >= 32 && code <= 126 ? font.widths[code - 32] : 556
+}
+
+export function textWidth(str, size, style = "regular") {
+  const font = FONTS[style]
+  let w = 0
+  for (const ch of String(str ?? "")) w += charWidth(ch, font)
+  return (w * size) / 1000
+}
+
+// Parte el texto en líneas que quepan en `width` (corta palabras muy largas)
+export function wrapText(str, width, size, style = "regular") {
+  const lines = []
+  String(str ?? "")
+    .split("\n")
+    .forEach((para) => {
+      let line = ""
+      para.split(/\s+/).forEach((word) => {
+        const next = line ? `${line} ${word}` : word
+        if (textWidth(next, size, style) <= width) {
+          line = next
+          return
+        }
+        if (line) lines.push(line)
+        line = word
+        while (textWidth(line, size, style) > width && line.length > 1) {
+          let cut = line.length - 1
+          while (cut > 1 && textWidth(line.slice(0, cut), size, style) > width) cut--
+          lines.push(line.slice(0, cut))
+          line = line.slice(cut)
+        }
+      })
+      lines.push(line)
+    })
+  return lines
+}
+
+function num(n) {
+  return Number(n.toFixed(2)).toString()
+}
+
+export function createPdf({ width = A4.width, height = A4.height, title = "" } = {}) {
+  const pages = [[]]
+  const current = () => pages[pages.length - 1]
+
+  return {
+    width,
+    height,
+
+    addPage() {
+      pages.push([])
+    },
+
+    text(str, x, y, { size = 10, style = "regular", gray = 0 } = {}) {
+      const font = FONTS[style]
+      current().push(
+        `BT ${num(gray)} g /${font.key} ${num(size)} Tf ${num(x)} ${num(height - y)} Td (${escapePdf(toWinAnsi(str))}) Tj ET`
+      )
+    },
+
+    line(x1, y1, x2, y2, { lineWidth = 0.5, gray = 0.6 } = {}) {
+      current().push(
+        `${num(gray)} G ${num(lineWidth)} w ${num(x1)} ${num(height - y1)} m ${num(x2)} ${num(height - y2)} l S`
+      )
+    },
+
+    rect(x, y, w, h, { gray = 0.93 } = {}) {
+      current().push(`${num(gray)} g ${num(x)} ${num(height - y - h)} ${num(w)} ${num(h)} re f`)
+    },
+
+    toBlob() {
+      // 1 catálogo, 2 páginas, 3-5 fuentes, luego página + contenido por cada página
+      const objects = []
+      const fontIds = {}
+      Object.values(FONTS).forEach((f, i) => {
+        fontIds[f.key] = 3 + i
+        objects[2 + i] = `<< /Type /Font /Subtype /Type1 /BaseFont /${f.base} /Encoding /WinAnsiEncoding >>`
+      })
+      const fontRes = Object.entries(fontIds)
+        .map(([k, id]) => `/${k} ${id} 0 R`)
+        .join(" ")
+
+      const kids = []
+      pages.forEach((ops, i) => {
+        const pageId = 6 + i * 2
+        const contentId = pageId + 1
+        const stream = ops.join("\n")
+        kids.push(`${pageId} 0 R`)
+        objects[pageId - 1] =
+          `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${num(width)} ${num(height)}] ` +
+          `/Resources << /Font << ${fontRes} >> >> /Contents ${contentId} 0 R >>`
+        objects[contentId - 1] = `<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`
+      })
+      objects[0] = "<< /Type /Catalog /Pages 2 0 R >>"
+      objects[1] = `<< /Type /Pages /Kids [${kids.join(" ")}] /Count ${pages.length} >>`
+      const infoId = objects.length + 1
+      objects.push(`<< /Title (${escapePdf(toWinAnsi(title))}) /Producer (hacienda-toolkit) >>`)
+
+      let out = "%PDF-1.4\n%\xe2\xe3\xcf\xd3\n"
+      const offsets = objects.map((obj, i) => {
+        const at = out.length
+        out += `${i + 1} 0 obj\n${obj}\nendobj\n`
+        return at
+      })
+      const xref = out.length
+      out += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`
+      out += offsets.map((o) => `${String(o).padStart(10, "0")} 00000 n \n`).join("")
+      out += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info ${infoId} 0 R >>\nstartxref\n${xref}\n%%EOF\n`
+
+      // Todo quedó en caracteres de un byte (WinAnsi), así que el largo es el de bytes
+      const bytes = new Uint8Array(out.length)
+      for (let i = 0; i < out.length; i++) bytes[i] = out.charCodeAt(i)
+      return new Blob([bytes], { type: "application/pdf" })
+    },
+  }
+}
@@ -0,0 +1,256 @@
+import { parseMontoCR } from "./helpers.js"
+import { t } from "./i18n.js"
+
+/* ================= PROFORMA =================
+   Líneas de factura con el IVA que indica CABYS. Los montos se llevan a la moneda
+   del documento con el tipo de cambio de venta y se redondean a 5 decimales como en FE.
+   La exoneración es el % del IVA de la línea que se exonera (100 = exenta).
+=========================================== */
+
+export const MONEDAS = ["CRC", "USD"]
+
+// CodigoTarifaIVA (FE 4.4) según la tarifa de CABYS
+const CODIGO_TARIFA = { 0: "01", 0.5: "09", 1: "02", 2: "03", 4: "04", 8: "07", 13: "08" }
+
+const STORAGE_KEY = "hacienda-toolkit:proforma"
+
+let seq = 0
+
+export function newLinea(patch = {}) {
+  seq += 1
+  return {
+    id: `${Date.now().toString(36)}-${seq}`,
+    cabys: "",
+    descripcion: "",
+    impuesto: null,
+    cantidad: "1",
+    unidad: "Unid",
+    precio: "",
+    moneda: "CRC",
+    descuento: "",
+    exoneracion: "",
+    ...patch,
+  }
+}
+
+function lineaVacia(l) {
+  return !l.cabys && !l.descripcion && !l.precio
+}
+
+// Agrega un resultado de CABYS como línea (reusa la última si está vacía)
+export function addCabysLinea(p, c) {
+  const datos = { cabys: c.codigo, descripcion: c.descripcion, impuesto: Number(c.impuesto) }
+  const last = p.lineas[p.lineas.length - 1]
+  if (last && lineaVacia(last)) {
+    return { ...p, lineas: [...p.lineas.slice(0, -1), { ...last, ...datos }] }
+  }
+  return { ...p, lineas: [...p.lineas, newLinea(datos)] }
+}
+
+export function loadProforma() {
+  try {
+    const p = JSON.parse(localStorage.getItem(STORAGE_KEY) || "null")
+    if (p && Array.isArray(p.lineas)) return { moneda: p.moneda || "CRC", lineas: p.lineas }
+  } catch {
+    // borrador dañado: se empieza de cero
+  }
+  return { moneda: "CRC", lineas: [newLinea()] }
+}
+
+export function saveProforma(p) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(p))
+  } catch {
+    // sin espacio: el borrador solo queda en memoria
+  }
+}
+
+function round5(n) {
+  return Math.round(n * 1e5) / 1e5
+}
+
+function pct(s) {
+  const n = parseMontoCR(s)
+  return n === null ? 0 : Math.min(100, Math.max(0, n))
+}
+
+// Factor para pasar `moneda` a la moneda del documento; null si falta el tipo de cambio
+function factor(moneda, docMoneda, usd) {
+  if (moneda === docMoneda) return 1
+  if (!usd) return null
+  return moneda === "USD" ? usd : 1 / usd
+}
+
+// Cálculo de una línea ya en la moneda del documento
+export function calcLinea(l, docMoneda, usd) {
+  const cantidad = parseMontoCR(l.cantidad) ?? 0
+  const precioOrig = parseMontoCR(l.precio) ?? 0
+  const f = factor(l.moneda, docMoneda, usd)
+  const errores = []
+  if (f === null) errores.push(t("prof.err.fx"))
+  if (l.impuesto === null) errores.push(t("prof.err.cabys"))
+
+  const precio = round5(precioOrig * (f ?? 0))
+  const montoTotal = round5(cantidad * precio)
+  const descuento = round5((montoTotal * pct(l.descuento)) / 100)
+  const subTotal = round5(montoTotal - descuento)
+  const tarifa = Number(l.impuesto ?? 0)
+  const impuesto = round5((subTotal * tarifa) / 100)
+  const tarifaExonerada = round5((tarifa * pct(l.exoneracion)) / 100)
+  const exonerado = round5((subTotal * tarifaExonerada) / 100)
+  const impuestoNeto = round5(impuesto - exonerado)
+
+  return {
+    cantidad,
+    precio,
+    montoTotal,
+    descuento,
+    subTotal,
+    tarifa,
+    impuesto,
+    tarifaExonerada,
+    exonerado,
+    impuestoNeto,
+    total: round5(subTotal + impuestoNeto),
+    errores,
+  }
+}
+
+// Totales y desglose de IVA por tarifa (las líneas en blanco no cuentan)
+export function calcProforma(lineas, docMoneda, usd) {
+  const calc = lineas.filter((l) => !lineaVacia(l)).map((l) => ({ linea: l, c: calcLinea(l, docMoneda, usd) }))
+  const sum = (k) => round5(calc.reduce((acc, { c }) => acc + c[k], 0))
+
+  const porTarifa = new Map()
+  calc.forEach(({ c }) => {
+    const x = porTarifa.get(c.tarifa) || { tarifa: c.tarifa, base: 0, impuesto: 0, exonerado: 0, neto: 0 }
+    x.base = round5(x.base + c.subTotal)
+    x.impuesto = round5(x.impuesto + c.impuesto)
+    x.exonerado = round5(x.exonerado + c.exonerado)
+    x.neto = round5(x.neto + c.impuestoNeto)
+    porTarifa.set(c.tarifa, x)
+  })
+
+  return {
+    lineas: calc,
+    totalVenta: sum("montoTotal"),
+    totalDescuentos: sum("descuento"),
+    totalVentaNeta: sum("subTotal"),
+    ivaPorTarifa: [...porTarifa.values()].sort((a, b) => b.tarifa - a.tarifa),
+    totalExonerado: sum("exonerado"),
+    totalImpuesto: sum("impuestoNeto"),
+    totalComprobante: sum("total"),
+  }
+}
+
+function descuentoFe(monto) {
+  return { MontoDescuento: monto, CodigoDescuento: "07", NaturalezaDescuento: "Descuento comercial" }
+}
+
+// Estructura parecida a DetalleServicio + ResumenFactura de FE 4.4 (borrador, no es un XML firmado)
+export function proformaFe(lineas, docMoneda, usd) {
+  const r = calcProforma(lineas, docMoneda, usd)
+  const codigoTarifa = (tarifa) => CODIGO_TARIFA[tarifa] || ""
+
+  const LineaDetalle = r.lineas.map(({ linea: l, c }, i) => {
+    const impuesto = {
+      Codigo: "01",
+      CodigoTarifaIVA: codigoTarifa(c.tarifa),
+      Tarifa: c.tarifa,
+      Monto: c.impuesto,
+    }
+    if (c.exonerado > 0) {
+      impuesto.Exoneracion = { TarifaExonerada: c.tarifaExonerada, MontoExoneracion: c.exonerado }
+    }
+    return {
+      NumeroLinea: i + 1,
+      CodigoCABYS: l.cabys,
+      Cantidad: c.cantidad,
+      UnidadMedida: l.unidad || "Unid",
+      Detalle: l.descripcion,
+      PrecioUnitario: c.precio,
+      MontoTotal: c.montoTotal,
+      ...(c.descuento > 0 ? { Descuento: [descuentoFe(c.descuento)] } : {}),
+      SubTotal: c.subTotal,
+      BaseImponible: c.subTotal,
+      Impuesto: [impuesto],
+      ImpuestoNeto: c.impuestoNeto,
+      MontoTotalLinea: c.total,
+    }
+  })
+
+  return {
+    DetalleServicio: { LineaDetalle },
+    ResumenFactura: {
+      CodigoTipoMoneda: { CodigoMoneda: docMoneda, TipoCambio: docMoneda === "CRC" ? 1 : usd || null },
+      TotalVenta: r.totalVenta,
+      TotalDescuentos: r.totalDescuentos,
+      TotalVentaNeta: r.totalVentaNeta,
+      TotalDesgloseImpuesto: r.ivaPorTarifa.map((x) => ({
+        Codigo: "01",
+        CodigoTarifaIVA: codigoTarifa(x.tarifa),
+        TotalMontoImpuesto: x.neto,
+      })),
+      TotalExonerado: r.totalExonerado,
+      TotalImpuesto: r.totalImpuesto,
+      TotalComprobante: r.totalComprobante,
+    },
+  }
+}
+
+const LINEA_HEADERS = [
+  "linea",
+  "cabys",
+  "detalle",
+  "cantidad",
+  "unidad",
+  "moneda_original",
+  "precio_original",
+  "precio_unitario",
+  "monto_total",
+  "descuento",
+  "subtotal",
+  "tarifa_iva",
+  "iva",
+  "exoneracion",
+  "iva_neto",
+  "total_linea",
+]
+
+// Hojas para downloadXlsxSheets: líneas con sus cálculos y el resumen por tarifa
+export function proformaSheets(lineas, docMoneda, usd) {
+  const r = calcProforma(lineas, docMoneda, usd)
+  const rows = r.lineas.map(({ linea: l, c }, i) => ({
+    linea: i + 1,
+    cabys: l.cabys,
+    detalle: l.descripcion,
+    cantidad: c.cantidad,
+    unidad: l.unidad,
+    moneda_original: l.moneda,
+    precio_original: parseMontoCR(l.precio) ?? 0,
+    precio_unitario: c.precio,
+    monto_total: c.montoTotal,
+    descuento: c.descuento,
+    subtotal: c.subTotal,
+    tarifa_iva: `${c.tarifa}%`,
+    iva: c.impuesto,
+    exoneracion: c.exonerado,
+    iva_neto: c.impuestoNeto,
+    total_linea: c.total,
+  }))
+  const resumen = [
+    { concepto: t("prof.sum.moneda"), valor: docMoneda },
+    { concepto: t("prof.sum.tipoCambio"), valor: usd || "" },
+    { concepto: t("prof.totalVenta"), valor: r.totalVenta },
+    { concepto: t("prof.descuentos"), valor: r.totalDescuentos },
+    { concepto: t("prof.sum.ventaNeta"), valor: r.totalVentaNeta },
+    ...r.ivaPorTarifa.map((x) => ({ concepto: t("prof.sum.iva", { tarifa: x.tarifa, base: x.base }), valor: x.neto })),
+    { concepto: t("prof.sum.exonerado"), valor: r.totalExonerado },
+    { concepto: t("prof.sum.totalIva"), valor: r.totalImpuesto },
+    { concepto: t("prof.total"), valor: r.totalComprobante },
+  ]
+  return [
+    { name: "Lineas", rows, headers: LINEA_HEADERS },
+    { name: "Resumen", rows: resumen, headers: ["concepto", "valor"] },
+  ]
+}
@@ -0,0 +1,134 @@
+import { aeResumen } from "./api.js"
+import { actividadEstado, actividadTipo } from "./helpers.js"
+import { t } from "./i18n.js"
+import { HEALTH_LABEL, HEALTH_SERVICES, loadHealthSamples } from "./health.js"
+
+/* ================= EXPORTAR SESIÓN =================
+   Todo lo consultado en pantalla (AE, CABYS, gometa) en un solo libro XLSX
+   o en un JSON con la misma estructura, con hora, tipo de cambio y latencias.
+================================================== */
+
+export const SESSION_SCHEMA = "hacienda-toolkit/sesion@1"
+
+function actividadRow(a) {
+  return {
+    codigo: a.codigo,
+    descripcion: a.descripcion,
+    tipo: actividadTipo(a),
+    estado: actividadEstado(a),
+  }
+}
+
+// Última revisión de cada servicio del monitor de estado (si hay IndexedDB)
+async function latencias() {
+  const samples = await loadHealthSamples().catch(() => null)
+  if (!samples) return []
+  return HEALTH_SERVICES.map((s) => {
+    const last = samples[s.id]?.[samples[s.id].length - 1]
+    return {
+      servicio: t(s.label),
+      estado: t(last ? HEALTH_LABEL[last.status] : "health.noData"),
+      ms: last?.ms ?? null,
+      revisado: last ? new Date(last.at).toISOString() : null,
+    }
+  })
+}
+
+export async function buildSession({ ae, cabys, cedulas, fx }) {
+  return {
+    schema: SESSION_SCHEMA,
+    generadoEn: new Date().toISOString(),
+    tipoCambio: fx ? { compra: fx.compra, venta: fx.venta, fecha: fx.fecha } : null,
+    latencias: await latencias(),
+    ae: ae?.data
+      ? {
+          identificacion: ae.identificacion,
+          ...aeResumen(ae.data),
+          consultadoEn: ae.meta?.at ? new Date(ae.meta.at).toISOString() : null,
+          ms: ae.meta?.ms ?? null,
+          actividades: (ae.data.actividades || []).map(actividadRow),
+        }
+      : null,
+    cabys: cabys?.items?.length
+      ? {
+          consulta: cabys.query,
+          origen: cabys.source,
+          resultados: cabys.items.map((c) => ({
+            codigo: c.codigo,
+            descripcion: c.descripcion,
+            impuesto: c.impuesto,
+          })),
+        }
+      : null,
+    cedulas: cedulas?.items?.length
+      ? {
+          consulta: cedulas.query,
+          resultados: cedulas.items.map((x) => ({ cedula: x.cedula, nombre: x.nombre, tipo: x.tipo })),
+        }
+      : null,
+  }
+}
+
+export function sessionIsEmpty(s) {
+  return !s.ae && !s.cabys && !s.cedulas
+}
+
+export function sessionJson(s) {
+  return JSON.stringify(s, null, 2)
+}
+
+// Hojas para downloadXlsxSheets; las de paneles sin datos no se incluyen.
+// Etiquetas y nombres de hoja en el idioma de la pantalla; los encabezados de columna no cambian.
+export function sessionSheets(s) {
+  const meta = [
+    { clave: t("session.meta.generado"), valor: s.generadoEn },
+    { clave: t("session.meta.tcCompra"), valor: s.tipoCambio?.compra ?? "" },
+    { clave: t("session.meta.tcVenta"), valor: s.tipoCambio?.venta ?? "" },
+    { clave: t("session.meta.tcFecha"), valor: s.tipoCambio?.fecha ?? "" },
+    ...(s.ae ? [{ clave: t("session.meta.aeMs"), valor: s.ae.ms ?? "" }] : []),
+    ...s.latencias.map((l) => ({
+      clave: t("session.meta.latencia", { servicio: l.servicio }),
+      valor: l.ms === null ? l.estado : `${l.ms} — ${l.estado}`,
+    })),
+    ...(s.cabys ? [{ clave: t("session.meta.cabys"), valor: s.cabys.consulta }] : []),
+    ...(s.cedulas ? [{ clave: t("session.meta.gometa"), valor: s.cedulas.consulta }] : []),
+  ]
+
+  const sheets = [{ name: t("session.sheet.meta"), rows: meta, headers: ["clave", "valor"] }]
+
+  if (s.ae) {
+    const campos = [
+      [t("ae.id"), s.ae.identificacion],
+      [t("ae.nombre"), s.ae.nombre],
+      [t("ae.regimen"), s.ae.regimen],
+      [t("ae.estado"), s.ae.estado],
+      [t("ae.moroso"), s.ae.moroso],
+      [t("ae.omiso"), s.ae.omiso],
+      [t("ae.administracion"), s.ae.administracionTributaria],
+      [t("session.consultado"), s.ae.consultadoEn || ""],
+    ]
+    sheets.push(
+      {
+        name: t("session.sheet.ae"),
+        rows: campos.map(([campo, valor]) => ({ campo, valor })),
+        headers: ["campo", "valor"],
+      },
+      {
+        name: t("session.sheet.actividades"),
+        rows: s.ae.actividades,
+        headers: ["codigo", "descripcion", "tipo", "estado"],
+      }
+    )
+  }
+  if (s.cabys) {
+    sheets.push({
+      name: t("session.sheet.cabys"),
+      rows: s.cabys.resultados.map((c) => ({ ...c, impuesto: `${c.impuesto}%` })),
+      headers: ["codigo", "descripcion", "impuesto"],
+    })
+  }
+  if (s.cedulas) {
+    sheets.push({ name: t("session.sheet.cedulas"), rows: s.cedulas.resultados, headers: ["cedula", "nombre", "tipo"] })
+  }
+  return sheets
+}
@@ -0,0 +1,63 @@
+import { normalizeText } from "./helpers.js"
+import { locale } from "./i18n.js"
+
+/* ================= TABLAS DE RESULTADOS =================
+   Orden y filtros de DataTable. Una columna es:
+   { key, label, value?(row), text?(row), options?: [{ value, label }], filter?: false, ... }
+   `value` se usa para ordenar y para los filtros de lista; `text` para el filtro de texto
+   (por defecto el mismo valor).
+======================================================== */
+
+export const TABLE_VIEW_EMPTY = { sort: null, filters: {} }
+
+export function cellValue(col, row) {
+  return col.value ? col.value(row) : row[col.key]
+}
+
+function cellText(col, row) {
+  return String((col.text ? col.text(row) : cellValue(col, row)) ?? "")
+}
+
+// Clic en el encabezado: ascendente → descendente → sin orden
+export function nextSort(sort, key) {
+  if (sort?.key !== key) return { key, dir: "asc" }
+  return sort.dir === "asc" ? { key, dir: "desc" } : null
+}
+
+export function hasTableFilters(view) {
+  return Object.values(view.filters).some((v) => v !== "")
+}
+
+const isEmpty = (v) => v === null || v === undefined || v === ""
+
+// Números como números y texto sin tildes ni mayúsculas ("10" después de "9")
+function compareValues(a, b, collator) {
+  if (typeof a === "number" && typeof b === "number") return a - b
+  return collator.compare(String(a), String(b))
+}
+
+export function applyTableView(rows, columns, { sort, filters }) {
+  let out = rows
+  columns.forEach((col) => {
+    const f = filters[col.key]
+    if (!f) return
+    if (col.options) {
+      out = out.filter((r) => String(cellValue(col, r)) === f)
+    } else {
+      const q = normalizeText(f.trim())
+      if (q) out = out.filter((r) => normalizeText(cellText(col, r)).includes(q))
+    }
+  })
+
+  const col = sort && columns.find((c) => c.key === sort.key)
+  if (!col) return out
+  const collator = new Intl.Collator(locale(), { numeric: true, sensitivity: "base" })
+  const dir = sort.dir === "desc" ? -1 : 1
+  return [...out].sort((a, b) => {
+    const va = cellValue(col, a)
+    const vb = cellValue(col, b)
+    // Los vacíos quedan al final en los dos sentidos
+    if (isEmpty(va) || isEmpty(vb)) return isEmpty(va) - isEmpty(vb)
+    return dir * compareValues(va, vb, collator)
+  })
+}
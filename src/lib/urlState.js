@@ -0,0 +1,61 @@
+import { onlyDigits } from "./helpers.js"
+
+/* ================= ESTADO EN LA URL =================
+   La última consulta de cada panel vive en el query string
+   (?ae=3101123456&cabys=arroz&top=20&pag=2&ced=…) para compartir enlaces
+   y usar atrás/adelante. Explorando una categoría CABYS, `cat` lleva su código
+   y `cabys` su descripción (?cabys=Cereales&cat=011). Todo queda en la raíz "/", así que no choca con
+   los rewrites de vercel.json (/hacienda, /gometa, /indicadores).
+=================================================== */
+
+export const DEFAULT_PAGE_SIZE = 10
+
+export const EMPTY_URL_STATE = { ae: "", cabys: "", cat: "", size: DEFAULT_PAGE_SIZE, page: 0, ced: "" }
+
+function intParam(p, key, min, max, def) {
+  const n = parseInt(p.get(key), 10)
+  return Number.isFinite(n) ? Math.min(max, Math.max(min, n)) : def
+}
+
+export function readUrlState(search = window.location.search) {
+  const p = new URLSearchParams(search)
+  return {
+    ae: onlyDigits(p.get("ae") || ""),
+    cabys: (p.get("cabys") || "").trim(),
+    cat: onlyDigits(p.get("cat") || ""),
+    size: intParam(p, "top", 5, 50, DEFAULT_PAGE_SIZE),
+    // En la URL la página va desde 1
+    page: intParam(p, "pag", 1, 50, 1) - 1,
+    ced: (p.get("ced") || "").trim(),
+  }
+}
+
+// Valor del parámetro para cada clave del estado; "" lo quita de la URL
+const TO_PARAM = {
+  ae: ["ae", (v) => v],
+  cabys: ["cabys", (v) => v],
+  cat: ["cat", (v) => v],
+  size: ["top", (v) => (Number(v) === DEFAULT_PAGE_SIZE ? "" : v)],
+  page: ["pag", (v) => (v > 0 ? v + 1 : "")],
+  ced: ["ced", (v) => v],
+}
+
+// Mezcla `patch` con lo que ya hay en la URL. Si no cambia nada no agrega
+// entrada al historial (pasa al restaurar desde atrás/adelante).
+export function updateUrlState(patch, { replace = false } = {}) {
+  const { pathname, search, hash } = window.location
+  const p = new URLSearchParams(search)
+  Object.entries(patch).forEach(([k, v]) => {
+    if (!TO_PARAM[k]) return
+    const [key, toParam] = TO_PARAM[k]
+    const value = v == null ? "" : String(toParam(v))
+    if (value) p.set(key, value)
+    else p.delete(key)
+  })
+
+  const qs = p.toString()
+  const next = `${pathname}${qs ? `?${qs}` : ""}${hash}`
+  if (next === `${pathname}${search}${hash}`) return false
+  window.history[replace ? "replaceState" : "pushState"](null, "", next)
+  return true
+}
@@ -0,0 +1,194 @@
+import { NotFoundError, aeResumen, fetchAe } from "./api.js"
+import { actividadEstado, actividadTipo } from "./helpers.js"
+import { idbAddAll, idbDelete, idbGet, idbGetAll, idbPut } from "./idb.js"
+import { t } from "./i18n.js"
+
+/* ================= VIGILANCIA DE PROVEEDORES =================
+   Lista de cédulas que se vuelven a consultar en AE. De cada revisión se guarda
+   una foto (situación, régimen y actividades) y se compara con la anterior;
+   los cambios van a una bitácora en IndexedDB. En la bitácora solo van datos y claves:
+   `label` es una clave de i18n y las actividades se guardan con sus códigos de tipo y
+   estado; todo se traduce al mostrarlo (watchValue), en el idioma de ese momento.
+============================================================ */
+
+export const WATCH_INTERVALS = [
+  { value: 0, label: "watch.interval.manual" },
+  { value: 15, label: "watch.interval.15" },
+  { value: 60, label: "watch.interval.60" },
+  { value: 360, label: "watch.interval.360" },
+]
+
+const INTERVAL_KEY = "hacienda-toolkit:vigilancia-intervalo"
+
+export function loadWatchInterval() {
+  try {
+    const n = Number(localStorage.getItem(INTERVAL_KEY))
+    return WATCH_INTERVALS.some((w) => w.value === n) ? n : 0
+  } catch {
+    // modo privado: revisión manual
+    return 0
+  }
+}
+
+export function saveWatchInterval(minutes) {
+  try {
+    localStorage.setItem(INTERVAL_KEY, String(minutes))
+  } catch {
+    // sin espacio o modo privado: el intervalo vale solo para esta sesión
+  }
+}
+
+// Solo lo que interesa vigilar, en forma estable para comparar
+export function snapshotFromAe(json) {
+  const r = aeResumen(json)
+  return {
+    nombre: r.nombre,
+    estado: r.estado,
+    moroso: r.moroso,
+    omiso: r.omiso,
+    administracionTributaria: r.administracionTributaria,
+    regimen: r.regimen,
+    actividades: (json?.actividades || [])
+      .map((a) => ({
+        codigo: String(a.codigo ?? ""),
+        descripcion: a.descripcion || "",
+        tipo: a.tipo || "",
+        estado: a.estado || "",
+      }))
+      .sort((a, b) => a.codigo.localeCompare(b.codigo) || a.tipo.localeCompare(b.tipo)),
+  }
+}
+
+const CAMPOS = [
+  ["nombre", "ae.nombre"],
+  ["estado", "ae.estado"],
+  ["moroso", "ae.moroso"],
+  ["omiso", "ae.omiso"],
+  ["regimen", "ae.regimen"],
+  ["administracionTributaria", "ae.administracion"],
+]
+
+function actividadLabel(a) {
+  return `${a.codigo} ${a.descripcion} (${actividadTipo(a).toLowerCase()}, ${actividadEstado(a).toLowerCase()})`
+}
+
+// Texto de `antes` / `despues` de un cambio: los de actividades son { codigo, descripcion, tipo, estado }
+export function watchValue(v) {
+  if (!v) return ""
+  return typeof v === "object" ? actividadLabel(v) : String(v)
+}
+
+// Volverse moroso/omiso o dejar de estar inscrito es lo que hay que atender ya
+function esGrave(campo, despues) {
+  if (campo === "moroso" || campo === "omiso") return String(despues).toUpperCase() === "SI"
+  if (campo === "estado") return !/^inscrito/i.test(despues)
+  return false
+}
+
+// [{ campo, label, antes, despues, grave }]; en actividades, antes/despues son la actividad (o "")
+export function diffSnapshots(prev, next) {
+  if (!prev || !next) return []
+  const out = []
+
+  CAMPOS.forEach(([campo, label]) => {
+    if ((prev[campo] || "") !== (next[campo] || "")) {
+      out.push({
+        campo,
+        label,
+        antes: prev[campo] || "",
+        despues: next[campo] || "",
+        grave: esGrave(campo, next[campo]),
+      })
+    }
+  })
+
+  const byCode = (list) => new Map(list.map((a) => [a.codigo, a]))
+  const act = (label, antes, despues) => ({ campo: "actividades", label, antes, despues, grave: false })
+  const antes = byCode(prev.actividades || [])
+  const despues = byCode(next.actividades || [])
+  despues.forEach((a, codigo) => {
+    const old = antes.get(codigo)
+    if (!old) {
+      out.push(act("watch.actAdded", "", a))
+    } else if (old.tipo !== a.tipo || old.estado !== a.estado || old.descripcion !== a.descripcion) {
+      out.push(act("watch.actChanged", old, a))
+    }
+  })
+  antes.forEach((a, codigo) => {
+    if (!despues.has(codigo)) {
+      out.push(act("watch.actRemoved", a, ""))
+    }
+  })
+
+  return out
+}
+
+/* ================= PERSISTENCIA ================= */
+// item: { id, alias, addedAt, checkedAt, snapshot, changes (sin ver), changedAt, error }
+export async function loadWatchlist() {
+  const items = await idbGetAll("watchlist")
+  return items.sort((a, b) => a.addedAt - b.addedAt)
+}
+
+export function saveWatchItem(item) {
+  return idbPut("watchlist", item)
+}
+
+export function removeWatchItem(id) {
+  return idbDelete("watchlist", id)
+}
+
+// Aplica `update` sobre lo que está guardado ahora, no sobre una copia vieja: mientras una revisión
+// espera a Hacienda el usuario puede marcar los cambios como vistos o quitar el item.
+// Devuelve null (sin guardar nada) si el item ya no está en la lista.
+async function updateWatchItem(id, update) {
+  const current = await idbGet("watchlist", id)
+  if (!current) return null
+  const next = update(current)
+  await saveWatchItem(next)
+  return next
+}
+
+export function markWatchItemSeen(id) {
+  return updateWatchItem(id, (current) => ({ ...current, changes: [] }))
+}
+
+export async function loadWatchLog() {
+  const log = await idbGetAll("watchlog")
+  return log.sort((a, b) => b.at - a.at)
+}
+
+/* ================= REVISIÓN ================= */
+// Consulta AE en vivo (sin caché) y devuelve el item actualizado y los cambios nuevos (ya guardados).
+// Si el item se quitó durante la consulta devuelve { item: null, changes: [] }.
+export async function checkWatchItem(item) {
+  const at = Date.now()
+  let snapshot
+  try {
+    snapshot = snapshotFromAe(await fetchAe(item.id, { fresh: true }))
+  } catch (e) {
+    const error = e instanceof NotFoundError ? t("watch.notFound") : e?.message || t("ae.error")
+    const next = await updateWatchItem(item.id, (current) => ({ ...current, checkedAt: at, error }))
+    return { item: next, changes: [] }
+  }
+
+  // La primera revisión solo toma la foto inicial. Los cambios se acumulan en el item
+  // hasta que alguien los marca como vistos (una revisión programada no los borra).
+  let changes = []
+  const next = await updateWatchItem(item.id, (current) => {
+    changes = diffSnapshots(current.snapshot, snapshot).map((c) => ({ ...c, at }))
+    return {
+      ...current,
+      checkedAt: at,
+      error: "",
+      snapshot,
+      changes: [...(current.changes || []), ...changes],
+      changedAt: changes.length ? at : current.changedAt || null,
+    }
+  })
+  if (!next) return { item: null, changes: [] }
+
+  const entries = changes.map((c) => ({ cedula: item.id, nombre: snapshot.nombre, ...c }))
+  if (entries.length) await idbAddAll("watchlog", entries)
+  return { item: next, changes: entries }
+}
@@ -1,8 +1,15 @@
 import React from "react"
 import ReactDOM from "react-dom/client"
 import App from "./App.jsx"
+import { getLang, t } from "./lib/i18n.js"
+import { setApiBases } from "./lib/api.js"
 import "./index.css"
 
+document.documentElement.lang = getLang()
+
+// En producción (Vercel) y con `vite --mode api` las consultas van por la capa propia /api
+if (import.meta.env.PROD || import.meta.env.MODE === "api") setApiBases({ api: "/api" })
+
 class ErrorBoundary extends React.Component {
   constructor(props) {
     super(props)
@@ -18,8 +25,8 @@ class ErrorBoundary extends React.Component {
     if (this.state.hasError) {
       return (
         <div style={{ padding: 24, fontFamily: "system-ui", color: "white", background: "#0b0f17", minHeight: "100vh" }}>
-          <h2>Se cayó la app 😅</h2>
-          <p>Abrí la consola (F12) y vas a ver el error exacto.</p>
+          <h2>{t("crash.title")}</h2>
+          <p>{t("crash.hint")}</p>
           <pre style={{ whiteSpace: "pre-wrap", background: "#111827", padding: 12, borderRadius: 10 }}>
             {String(this.state.error)}
           </pre>
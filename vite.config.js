@@ -1,34 +1,46 @@
+import { fileURLToPath } from "node:url"
 import { defineConfig } from "vite"
 import react from "@vitejs/plugin-react"
+import demoFixtures, { recordFixtures } from "./demo/fixturesPlugin.js"
 
-export default defineConfig({
-  plugins: [react()],
-  server: {
-    proxy: {
-      "/hacienda": {
-        target: "https://api.hacienda.go.cr",
-        changeOrigin: true,
-        secure: true,
-        rewrite: (path) => path.replace(/^\/hacienda/, ""),
-      },
+const FIXTURES_DIR = fileURLToPath(new URL("./demo/fixtures", import.meta.url))
 
-      "/gometa": {
-        target: "https://apis.gometa.org",
-        changeOrigin: true,
-        secure: true,
-        rewrite: (path) => path.replace(/^\/gometa/, ""),
-        server: {
-  proxy: {
-    "/hacienda": {
-      target: "https://api.hacienda.go.cr",
-      changeOrigin: true,
-      secure: true,
-      rewrite: (path) => path.replace(/^\/hacienda/, ""),
-    },
-  },
-}
+// `vite --mode demo` responde el API desde demo/fixtures; `vite --mode record` graba fixtures nuevas;
+// `vite --mode api` usa la capa propia (/api) levantada con `npm run api`
+const API_LOCAL = `http://localhost:${process.env.API_PORT || 8787}`
+
+export default defineConfig(({ mode }) => {
+  const configure = mode === "record" ? recordFixtures(FIXTURES_DIR) : undefined
+
+  return {
+    plugins: [react(), demoFixtures({ mode, dir: FIXTURES_DIR })],
+    server: {
+      proxy: {
+        "/api": { target: API_LOCAL },
+
+        "/hacienda": {
+          target: "https://api.hacienda.go.cr",
+          changeOrigin: true,
+          secure: true,
+          rewrite: (path) => path.replace(/^\/hacienda/, ""),
+          configure,
+        },
+
+        "/indicadores": {
+          target: "https://api.hacienda.go.cr",
+          changeOrigin: true,
+          secure: true,
+          configure,
+        },
 
+        "/gometa": {
+          target: "https://apis.gometa.org",
+          changeOrigin: true,
+          secure: true,
+          rewrite: (path) => path.replace(/^\/gometa/, ""),
+          configure,
+        },
       },
     },
-  },
+  }
 })